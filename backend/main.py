@@ -1,14 +1,19 @@
 import os
 import uuid
 import json
+import time
+import shutil
 import asyncio
+import threading
 from concurrent.futures import ThreadPoolExecutor
 from pathlib import Path
-from fastapi import FastAPI, UploadFile, Form, HTTPException
+from fastapi import FastAPI, UploadFile, HTTPException, Request
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from fastapi.staticfiles import StaticFiles
 import torchaudio
 import torch
+import demucs.apply
 from demucs.pretrained import get_model
 from demucs.apply import apply_model
 
@@ -17,15 +22,106 @@ from demucs.apply import apply_model
 # -----------------------------
 BASE_DIR = Path(__file__).resolve().parent
 SEPARATED_DIR = BASE_DIR / "separated"
-MIXED_DIR = BASE_DIR / "mixed_outputs"
 PROGRESS_FILE = BASE_DIR / "demucs_progress.json"
 SEPARATED_DIR.mkdir(exist_ok=True)
-MIXED_DIR.mkdir(exist_ok=True)
 
-# Helper to update progress
-def update_progress(progress: float):
+# -----------------------------
+# Separation jobs (one per session_id, stems in SEPARATED_DIR / session_id)
+# Status: queued → loading → separating → writing → done, or failed (with error)
+# -----------------------------
+ACTIVE_STATUSES = ("queued", "loading", "separating", "writing")
+LEGACY_STATUSES = {"processing": "separating", "completed": "done", "error": "failed"}
+jobs_lock = threading.Lock()
+
+def load_jobs():
+    """Jobs from the last run; jobs that were still running cannot be resumed"""
+    try:
+        with open(PROGRESS_FILE, "r") as f:
+            data = json.load(f)
+    except (OSError, ValueError):
+        return {}
+    jobs = data.get("jobs", {}) if isinstance(data, dict) else {}
+    for job in jobs.values():
+        job["status"] = LEGACY_STATUSES.get(job.get("status"), job.get("status"))
+        if job["status"] in ACTIVE_STATUSES:
+            job.update(status="failed", error="Interrupted by a server restart")
+    return jobs
+
+jobs = load_jobs()
+
+def save_jobs():
     with open(PROGRESS_FILE, "w") as f:
-        json.dump({"progress": progress}, f)
+        json.dump({"jobs": jobs}, f)
+
+def update_job(session_id: str, **fields):
+    with jobs_lock:
+        if session_id not in jobs:
+            return
+        jobs[session_id].update(fields)
+        save_jobs()
+        job = dict(jobs[session_id])
+    publish("job", job)
+
+# Helper to update the stage and progress of a job (0-1, 1 = stems written)
+def update_progress(progress: float, session_id: str, status: str):
+    update_job(session_id, progress=progress, status=status)
+
+# -----------------------------
+# Job events, pushed to every /job_events client (Server-Sent Events)
+# -----------------------------
+KEEPALIVE_SECONDS = 15
+subscribers = set()  # one asyncio.Queue per connected client
+event_loop = None  # loop serving the clients (events are published from worker threads)
+
+def publish(event: str, data):
+    if event_loop is None:
+        return
+    for queue in list(subscribers):
+        event_loop.call_soon_threadsafe(queue.put_nowait, (event, data))
+
+def format_event(event: str, data) -> str:
+    return f"event: {event}\ndata: {json.dumps(data)}\n\n"
+
+# -----------------------------
+# Per-segment separation progress
+# demucs.apply only reports progress through tqdm (when progress=True), so the
+# tqdm module it uses is replaced by one that reports each finished segment.
+# This relies on demucs 4.0.1 (pinned in requirements.txt), where apply_model
+# calls tqdm.tqdm over the segments once per model of the bag and per shift;
+# each of those passes restarts the count, so passes are chained and the
+# reported share never goes back.
+# -----------------------------
+class SegmentProgress:
+    def __init__(self):
+        self.callback = None  # called with the finished share of segments (0-1)
+        self.passes = 1
+        self.finished_passes = 0
+        self.reported = 0.0
+
+    def start(self, callback, passes=1):
+        self.callback = callback
+        self.passes = max(1, passes)
+        self.finished_passes = 0
+        self.reported = 0.0
+
+    def stop(self):
+        self.callback = None
+
+    def tqdm(self, iterable, **kwargs):
+        segments = list(iterable)
+        for index, segment in enumerate(segments):
+            yield segment
+            share = min(1.0, (self.finished_passes + (index + 1) / len(segments)) / self.passes)
+            if self.callback is not None and share > self.reported:
+                self.reported = share
+                self.callback(share)
+        self.finished_passes += 1
+
+segment_progress = SegmentProgress()
+if hasattr(demucs.apply, "tqdm"):
+    demucs.apply.tqdm = segment_progress
+else:
+    print("⚠️ demucs.apply does not use tqdm; separation progress will jump from 10% to 90%")
 
 # -----------------------------
 # FastAPI setup
@@ -40,9 +136,13 @@ app.add_middleware(
     allow_headers=["*"],
 )
 
-# Serve static files
+# Serve separated stems (mixing happens in the browser)
 app.mount("/separated", StaticFiles(directory=SEPARATED_DIR), name="separated")
-app.mount("/mixed_outputs", StaticFiles(directory=MIXED_DIR), name="mixed_outputs")
+
+@app.on_event("startup")
+async def remember_event_loop():
+    global event_loop
+    event_loop = asyncio.get_running_loop()
 
 # -----------------------------
 # Load Demucs model once
@@ -55,134 +155,149 @@ except Exception as e:
 
 MODEL = get_model("htdemucs")
 MODEL.eval()
+SHIFTS = 1  # random time shifts averaged by apply_model (each one is a full pass)
 print("✅ Demucs model loaded successfully")
 
-# -----------------------------
-# Helper: clean separated folder
-# -----------------------------
-def clean_separated_folder():
-    for f in SEPARATED_DIR.glob("*.wav"):
-        f.unlink()
-
 # -----------------------------
 # Route: Start separation (runs in thread pool)
 # -----------------------------
 def run_separation_sync(input_path: Path, session_id: str):
     """Run separation in background thread and update progress"""
+    session_dir = input_path.parent
     try:
-        update_progress(0.1)  # 10% - File uploaded
-        
+        update_progress(0.0, session_id, "loading")  # 0% - Job started
+
         # Load audio (convert mono → stereo if needed)
         wav, sr = torchaudio.load(input_path)
-        update_progress(0.2)  # 20% - Audio loaded
-        
         if wav.shape[0] == 1:
             wav = wav.repeat(2, 1)
         wav = wav.unsqueeze(0)  # [1, 2, samples]
-        update_progress(0.3)  # 30% - Audio preprocessed
+        update_progress(0.1, session_id, "separating")  # 10% - Audio loaded
 
-        # Run Demucs (this is the slow part)
-        update_progress(0.4)  # 40% - Starting separation
-        with torch.no_grad():
-            out = apply_model(MODEL, wav, device="cpu", segment=None)
-        update_progress(0.8)  # 80% - Separation complete
+        # Run Demucs (this is the slow part), 10% → 90% as segments finish
+        segment_progress.start(
+            lambda share: update_progress(0.1 + 0.8 * share, session_id, "separating"),
+            passes=len(getattr(MODEL, "models", [MODEL])) * SHIFTS,
+        )
+        try:
+            with torch.no_grad():
+                out = apply_model(MODEL, wav, device="cpu", shifts=SHIFTS, segment=None, progress=True)
+        finally:
+            segment_progress.stop()
 
         # Save separated stems
         stems = ["drums", "bass", "other", "vocals"]
         for i, name in enumerate(stems):
-            torchaudio.save(SEPARATED_DIR / f"{name}.wav", out[0, i], sr)
-            update_progress(0.8 + (i + 1) * 0.05)  # 85%, 90%, 95%, 100%
+            update_progress(0.9 + i * 0.025, session_id, "writing")  # 90%, 92.5%, 95%, 97.5%
+            torchaudio.save(session_dir / f"{name}.wav", out[0, i], sr)
 
-        update_progress(1.0)  # 100% - Complete
+        update_progress(1.0, session_id, "done")  # 100% - Complete
     except Exception as e:
         print(f"❌ Separation error: {e}")
         import traceback
         traceback.print_exc()
-        update_progress(0.0)  # Reset on error
+        update_job(session_id, status="failed", error=str(e) or type(e).__name__)
 
 # Thread pool for CPU-intensive tasks
 executor = ThreadPoolExecutor(max_workers=1)
 
 @app.post("/start_separation")
 async def start_separation(file: UploadFile):
-    clean_separated_folder()
-    update_progress(0.0)  # Reset progress
+    """Queue a separation; the stems of earlier sessions are kept"""
     session_id = str(uuid.uuid4())[:8]
-    input_path = SEPARATED_DIR / f"input_{session_id}.wav"
+    session_dir = SEPARATED_DIR / session_id
+    session_dir.mkdir()
+    input_name = f"input{Path(file.filename or '').suffix.lower() or '.wav'}"
+    input_path = session_dir / input_name
 
     # Save uploaded file
     with open(input_path, "wb") as f:
         f.write(await file.read())
 
-    # Run separation in thread pool (non-blocking)
+    with jobs_lock:
+        jobs[session_id] = {
+            "session_id": session_id,
+            "filename": file.filename,
+            "input": input_name,
+            "status": "queued",
+            "progress": 0.0,
+            "error": None,
+            "created_at": time.time(),
+        }
+        save_jobs()
+        job = dict(jobs[session_id])
+    publish("job", job)
+
+    # Run separation in thread pool (non-blocking, one job at a time)
     loop = asyncio.get_event_loop()
     loop.run_in_executor(executor, run_separation_sync, input_path, session_id)
 
-    return {"session_id": session_id, "status": "processing"}
+    return {"session_id": session_id, "status": "queued"}
 
 # -----------------------------
-# Route: Get separation progress
+# Routes: Jobs and their progress
 # -----------------------------
-@app.get("/separation_progress")
-async def get_separation_progress():
-    """Get current separation progress"""
-    try:
-        if PROGRESS_FILE.exists():
-            with open(PROGRESS_FILE, "r") as f:
-                data = json.load(f)
-                progress = data.get("progress", 0.0)
-                status = "completed" if progress >= 1.0 else "processing"
-                return {"progress": progress, "status": status}
-        return {"progress": 0.0, "status": "idle"}
-    except Exception as e:
-        return {"progress": 0.0, "status": "error", "error": str(e)}
+def get_job(session_id: str):
+    with jobs_lock:
+        job = jobs.get(session_id)
+        if job is None:
+            raise HTTPException(status_code=404, detail=f"Unknown session: {session_id}")
+        return dict(job)
 
-# -----------------------------
-# Route: Mix stems based on gains
-# -----------------------------
-@app.post("/mix")
-async def mix_audio(
-    vocals_gain: float = Form(...),
-    drums_gain: float = Form(...),
-    bass_gain: float = Form(...),
-    other_gain: float = Form(...),
-):
-    try:
-        stems = {
-            "vocals": SEPARATED_DIR / "vocals.wav",
-            "drums": SEPARATED_DIR / "drums.wav",
-            "bass": SEPARATED_DIR / "bass.wav",
-            "other": SEPARATED_DIR / "other.wav",
-        }
+@app.get("/jobs")
+async def list_jobs():
+    """All separation jobs, oldest first"""
+    with jobs_lock:
+        return sorted((dict(job) for job in jobs.values()), key=lambda job: job["created_at"])
 
-        # Load stems and apply gain
-        loaded = {}
-        for name, path in stems.items():
-            if not path.exists():
-                raise HTTPException(status_code=404, detail=f"Stem not found: {name}")
-            audio, sr = torchaudio.load(path)
-            gain_db = locals()[f"{name}_gain"]
-            gain = 10 ** (gain_db / 20)
-            loaded[name] = audio * gain
+@app.get("/separation_progress/{session_id}")
+async def get_session_progress(session_id: str):
+    """Get the progress of one separation job"""
+    return get_job(session_id)
 
-        # Match lengths
-        min_len = min(stem.shape[1] for stem in loaded.values())
-        loaded = {k: v[:, :min_len] for k, v in loaded.items()}
-
-        # Sum up stems
-        mix = sum(loaded.values())
+@app.get("/separation_progress")
+async def get_separation_progress():
+    """Get the progress of the most recent separation job"""
+    with jobs_lock:
+        if not jobs:
+            return {"progress": 0.0, "status": "idle"}
+        return dict(max(jobs.values(), key=lambda job: job["created_at"]))
 
-        # Normalize
-        mix = mix / mix.abs().max()
+@app.delete("/jobs/{session_id}")
+async def delete_job(session_id: str):
+    """Remove a finished job and its stems"""
+    job = get_job(session_id)
+    if job["status"] in ACTIVE_STATUSES:
+        raise HTTPException(status_code=409, detail="The job is still running")
+    shutil.rmtree(SEPARATED_DIR / session_id, ignore_errors=True)
+    with jobs_lock:
+        jobs.pop(session_id, None)
+        save_jobs()
+    publish("removed", {"session_id": session_id})
+    return {"session_id": session_id, "status": "deleted"}
 
-        # Save with unique filename
-        filename = f"final_mix_{uuid.uuid4().hex[:8]}.wav"
-        out_path = MIXED_DIR / filename
-        torchaudio.save(out_path, mix, sr)
+@app.get("/job_events")
+async def job_events(request: Request):
+    """
+    Server-Sent Events: a `snapshot` of all jobs on connect (and reconnect), then
+    a `job` event for every change and a `removed` event for deleted jobs
+    """
+    queue = asyncio.Queue()
+    subscribers.add(queue)
 
-        print(f"✅ Mix saved: {out_path}")
-        return {"path": f"/mixed_outputs/{filename}"}
+    async def stream():
+        try:
+            with jobs_lock:
+                snapshot = sorted((dict(job) for job in jobs.values()), key=lambda job: job["created_at"])
+            yield "retry: 2000\n\n"
+            yield format_event("snapshot", snapshot)
+            while not await request.is_disconnected():
+                try:
+                    event, data = await asyncio.wait_for(queue.get(), timeout=KEEPALIVE_SECONDS)
+                    yield format_event(event, data)
+                except asyncio.TimeoutError:
+                    yield ": keepalive\n\n"
+        finally:
+            subscribers.discard(queue)
 
-    except Exception as e:
-        print("❌ Mixing error:", e)
-        raise HTTPException(status_code=500, detail=str(e))
+    return StreamingResponse(stream(), media_type="text/event-stream", headers={"Cache-Control": "no-cache"})
@@ -0,0 +1,194 @@
+/* global sampleRate, registerProcessor, AudioWorkletProcessor */
+/**
+ * Pitch shifter AudioWorklet (phase vocoder)
+ * Shifts the pitch of its input by `pitchRatio` without changing its duration.
+ * The mix engine plays the stems faster or slower (which also changes their
+ * pitch) and runs the mix through this processor to put the pitch back where
+ * the user wants it.
+ *
+ * Loaded as a plain file from public/ because worklet modules cannot be
+ * bundled; keep FRAME_SIZE and OVERSAMPLING in sync with utils/pitchShift.js.
+ */
+
+const FRAME_SIZE = 2048;
+const OVERSAMPLING = 4;
+const HOP = FRAME_SIZE / OVERSAMPLING;
+const LATENCY = FRAME_SIZE - HOP; // samples
+const HALF = FRAME_SIZE / 2;
+const EXPECTED_PHASE = (2 * Math.PI * HOP) / FRAME_SIZE; // phase advance of bin 1 per hop
+
+// Hann window, applied on analysis and synthesis
+const WINDOW = new Float32Array(FRAME_SIZE);
+let windowEnergy = 0;
+for (let i = 0; i < FRAME_SIZE; i++) {
+  WINDOW[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+  windowEnergy += WINDOW[i] * WINDOW[i];
+}
+// Undoes the inverse FFT size, the doubled magnitudes and the overlapping squared windows
+const OUTPUT_SCALE = 2 / (HALF * OVERSAMPLING * (windowEnergy / HOP));
+
+// Bit-reversal permutation and twiddle factors for the radix-2 FFT
+const BITS = Math.log2(FRAME_SIZE);
+const REVERSED = new Uint32Array(FRAME_SIZE);
+for (let i = 0; i < FRAME_SIZE; i++) {
+  let reversed = 0;
+  for (let bit = 0; bit < BITS; bit++) {
+    reversed = (reversed << 1) | ((i >> bit) & 1);
+  }
+  REVERSED[i] = reversed;
+}
+const COS = new Float32Array(HALF);
+const SIN = new Float32Array(HALF);
+for (let i = 0; i < HALF; i++) {
+  COS[i] = Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+  SIN[i] = Math.sin((2 * Math.PI * i) / FRAME_SIZE);
+}
+
+/**
+ * In-place complex FFT (unnormalized). `inverse` flips the sign of the exponent.
+ */
+function fft(real, imag, inverse) {
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    const j = REVERSED[i];
+    if (j > i) {
+      let tmp = real[i];
+      real[i] = real[j];
+      real[j] = tmp;
+      tmp = imag[i];
+      imag[i] = imag[j];
+      imag[j] = tmp;
+    }
+  }
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= FRAME_SIZE; size *= 2) {
+    const half = size / 2;
+    const step = FRAME_SIZE / size;
+    for (let start = 0; start < FRAME_SIZE; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = COS[k * step];
+        const sin = sign * SIN[k * step];
+        const a = start + k;
+        const b = a + half;
+        const re = real[b] * cos - imag[b] * sin;
+        const im = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - re;
+        imag[b] = imag[a] - im;
+        real[a] += re;
+        imag[a] += im;
+      }
+    }
+  }
+}
+
+/**
+ * Streaming pitch shifter for one channel: analyses overlapping frames, moves
+ * each bin's true frequency by the ratio and resynthesizes with accumulated phase.
+ */
+class ChannelShifter {
+  constructor() {
+    this.inFifo = new Float32Array(FRAME_SIZE);
+    this.outFifo = new Float32Array(FRAME_SIZE);
+    this.real = new Float32Array(FRAME_SIZE);
+    this.imag = new Float32Array(FRAME_SIZE);
+    this.accumulator = new Float32Array(2 * FRAME_SIZE);
+    this.lastPhase = new Float32Array(HALF + 1);
+    this.sumPhase = new Float32Array(HALF + 1);
+    this.analysisMagnitude = new Float32Array(HALF + 1);
+    this.analysisFrequency = new Float32Array(HALF + 1);
+    this.synthesisMagnitude = new Float32Array(HALF + 1);
+    this.synthesisFrequency = new Float32Array(HALF + 1);
+    this.position = LATENCY;
+  }
+
+  process(input, output, ratio) {
+    for (let i = 0; i < output.length; i++) {
+      this.inFifo[this.position] = input[i];
+      output[i] = this.outFifo[this.position - LATENCY];
+      this.position++;
+      if (this.position >= FRAME_SIZE) {
+        this.position = LATENCY;
+        this.processFrame(ratio);
+      }
+    }
+  }
+
+  processFrame(ratio) {
+    const { real, imag } = this;
+    const binFrequency = sampleRate / FRAME_SIZE;
+
+    for (let k = 0; k < FRAME_SIZE; k++) {
+      real[k] = this.inFifo[k] * WINDOW[k];
+      imag[k] = 0;
+    }
+    fft(real, imag, false);
+
+    // Analysis: true frequency of each bin from its phase advance
+    for (let k = 0; k <= HALF; k++) {
+      const phase = Math.atan2(imag[k], real[k]);
+      let delta = phase - this.lastPhase[k] - k * EXPECTED_PHASE;
+      this.lastPhase[k] = phase;
+      delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI)); // wrap to -π..π
+      this.analysisMagnitude[k] = 2 * Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+      this.analysisFrequency[k] = (k + (OVERSAMPLING * delta) / (2 * Math.PI)) * binFrequency;
+    }
+
+    // Shift: move every bin (and its frequency) by the ratio
+    this.synthesisMagnitude.fill(0);
+    this.synthesisFrequency.fill(0);
+    for (let k = 0; k <= HALF; k++) {
+      const index = Math.round(k * ratio);
+      if (index > HALF) break;
+      this.synthesisMagnitude[index] += this.analysisMagnitude[k];
+      this.synthesisFrequency[index] = this.analysisFrequency[k] * ratio;
+    }
+
+    // Synthesis: accumulate phase from the shifted frequencies
+    for (let k = 0; k <= HALF; k++) {
+      const deviation = this.synthesisFrequency[k] / binFrequency - k;
+      this.sumPhase[k] += (2 * Math.PI * deviation) / OVERSAMPLING + k * EXPECTED_PHASE;
+      const magnitude = this.synthesisMagnitude[k];
+      real[k] = magnitude * Math.cos(this.sumPhase[k]);
+      imag[k] = magnitude * Math.sin(this.sumPhase[k]);
+    }
+    for (let k = HALF + 1; k < FRAME_SIZE; k++) {
+      real[k] = 0;
+      imag[k] = 0;
+    }
+    fft(real, imag, true);
+
+    // Overlap-add
+    for (let k = 0; k < FRAME_SIZE; k++) {
+      this.accumulator[k] += WINDOW[k] * real[k] * OUTPUT_SCALE;
+    }
+    this.outFifo.set(this.accumulator.subarray(0, HOP));
+    this.accumulator.copyWithin(0, HOP);
+    this.accumulator.fill(0, 2 * FRAME_SIZE - HOP);
+    this.inFifo.copyWithin(0, HOP);
+  }
+}
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.channels = [];
+    this.silence = new Float32Array(128);
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+    for (let c = 0; c < output.length; c++) {
+      if (!this.channels[c]) this.channels[c] = new ChannelShifter();
+      if (this.silence.length !== output[c].length) this.silence = new Float32Array(output[c].length);
+      this.channels[c].process(input[c] || input[0] || this.silence, output[c], ratio);
+    }
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
@@ -58,14 +58,30 @@ import Mixer from "./components/Mixer";
 import MySongs from "./components/MySongs";
 import AboutModal from "./components/AboutModal";
 import HelpModal from "./components/HelpModal";
+import SettingsModal from "./components/SettingsModal";
 import Landing from "./components/Landing";
 import { UserPreferenceModel } from "./utils/userPreferenceModel";
+import { GenreClassifier } from "./utils/genreClassifier";
+import { GENRES } from "./utils/audioFeatures";
+import { exportStems, stemPackFileName, STEM_KEYS } from "./utils/stemExport";
+import { fetchJob } from "./api";
+import { hasCachedStems, songStemLoader } from "./utils/stemCache";
+import { downloadBlob } from "./utils/download";
+import { loadStrips, stemExportGains } from "./utils/channelStrip";
+import { loadEffects } from "./utils/effectsChain";
+import { loadAutomation, loadGrid } from "./utils/automation";
+import { loadPractice } from "./utils/pitchShift";
+import { loadVersions } from "./utils/mixVersions";
+import { createSongRecord, duplicateSong, editSongMetadata, migrateSongsByUser, nextVersionTitle, updateSongMix } from "./utils/songRecords";
+
+const UNDO_DELETE_MS = 10000; // How long a deleted song can be restored
 
 export default function App() {
   const [user, setUser] = useState(null); // current user
   const [tab, setTab] = useState("landing");
   const [showAbout, setShowAbout] = useState(false);
   const [showHelp, setShowHelp] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
   const [theme, setTheme] = useState(() => {
     const stored = localStorage.getItem("museTheme");
     return stored === "light" ? "light" : "dark";
@@ -77,7 +93,7 @@ export default function App() {
     const stored = localStorage.getItem("audioMixSongs");
     if (stored) {
       try {
-        return JSON.parse(stored);
+        return migrateSongsByUser(JSON.parse(stored)); // Songs saved before ids get one
       } catch (e) {
         console.error("Error parsing stored songs:", e);
       }
@@ -85,15 +101,39 @@ export default function App() {
     return {}; // { username: [songs] }
   });
   
-  const [mixerGains, setMixerGains] = useState(null); // Gains to restore in mixer
+  const [mixerStrips, setMixerStrips] = useState(null); // Channel strips (gain, pan, mute, solo) to restore in mixer
+  const [mixerEffects, setMixerEffects] = useState(null); // Effects chain parameters to restore in mixer
+  const [mixerAutomation, setMixerAutomation] = useState(null); // Gain automation lanes and grid to restore in mixer
+  const [mixerPractice, setMixerPractice] = useState(null); // Practice tempo and transposition to restore in mixer
+  const [mixerVersions, setMixerVersions] = useState(null); // Named mix versions (strip presets) to restore in mixer
+  const [mixerSource, setMixerSource] = useState(null); // Stems the mixer opens: { sessionId, sourceHash }
+  const [mixerSong, setMixerSong] = useState(null); // Saved song open in the mixer ({ id, title }), updated in place on save
   const [autoPlayMix, setAutoPlayMix] = useState(false); // Auto-play flag
+  const [stemDownload, setStemDownload] = useState(null); // { id, progress } while a song's stems are being packed
+  const [deletedSong, setDeletedSong] = useState(null); // Last deleted song, restorable for a while: { user, song, index }
   const userModelRef = useRef(null); // User preference model
+  const genreClassifierRef = useRef(null); // Genre classifier (fine-tuned per user)
+  const songsByUserRef = useRef(songsByUser); // Latest songs, read when a user's model is initialized
+  songsByUserRef.current = songsByUser;
 
-  // Initialize user model when user changes
+  // Initialize user models when user changes
   useEffect(() => {
     if (user) {
-      userModelRef.current = new UserPreferenceModel(user);
-      userModelRef.current.initialize();
+      const userModel = new UserPreferenceModel(user);
+      userModelRef.current = userModel;
+      userModel.initialize().then(() => {
+        // A fresh or reset model relearns from saved mixes in the current feature layout
+        const savedSongs = songsByUserRef.current[user] || [];
+        if (userModel.trainingSamples === 0 && savedSongs.length > 0) {
+          return userModel.batchTrain(savedSongs);
+        }
+      }).catch((error) => {
+        console.error("Error initializing model:", error);
+      });
+      genreClassifierRef.current = new GenreClassifier(user);
+      genreClassifierRef.current.initialize().catch((error) => {
+        console.error("Error initializing genre classifier:", error);
+      });
     }
   }, [user]);
 
@@ -109,12 +149,49 @@ export default function App() {
     localStorage.setItem("audioMixSongs", JSON.stringify(songsByUser));
   }, [songsByUser]);
 
-  // Save mix per user and train model
-  const handleSaveMix = async (mix) => {
+  // A deleted song can be restored until the undo expires
+  useEffect(() => {
+    if (!deletedSong) return;
+    const timer = setTimeout(() => setDeletedSong(null), UNDO_DELETE_MS);
+    return () => clearTimeout(timer);
+  }, [deletedSong]);
+
+  // Retrain the preference model from a user's remaining songs
+  const retrainUserModel = (userSongs) => {
+    if (userModelRef.current && userModelRef.current.isInitialized) {
+      if (userSongs.length > 0) {
+        // Retrain with all remaining songs
+        userModelRef.current.batchTrain(userSongs).catch(error => {
+          console.error("Error retraining model:", error);
+        });
+      } else {
+        // If no songs left, reset model to initial state
+        console.log("No songs remaining, model will use default predictions");
+      }
+    }
+  };
+
+  // Save mix per user and train model. With `songId` the saved song is updated in place.
+  // Returns the saved song record.
+  const handleSaveMix = async (mix, { songId = null } = {}) => {
     if (!user) return alert("Select a user first!");
+
+    const list = songsByUser[user] || [];
+    const existing = songId ? list.find((s) => s.id === songId) : null;
+    let saved;
+    if (existing) {
+      saved = updateSongMix(existing, mix);
+    } else {
+      // Another mix of a title in use becomes its next version
+      const title = list.some((s) => s.title === mix.title) ? nextVersionTitle(list, mix.title) : mix.title;
+      saved = createSongRecord({ ...mix, title });
+    }
     
-    // Train the model with the saved mix (if features are available)
-    if (userModelRef.current && mix.features && mix.gains) {
+    if (existing) {
+      // An updated song replaces its old example instead of adding one
+      retrainUserModel(list.map((s) => (s.id === saved.id ? saved : s)));
+    } else if (userModelRef.current && mix.features && mix.gains) {
+      // Train the model with the saved mix (if features are available)
       try {
         await userModelRef.current.train(mix.features, mix.gains);
         console.log("Model trained with saved mix");
@@ -123,24 +200,67 @@ export default function App() {
       }
     }
     
+    // Teach the genre classifier from a manual genre correction
+    if (genreClassifierRef.current && mix.features && mix.genreOverride) {
+      try {
+        // The classifier takes the audio part of the vector (the genre vector comes last)
+        await genreClassifierRef.current.train(mix.features.slice(0, -GENRES.length), mix.genreOverride);
+      } catch (error) {
+        console.error("Error training genre classifier:", error);
+      }
+    }
+    
     setSongsByUser((prev) => {
-      const list = prev[user] || [];
-      const duplicate = list.some(
-        (s) => s.title === mix.title && s.details === mix.details
-      );
-      if (duplicate) return prev;
-      return { ...prev, [user]: [...list, mix] };
+      const userSongs = prev[user] || [];
+      return {
+        ...prev,
+        [user]: existing ? userSongs.map((s) => (s.id === saved.id ? saved : s)) : [...userSongs, saved],
+      };
     });
+    setMixerSong({ id: saved.id, title: saved.title });
     setTab("mysongs");
+    return saved;
+  };
+
+  // Edit a song's title, artist, notes or tags (from MySongs)
+  const handleEditSong = (songId, changes) => {
+    setSongsByUser((prev) => ({
+      ...prev,
+      [user]: (prev[user] || []).map((s) => (s.id === songId ? editSongMetadata(s, changes) : s)),
+    }));
+    if (mixerSong && mixerSong.id === songId && changes.title) {
+      setMixerSong({ id: songId, title: changes.title.trim() || mixerSong.title });
+    }
+  };
+
+  // Copy a song as a new version right after the original (from MySongs)
+  const handleDuplicateSong = (songId) => {
+    setSongsByUser((prev) => {
+      const userSongs = prev[user] || [];
+      const index = userSongs.findIndex((s) => s.id === songId);
+      if (index < 0) return prev;
+      const copy = duplicateSong(userSongs, userSongs[index]);
+      return { ...prev, [user]: [...userSongs.slice(0, index + 1), copy, ...userSongs.slice(index + 1)] };
+    });
   };
 
   // Song play (from MySongs)
   const handleSongSelect = async (song) => {
     console.log("Selected song:", song.title);
     
-    // Restore the saved gain settings
-    if (song.gains) {
-      setMixerGains(song.gains);
+    // Restore the saved channel strips (older songs only have gains)
+    if (song.gains || song.strips) {
+      setMixerStrips(loadStrips(song, STEM_KEYS));
+      setMixerEffects(loadEffects(song.effects, STEM_KEYS)); // flat chain for songs saved without effects
+      setMixerAutomation({ lanes: loadAutomation(song.automation, STEM_KEYS), grid: loadGrid(song.automationGrid) });
+      setMixerPractice(loadPractice(song.practice));
+      setMixerVersions(loadVersions(song.versions, STEM_KEYS));
+      setMixerSource({ sessionId: song.sessionId || null, sourceHash: song.sourceHash || null });
+      setMixerSong({ id: song.id, title: song.title });
+      setSongsByUser((prev) => ({
+        ...prev,
+        [user]: (prev[user] || []).map((s) => (s.id === song.id ? { ...s, lastPlayedAt: Date.now() } : s)),
+      }));
       setTab("mixer");
       // Set auto-play flag - will trigger after component mounts
       setAutoPlayMix(true);
@@ -149,29 +269,69 @@ export default function App() {
     }
   };
 
-  // Delete song from user's list and retrain model
-  const handleDeleteSong = async (songIndex) => {
-    if (!user) return;
-    
-    setSongsByUser((prev) => {
-      const userSongs = prev[user] || [];
-      const updatedSongs = userSongs.filter((_, idx) => idx !== songIndex);
-      
-      // Retrain model with remaining songs after deletion
-      if (userModelRef.current && userModelRef.current.isInitialized) {
-        if (updatedSongs.length > 0) {
-          // Retrain with all remaining songs
-          userModelRef.current.batchTrain(updatedSongs).catch(error => {
-            console.error("Error retraining model after deletion:", error);
-          });
-        } else {
-          // If no songs left, reset model to initial state
-          console.log("No songs remaining, model will use default predictions");
+  // Download a saved song's stems as a ZIP (from MySongs)
+  const handleDownloadStems = async (song, bakeGains) => {
+    if (stemDownload) return;
+
+    try {
+      // Stems stored in this browser, else on the backend until their separation job is removed
+      if (!(song.sourceHash && (await hasCachedStems(song.sourceHash)))) {
+        const job = song.sessionId ? await fetchJob(song.sessionId) : null;
+        if (!job || job.status !== "done") {
+          alert(`The stems for "${song.title}" are not stored in this browser and no longer on the server. Separate the song again in the Mixer to download them.`);
+          return;
         }
       }
-      
-      return { ...prev, [user]: updatedSongs };
-    });
+
+      setStemDownload({ id: song.id, progress: 0 });
+      const strips = loadStrips(song, STEM_KEYS);
+      const zip = await exportStems({
+        title: song.title,
+        stemKeys: STEM_KEYS,
+        loadStem: songStemLoader({ sourceHash: song.sourceHash, sessionId: song.sessionId, stemKeys: STEM_KEYS, title: song.title }),
+        bakeGains,
+        gains: stemExportGains(strips),
+        pans: Object.fromEntries(Object.entries(strips).map(([key, strip]) => [key, strip.pan])),
+        effects: loadEffects(song.effects, STEM_KEYS),
+        automation: loadAutomation(song.automation, STEM_KEYS),
+        onProgress: (fraction) => setStemDownload({ id: song.id, progress: Math.round(fraction * 100) }),
+      });
+      downloadBlob(zip, stemPackFileName(song.title, bakeGains));
+    } catch (error) {
+      console.error("Error downloading stems:", error);
+      alert(`Error downloading stems for "${song.title}": ${error.message}`);
+    } finally {
+      setStemDownload(null);
+    }
+  };
+
+  // Delete song from user's list and retrain model (undoable for a while)
+  const handleDeleteSong = (songId) => {
+    if (!user) return;
+    const userSongs = songsByUser[user] || [];
+    const index = userSongs.findIndex((s) => s.id === songId);
+    if (index < 0) return;
+
+    const updatedSongs = userSongs.filter((s) => s.id !== songId);
+    setSongsByUser((prev) => ({ ...prev, [user]: (prev[user] || []).filter((s) => s.id !== songId) }));
+    setDeletedSong({ user, song: userSongs[index], index });
+    if (mixerSong && mixerSong.id === songId) {
+      setMixerSong(null); // Saving in the mixer creates a new song again
+    }
+    retrainUserModel(updatedSongs);
+  };
+
+  // Put the last deleted song back where it was
+  const handleUndoDelete = () => {
+    if (!deletedSong) return;
+    const { user: owner, song, index } = deletedSong;
+    const userSongs = songsByUser[owner] || [];
+    const restored = [...userSongs.slice(0, index), song, ...userSongs.slice(index)];
+    setSongsByUser((prev) => ({ ...prev, [owner]: restored }));
+    setDeletedSong(null);
+    if (owner === user) {
+      retrainUserModel(restored);
+    }
   };
 
   // If no user selected, show Landing
@@ -188,6 +348,8 @@ export default function App() {
   }
 
   const songs = songsByUser[user] || [];
+  // Stems that saved songs (of any user) replay from the browser cache
+  const usedSourceHashes = new Set(Object.values(songsByUser).flat().map((song) => song.sourceHash).filter(Boolean));
 
   // Main UI after user is logged in
   return (
@@ -236,6 +398,15 @@ export default function App() {
           About
         </button>
 
+        <button
+          onClick={() => setShowSettings(true)}
+          className={`px-5 py-2 rounded-md ${
+            isDark ? "bg-gray-700 text-gray-100 hover:bg-gray-600" : "bg-gray-200 text-gray-800 hover:bg-gray-300"
+          }`}
+        >
+          Settings
+        </button>
+
         <button
           onClick={() => {
             setUser(null);
@@ -263,20 +434,42 @@ export default function App() {
         {tab === "mixer" && (
           <Mixer 
             onSave={handleSaveMix} 
-            initialGains={mixerGains}
+            initialStrips={mixerStrips}
+            initialEffects={mixerEffects}
+            initialAutomation={mixerAutomation}
+            initialPractice={mixerPractice}
+            initialVersions={mixerVersions}
+            initialSource={mixerSource}
+            initialSong={mixerSong}
             autoPlay={autoPlayMix}
             onPlayComplete={() => setAutoPlayMix(false)} // Reset after play starts
             userModel={userModelRef.current}
+            genreClassifier={genreClassifierRef.current}
             userId={user}
             theme={theme}
           />
         )}
-        {tab === "mysongs" && <MySongs onSelect={handleSongSelect} onDelete={handleDeleteSong} songs={songs} theme={theme} />}
+        {tab === "mysongs" && (
+          <MySongs
+            onSelect={handleSongSelect}
+            onDelete={handleDeleteSong}
+            onEdit={handleEditSong}
+            onDuplicate={handleDuplicateSong}
+            deletedSong={deletedSong && deletedSong.user === user ? deletedSong.song : null}
+            onUndoDelete={handleUndoDelete}
+            onDownloadStems={handleDownloadStems}
+            stemDownload={stemDownload}
+            songs={songs}
+            usedSourceHashes={usedSourceHashes}
+            theme={theme}
+          />
+        )}
       </div>
 
       {/* Modals */}
       {showAbout && <AboutModal onClose={() => setShowAbout(false)} />}
       {showHelp && <HelpModal onClose={() => setShowHelp(false)} />}
+      {showSettings && <SettingsModal onClose={() => setShowSettings(false)} />}
 
       {/* Footer */}
       <footer className="text-center text-sm text-gray-400 mt-8">
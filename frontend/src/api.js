@@ -1,15 +1,251 @@
-import axios from "axios";
+/**
+ * Backend API client
+ * Every call to the separation backend goes through here. The base URL comes
+ * from the Settings screen (saved in localStorage), else REACT_APP_API_URL at
+ * build time, else the local development server. Requests time out, retry
+ * idempotent calls with exponential backoff, accept an AbortSignal and fail
+ * with an ApiError whose message can be shown to the user as is.
+ */
 
-export async function separateAudio(file) {
+export const DEFAULT_API_URL = process.env.REACT_APP_API_URL || 'http://127.0.0.1:8000';
+
+const API_URL_KEY = 'museApiUrl';
+const DEFAULT_TIMEOUT = 15000; // ms
+const UPLOAD_TIMEOUT = 5 * 60 * 1000; // ms, large files on slow connections
+const DOWNLOAD_TIMEOUT = 2 * 60 * 1000; // ms per stem
+const RETRY_BASE_DELAY = 500; // ms, doubled on every attempt
+const RETRY_JITTER = 250; // ms
+
+const listeners = new Set();
+
+/**
+ * Error of a backend call. `kind` is 'network', 'timeout', 'http' or 'aborted';
+ * `status` is the HTTP status for 'http' errors.
+ */
+export class ApiError extends Error {
+  constructor(kind, message, { status = null, url = null } = {}) {
+    super(message);
+    this.name = kind === 'aborted' ? 'AbortError' : 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.url = url;
+  }
+
+  get retryable() {
+    return this.kind === 'network' || this.kind === 'timeout' || (this.kind === 'http' && (this.status >= 500 || this.status === 429));
+  }
+}
+
+// ------------------------
+// Base URL
+// ------------------------
+
+export function normalizeApiUrl(url) {
+  return (url || '').trim().replace(/\/+$/, '');
+}
+
+export function getApiUrl() {
+  try {
+    return localStorage.getItem(API_URL_KEY) || DEFAULT_API_URL;
+  } catch (e) {
+    return DEFAULT_API_URL;
+  }
+}
+
+/**
+ * Save the backend URL (null or the default restores the default)
+ */
+export function setApiUrl(url) {
+  const normalized = normalizeApiUrl(url);
+  if (!normalized || normalized === DEFAULT_API_URL) {
+    localStorage.removeItem(API_URL_KEY);
+  } else {
+    localStorage.setItem(API_URL_KEY, normalized);
+  }
+  listeners.forEach((listener) => listener(getApiUrl()));
+}
+
+/**
+ * Call `listener(url)` whenever the backend URL changes. Returns an unsubscribe function.
+ */
+export function onApiUrlChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function apiUrl(path, baseUrl = getApiUrl()) {
+  return `${baseUrl}${path}`;
+}
+
+// ------------------------
+// Requests
+// ------------------------
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          reject(new ApiError('aborted', 'Request cancelled'));
+        },
+        { once: true }
+      );
+    }
+  });
+
+async function errorDetail(resp) {
+  try {
+    const data = await resp.json();
+    return typeof data.detail === 'string' ? data.detail : resp.statusText;
+  } catch (e) {
+    return resp.statusText;
+  }
+}
+
+/**
+ * One attempt: fetch with a timeout, mapped to ApiError on failure
+ */
+async function attempt(url, { method, body, timeout, signal, responseType, baseUrl }) {
+  if (signal && signal.aborted) {
+    throw new ApiError('aborted', 'Request cancelled', { url });
+  }
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const resp = await fetch(url, { method, body, signal: controller.signal });
+    if (!resp.ok) {
+      throw new ApiError('http', `Server error ${resp.status}: ${await errorDetail(resp)}`, { status: resp.status, url });
+    }
+    if (responseType === 'arrayBuffer') return await resp.arrayBuffer();
+    if (responseType === 'blob') return await resp.blob();
+    return await resp.json();
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (timedOut) {
+      throw new ApiError('timeout', 'The server took too long to respond. Please try again.', { url });
+    }
+    if (signal && signal.aborted) {
+      throw new ApiError('aborted', 'Request cancelled', { url });
+    }
+    throw new ApiError('network', `Cannot reach the server at ${baseUrl}. Check that the backend is running, or change its URL in Settings.`, { url });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Call the backend. `retries` defaults to 2 for GET/DELETE and 0 otherwise
+ * (uploads are not repeated). Resolves with JSON, an ArrayBuffer or a Blob
+ * depending on `responseType`.
+ */
+export async function request(
+  path,
+  { method = 'GET', body, timeout = DEFAULT_TIMEOUT, retries, signal, responseType = 'json', baseUrl } = {}
+) {
+  const base = baseUrl || getApiUrl();
+  const url = apiUrl(path, base);
+  const maxRetries = retries !== undefined ? retries : method === 'GET' || method === 'DELETE' ? 2 : 0;
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt(url, { method, body, timeout, signal, responseType, baseUrl: base });
+    } catch (err) {
+      if (!err.retryable || retry >= maxRetries) throw err;
+      await sleep(RETRY_BASE_DELAY * Math.pow(2, retry) + Math.random() * RETRY_JITTER, signal);
+    }
+  }
+}
+
+// ------------------------
+// Endpoints
+// ------------------------
+
+/**
+ * Upload a file and queue its separation. Returns the new job (see utils/separationJobs.js).
+ */
+export async function startSeparation(file, { signal } = {}) {
   const formData = new FormData();
-  formData.append("file", file);
+  formData.append('file', file);
+  const data = await request('/start_separation', { method: 'POST', body: formData, timeout: UPLOAD_TIMEOUT, signal });
+  return { session_id: data.session_id, filename: file.name, status: data.status, progress: 0, error: null, created_at: Date.now() / 1000 };
+}
+
+/**
+ * All separation jobs, oldest first
+ */
+export function fetchJobs({ signal } = {}) {
+  return request('/jobs', { signal });
+}
+
+/**
+ * One job, or null if the backend no longer has it
+ */
+export async function fetchJob(sessionId, { signal } = {}) {
+  try {
+    return await request(`/separation_progress/${encodeURIComponent(sessionId)}`, { signal });
+  } catch (err) {
+    if (err.kind === 'http' && err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Delete a finished job and its stems
+ */
+export function removeJob(sessionId, { signal } = {}) {
+  return request(`/jobs/${encodeURIComponent(sessionId)}`, { method: 'DELETE', signal });
+}
+
+/**
+ * The original upload of a job, as a File
+ */
+export async function fetchJobInput(job, { signal } = {}) {
+  const blob = await request(`/separated/${encodeURIComponent(job.session_id)}/${encodeURIComponent(job.input)}`, {
+    responseType: 'blob',
+    timeout: DOWNLOAD_TIMEOUT,
+    signal,
+  });
+  return new File([blob], job.filename || job.input, { type: blob.type });
+}
+
+/**
+ * One separated stem (WAV bytes) of a session
+ */
+export async function fetchStem(sessionId, key, { signal } = {}) {
   try {
-    const res = await axios.post("http://127.0.0.1:8000/separate", formData, {
-      headers: { "Content-Type": "multipart/form-data" },
+    return await request(`/separated/${encodeURIComponent(sessionId)}/${key}.wav`, {
+      responseType: 'arrayBuffer',
+      timeout: DOWNLOAD_TIMEOUT,
+      signal,
     });
-    return res.data;
   } catch (err) {
-    console.error("Demucs separation failed:", err);
+    if (err.kind === 'http' && err.status === 404) {
+      throw new ApiError('http', `Stem not found: ${key}. The separation may have been removed from the server.`, { status: 404, url: err.url });
+    }
     throw err;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * URL of the job event stream (Server-Sent Events, see hooks/useSeparationJobs.js)
+ */
+export function jobEventsUrl() {
+  return apiUrl('/job_events');
+}
+
+/**
+ * Check that a backend answers at `baseUrl` (throws an ApiError otherwise)
+ */
+export async function checkConnection(baseUrl) {
+  await request('/jobs', { baseUrl: normalizeApiUrl(baseUrl), retries: 0, timeout: 5000 });
+}
@@ -0,0 +1,281 @@
+import React, { useEffect, useRef, useState } from "react";
+import { automationValueAt, gridTimes, snapTime, GRID_DIVISIONS } from "../utils/automation";
+import { MIN_GAIN_DB, MAX_GAIN_DB } from "../utils/channelStrip";
+
+const LANE_HEIGHT = 64;
+const PADDING = 4; // px above +12 dB
+const SILENT_ZONE = 10; // px at the bottom of a lane that mean -∞
+const MIN_GRID_SPACING = 4; // px; denser grids are not drawn
+
+const fmtTime = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`;
+
+const yOf = (db) => {
+  if (db === -Infinity) return LANE_HEIGHT - PADDING;
+  return PADDING + ((MAX_GAIN_DB - db) / (MAX_GAIN_DB - MIN_GAIN_DB)) * (LANE_HEIGHT - SILENT_ZONE - PADDING);
+};
+
+// Gain under the pointer, rounded to 0.5 dB
+const gainOf = (y) => {
+  if (y > LANE_HEIGHT - SILENT_ZONE) return -Infinity;
+  const db = MAX_GAIN_DB - ((y - PADDING) / (LANE_HEIGHT - SILENT_ZONE - PADDING)) * (MAX_GAIN_DB - MIN_GAIN_DB);
+  return Math.round(Math.max(MIN_GAIN_DB, Math.min(MAX_GAIN_DB, db)) * 2) / 2;
+};
+
+// One stem's breakpoint editor
+function Lane({ points, duration, grid, color, playheadRef, onChange }) {
+  const containerRef = useRef(null);
+  const dragIndexRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const xOf = (time) => (duration > 0 ? (time / duration) * width : 0);
+
+  const pointerPosition = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const time = Math.max(0, Math.min(duration, ((e.clientX - rect.left) / rect.width) * duration));
+    return { time: Math.min(duration, snapTime(time, grid)), gain: gainOf(e.clientY - rect.top) };
+  };
+
+  // Click on the lane adds a point and starts dragging it
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    const point = pointerPosition(e);
+    const index = points.findIndex((p) => p.time > point.time);
+    const insertAt = index === -1 ? points.length : index;
+    onChange([...points.slice(0, insertAt), point, ...points.slice(insertAt)]);
+    dragIndexRef.current = insertAt;
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointPointerDown = (e, index) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    dragIndexRef.current = index;
+    containerRef.current.setPointerCapture(e.pointerId);
+  };
+
+  // Points cannot be dragged past their neighbours
+  const handlePointerMove = (e) => {
+    const index = dragIndexRef.current;
+    if (index === null || !points[index]) return;
+    const { time, gain } = pointerPosition(e);
+    const earliest = index > 0 ? points[index - 1].time : 0;
+    const latest = index < points.length - 1 ? points[index + 1].time : duration;
+    const next = [...points];
+    next[index] = { time: Math.max(earliest, Math.min(latest, time)), gain };
+    onChange(next);
+  };
+
+  const handlePointerUp = () => {
+    dragIndexRef.current = null;
+  };
+
+  const removePoint = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onChange(points.filter((_, i) => i !== index));
+  };
+
+  // Sample the curve every 2 px (plus at each point) so fades to -∞ are drawn as they sound
+  let path = "";
+  if (points.length > 0 && width > 0) {
+    const xs = [];
+    for (let x = 0; x <= width; x += 2) xs.push(x);
+    points.forEach((p) => xs.push(xOf(p.time)));
+    xs.sort((a, b) => a - b);
+    path = xs
+      .map((x, i) => `${i === 0 ? "M" : "L"}${x.toFixed(1)},${yOf(automationValueAt(points, (x / width) * duration)).toFixed(1)}`)
+      .join(" ");
+  }
+
+  const lines = gridTimes(grid, duration);
+  const showGrid = lines.length > 0 && width / lines.length >= MIN_GRID_SPACING;
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative flex-1 track rounded-md cursor-crosshair select-none"
+      style={{ height: LANE_HEIGHT, touchAction: "none" }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      <svg width={width} height={LANE_HEIGHT} className="absolute inset-0">
+        {showGrid &&
+          lines.map((t) => (
+            <line key={t} x1={xOf(t)} x2={xOf(t)} y1={0} y2={LANE_HEIGHT} stroke="currentColor" strokeOpacity="0.12" />
+          ))}
+        <line x1={0} x2={width} y1={yOf(0)} y2={yOf(0)} stroke="currentColor" strokeOpacity="0.3" strokeDasharray="4 4" />
+        {path && <path d={path} fill="none" stroke="currentColor" strokeWidth="2" className={color} />}
+        {points.map((p, i) => (
+          <circle
+            key={i}
+            cx={xOf(p.time)}
+            cy={yOf(p.gain)}
+            r={5}
+            fill="currentColor"
+            className={`${color} cursor-move`}
+            onPointerDown={(e) => handlePointPointerDown(e, i)}
+            onDoubleClick={(e) => removePoint(e, i)}
+            onContextMenu={(e) => removePoint(e, i)}
+          >
+            <title>{`${fmtTime(p.time)}: ${p.gain === -Infinity ? "-∞" : `${p.gain > 0 ? "+" : ""}${p.gain}`} dB`}</title>
+          </circle>
+        ))}
+      </svg>
+      {points.length === 0 && (
+        <p className="absolute inset-0 flex items-center justify-center text-xs text-muted pointer-events-none">
+          Click to add a point (follows the fader until then)
+        </p>
+      )}
+      <div ref={playheadRef} className="absolute top-0 bottom-0 w-px bg-red-400 pointer-events-none" style={{ left: 0 }}></div>
+    </div>
+  );
+}
+
+// Gain automation timeline: one breakpoint lane per stem on a BPM grid (see utils/automation.js)
+export default function AutomationLanes({
+  channels,
+  automation,
+  onChange,
+  duration,
+  grid,
+  onGridChange,
+  detectedTempo,
+  armed,
+  onArm,
+  playing,
+  getTime,
+  seekedTo,
+  isDark,
+}) {
+  const playheadRefs = useRef({});
+  const getTimeRef = useRef(getTime);
+  getTimeRef.current = getTime;
+
+  // Move the playheads every frame while playing, once otherwise
+  useEffect(() => {
+    const place = () => {
+      const time = getTimeRef.current();
+      const left = duration > 0 ? `${Math.min(100, (time / duration) * 100)}%` : "0%";
+      Object.values(playheadRefs.current).forEach((element) => {
+        if (element) element.style.left = left;
+      });
+    };
+    place();
+    if (!playing) return undefined;
+
+    let frameId;
+    const tick = () => {
+      place();
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, duration, seekedTo]);
+
+  const controlClass = "text-sm input-bg p-1 rounded-md text-primary focus:outline-none focus:ring-2 focus:ring-blue-400";
+
+  return (
+    <div className="mt-6 surface rounded-lg p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-2">
+        <p className="text-sm font-semibold text-primary">Automation</p>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-muted">
+          <label className="flex items-center gap-1">
+            BPM
+            <input
+              type="number"
+              min="20"
+              max="300"
+              step="0.1"
+              value={grid.bpm}
+              onChange={(e) => onGridChange({ ...grid, bpm: Number(e.target.value) })}
+              className={`${controlClass} w-20`}
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            Snap
+            <select
+              value={grid.division}
+              onChange={(e) => onGridChange({ ...grid, division: e.target.value })}
+              className={controlClass}
+            >
+              {GRID_DIVISIONS.map((d) => (
+                <option key={d.id} value={d.id}>
+                  {d.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {detectedTempo && (
+            <button
+              onClick={() => onGridChange({ ...grid, bpm: detectedTempo.bpm, offset: detectedTempo.firstBeat })}
+              title="Use the detected tempo and align the grid to the first beat"
+              className="px-2 py-1 text-xs bg-gray-500 hover:bg-gray-600 text-white rounded-md"
+            >
+              Detected ({detectedTempo.bpm})
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="text-xs text-muted mb-3">
+        Click to add a point, drag to move it, double-click or right-click to delete. Arm R and move the fader during
+        playback to record.
+      </p>
+
+      <div className="flex flex-col gap-2">
+        {channels.map((ch) => (
+          <div key={ch.key} className="flex items-center gap-2">
+            <div className="w-28 flex flex-col gap-1">
+              <span className={`text-xs font-semibold ${ch.color}`}>{ch.label}</span>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => onArm(ch.key)}
+                  title="Record fader moves during playback"
+                  className={`w-8 h-6 text-xs font-bold rounded-md ${
+                    armed[ch.key] ? "bg-red-500 text-white" : isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"
+                  }`}
+                >
+                  R
+                </button>
+                <button
+                  onClick={() => onChange(ch.key, [])}
+                  disabled={automation[ch.key].length === 0}
+                  title="Remove all points"
+                  className={`px-2 h-6 text-xs rounded-md disabled:opacity-50 ${
+                    isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"
+                  }`}
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+            <Lane
+              points={automation[ch.key]}
+              duration={duration}
+              grid={grid}
+              color={ch.color}
+              playheadRef={(element) => {
+                playheadRefs.current[ch.key] = element;
+              }}
+              onChange={(points) => onChange(ch.key, points)}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-muted mt-1 pl-[7.5rem]">
+        <span>0:00</span>
+        <span>{fmtTime(duration)}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import React from "react";
+
+// Frequency sliders move on a log scale between 20 Hz and 20 kHz
+const MIN_HZ = 20;
+const MAX_HZ = 20000;
+const LOG_STEPS = 1000;
+
+const hzToSlider = (hz) => Math.round((Math.log(hz / MIN_HZ) / Math.log(MAX_HZ / MIN_HZ)) * LOG_STEPS);
+const sliderToHz = (value) => Math.round(MIN_HZ * Math.pow(MAX_HZ / MIN_HZ, value / LOG_STEPS));
+const fmtHz = (hz) => (hz >= 1000 ? `${(hz / 1000).toFixed(hz >= 10000 ? 0 : 1)} kHz` : `${hz} Hz`);
+const fmtDb = (db) => `${db > 0 ? "+" : ""}${db} dB`;
+
+function Param({ label, display, ...inputProps }) {
+  return (
+    <label className="flex flex-col gap-1 text-xs text-muted min-w-[120px] flex-1">
+      <span className="flex justify-between">
+        <span>{label}</span>
+        <span className="text-primary">{display}</span>
+      </span>
+      <input type="range" className="w-full cursor-pointer" {...inputProps} />
+    </label>
+  );
+}
+
+function FrequencyParam({ label, value, onChange, disabled }) {
+  return (
+    <Param
+      label={label}
+      display={fmtHz(value)}
+      min="0"
+      max={LOG_STEPS}
+      step="1"
+      value={hzToSlider(value)}
+      disabled={disabled}
+      onChange={(e) => onChange(sliderToHz(Number(e.target.value)))}
+    />
+  );
+}
+
+function Section({ title, enabled, onToggle, children }) {
+  return (
+    <div className="input-bg rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-semibold text-primary">{title}</p>
+        {typeof onToggle === "function" && (
+          <label className="flex items-center gap-1 text-xs text-muted">
+            <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+            On
+          </label>
+        )}
+      </div>
+      <div className={`flex flex-wrap gap-4 ${enabled === false ? "opacity-50" : ""}`}>{children}</div>
+    </div>
+  );
+}
+
+// Effects chain editor for one stem (parameters from utils/effectsChain.js)
+export default function EffectsPanel({ label, effects, onChange, onReset, onClose }) {
+  const { highpass, lowpass, eq, compressor, reverb } = effects;
+
+  // Update a nested parameter, e.g. set(["eq", "mid", "gain"], 3)
+  const set = (path, value) => {
+    const next = JSON.parse(JSON.stringify(effects));
+    let target = next;
+    path.slice(0, -1).forEach((key) => {
+      target = target[key];
+    });
+    target[path[path.length - 1]] = value;
+    onChange(next);
+  };
+
+  return (
+    <div className="mt-6 surface rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-semibold text-primary">Effects: {label}</p>
+        <div className="flex gap-2">
+          <button onClick={onReset} className="px-3 py-1 text-xs bg-gray-500 hover:bg-gray-600 text-white rounded-md">
+            Reset
+          </button>
+          <button onClick={onClose} className="px-3 py-1 text-xs bg-blue-500 hover:bg-blue-600 text-black rounded-md">
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Section title="Filters">
+          <div className="flex flex-col gap-2 flex-1">
+            <label className="flex items-center gap-1 text-xs text-muted">
+              <input
+                type="checkbox"
+                checked={highpass.enabled}
+                onChange={(e) => set(["highpass", "enabled"], e.target.checked)}
+              />
+              High-pass
+            </label>
+            <FrequencyParam
+              label="Cutoff"
+              value={highpass.frequency}
+              disabled={!highpass.enabled}
+              onChange={(hz) => set(["highpass", "frequency"], hz)}
+            />
+          </div>
+          <div className="flex flex-col gap-2 flex-1">
+            <label className="flex items-center gap-1 text-xs text-muted">
+              <input
+                type="checkbox"
+                checked={lowpass.enabled}
+                onChange={(e) => set(["lowpass", "enabled"], e.target.checked)}
+              />
+              Low-pass
+            </label>
+            <FrequencyParam
+              label="Cutoff"
+              value={lowpass.frequency}
+              disabled={!lowpass.enabled}
+              onChange={(hz) => set(["lowpass", "frequency"], hz)}
+            />
+          </div>
+        </Section>
+
+        <Section title="Reverb Send">
+          <Param
+            label="Send"
+            display={`${Math.round(reverb.send * 100)}%`}
+            min="0"
+            max="100"
+            step="1"
+            value={Math.round(reverb.send * 100)}
+            onChange={(e) => set(["reverb", "send"], Number(e.target.value) / 100)}
+          />
+        </Section>
+
+        <Section title="EQ">
+          {[
+            { band: "low", title: "Low shelf" },
+            { band: "mid", title: "Mid" },
+            { band: "high", title: "High shelf" },
+          ].map(({ band, title }) => (
+            <div key={band} className="flex flex-col gap-2 flex-1">
+              <p className="text-xs text-primary">{title}</p>
+              <FrequencyParam
+                label="Freq"
+                value={eq[band].frequency}
+                onChange={(hz) => set(["eq", band, "frequency"], hz)}
+              />
+              <Param
+                label="Gain"
+                display={fmtDb(eq[band].gain)}
+                min="-12"
+                max="12"
+                step="0.5"
+                value={eq[band].gain}
+                onChange={(e) => set(["eq", band, "gain"], Number(e.target.value))}
+                onDoubleClick={() => set(["eq", band, "gain"], 0)}
+              />
+              {band === "mid" && (
+                <Param
+                  label="Q"
+                  display={eq.mid.q.toFixed(1)}
+                  min="0.1"
+                  max="10"
+                  step="0.1"
+                  value={eq.mid.q}
+                  onChange={(e) => set(["eq", "mid", "q"], Number(e.target.value))}
+                />
+              )}
+            </div>
+          ))}
+        </Section>
+
+        <Section
+          title="Compressor"
+          enabled={compressor.enabled}
+          onToggle={(enabled) => set(["compressor", "enabled"], enabled)}
+        >
+          <Param
+            label="Threshold"
+            display={fmtDb(compressor.threshold)}
+            min="-60"
+            max="0"
+            step="1"
+            value={compressor.threshold}
+            onChange={(e) => set(["compressor", "threshold"], Number(e.target.value))}
+          />
+          <Param
+            label="Ratio"
+            display={`${compressor.ratio}:1`}
+            min="1"
+            max="20"
+            step="0.5"
+            value={compressor.ratio}
+            onChange={(e) => set(["compressor", "ratio"], Number(e.target.value))}
+          />
+          <Param
+            label="Attack"
+            display={`${Math.round(compressor.attack * 1000)} ms`}
+            min="1"
+            max="200"
+            step="1"
+            value={Math.round(compressor.attack * 1000)}
+            onChange={(e) => set(["compressor", "attack"], Number(e.target.value) / 1000)}
+          />
+          <Param
+            label="Release"
+            display={`${Math.round(compressor.release * 1000)} ms`}
+            min="10"
+            max="1000"
+            step="10"
+            value={Math.round(compressor.release * 1000)}
+            onChange={(e) => set(["compressor", "release"], Number(e.target.value) / 1000)}
+          />
+          <Param
+            label="Makeup"
+            display={fmtDb(compressor.makeup)}
+            min="0"
+            max="24"
+            step="0.5"
+            value={compressor.makeup}
+            onChange={(e) => set(["compressor", "makeup"], Number(e.target.value))}
+          />
+        </Section>
+      </div>
+    </div>
+  );
+}
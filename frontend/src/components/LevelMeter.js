@@ -0,0 +1,108 @@
+import React, { useEffect, useRef } from "react";
+import { meterPosition, CLIP_LEVEL, METER_FLOOR_DB } from "../utils/meters";
+
+const PEAK_HOLD_MS = 1000;
+const PEAK_FALL_PER_SECOND = 0.5; // share of the scale the peak marker falls per second after the hold
+
+const fillColor = (position) => (position > 0.97 ? "#ef4444" : position > 0.9 ? "#facc15" : "#22c55e");
+
+// Horizontal peak/RMS meter (one bar per channel when `stereo`, otherwise the louder channel)
+export default function LevelMeter({ getLevels, active, stereo = false, onClip }) {
+  const barCount = stereo ? 2 : 1;
+  const fillRefs = useRef([]);
+  const peakRefs = useRef([]);
+  const readoutRef = useRef(null);
+  const getLevelsRef = useRef(getLevels);
+  getLevelsRef.current = getLevels;
+  const onClipRef = useRef(onClip);
+  onClipRef.current = onClip;
+
+  useEffect(() => {
+    const held = Array.from({ length: barCount }, () => ({ position: 0, time: 0 }));
+    let lastFrame = 0;
+
+    const render = (rms, peak, now) => {
+      const elapsed = lastFrame ? (now - lastFrame) / 1000 : 0;
+      lastFrame = now;
+      let loudest = 0;
+      for (let bar = 0; bar < barCount; bar++) {
+        const rmsPosition = meterPosition(rms[bar]);
+        const peakPosition = meterPosition(peak[bar]);
+        // Peak marker: jumps up, holds, then falls
+        const hold = held[bar];
+        if (peakPosition >= hold.position) {
+          hold.position = peakPosition;
+          hold.time = now;
+        } else if (now - hold.time > PEAK_HOLD_MS) {
+          hold.position = Math.max(peakPosition, hold.position - PEAK_FALL_PER_SECOND * elapsed);
+        }
+        loudest = Math.max(loudest, hold.position);
+
+        const fill = fillRefs.current[bar];
+        if (fill) {
+          fill.style.width = `${rmsPosition * 100}%`;
+          fill.style.backgroundColor = fillColor(peakPosition);
+        }
+        const marker = peakRefs.current[bar];
+        if (marker) {
+          marker.style.left = `${hold.position * 100}%`;
+          marker.style.opacity = hold.position > 0 ? 1 : 0;
+        }
+      }
+      if (readoutRef.current) {
+        readoutRef.current.textContent = loudest > 0 ? (METER_FLOOR_DB * (1 - loudest)).toFixed(1) : "-∞";
+      }
+    };
+
+    const zeros = new Array(barCount).fill(0);
+    if (!active) {
+      render(zeros, zeros, 0);
+      return undefined;
+    }
+
+    let frameId;
+    const tick = () => {
+      const levels = getLevelsRef.current();
+      if (levels) {
+        // Mono meters show the louder channel
+        const rms = stereo ? levels.rms : [Math.max(...levels.rms)];
+        const peak = stereo ? levels.peak : [Math.max(...levels.peak)];
+        render(rms, peak, performance.now());
+        if (Math.max(...levels.peak) >= CLIP_LEVEL && typeof onClipRef.current === "function") {
+          onClipRef.current();
+        }
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [active, stereo, barCount]);
+
+  return (
+    <div className="flex items-center gap-2 w-full" title="Level: RMS bar, peak marker and peak hold (dBFS)">
+      <div className="flex flex-col gap-[2px] flex-1">
+        {Array.from({ length: barCount }, (_, bar) => (
+          <div key={bar} className="relative h-2 track rounded-sm overflow-hidden">
+            <div
+              ref={(element) => {
+                fillRefs.current[bar] = element;
+              }}
+              className="absolute inset-y-0 left-0"
+              style={{ width: 0 }}
+            ></div>
+            <div
+              ref={(element) => {
+                peakRefs.current[bar] = element;
+              }}
+              className="absolute inset-y-0 w-[2px] -ml-[2px] bg-white"
+              style={{ left: 0, opacity: 0 }}
+            ></div>
+          </div>
+        ))}
+      </div>
+      <span ref={readoutRef} className="text-[10px] text-muted w-8 text-right tabular-nums">
+        -∞
+      </span>
+    </div>
+  );
+}
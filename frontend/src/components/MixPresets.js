@@ -0,0 +1,89 @@
+import React, { useRef, useState } from "react";
+import { BUILT_IN_PRESETS } from "../utils/mixPresets";
+
+// Preset picker: built-in and user presets applied to the faders, plus saving, deleting, export and import
+export default function MixPresets({ userPresets, onApply, onSave, onDelete, onExport, onImport }) {
+  const [selectedId, setSelectedId] = useState(BUILT_IN_PRESETS[0].id);
+  const importRef = useRef(null);
+
+  const presets = [...BUILT_IN_PRESETS, ...userPresets];
+  const selected = presets.find((preset) => preset.id === selectedId) || BUILT_IN_PRESETS[0];
+  const buttonClass = "px-3 py-1 text-xs rounded-md surface text-primary disabled:opacity-50";
+
+  return (
+    <div className="relative z-10 mb-6 surface rounded-lg p-3 flex flex-wrap items-center gap-2">
+      <span className="text-sm font-semibold text-primary">Presets</span>
+      <select
+        value={selected.id}
+        onChange={(e) => setSelectedId(e.target.value)}
+        aria-label="Mix preset"
+        title={selected.description}
+        className="text-xs input-bg p-1 rounded-md text-primary focus:outline-none focus:ring-2 focus:ring-blue-400 transition"
+      >
+        <optgroup label="Built-in">
+          {BUILT_IN_PRESETS.map((preset) => (
+            <option key={preset.id} value={preset.id}>
+              {preset.name}
+            </option>
+          ))}
+        </optgroup>
+        {userPresets.length > 0 && (
+          <optgroup label="My presets">
+            {userPresets.map((preset) => (
+              <option key={preset.id} value={preset.id}>
+                {preset.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <button
+        onClick={() => onApply(selected)}
+        className="px-3 py-1 text-xs bg-blue-500 hover:bg-blue-600 text-white rounded-md"
+      >
+        Apply
+      </button>
+      <button
+        onClick={() => {
+          const name = window.prompt("Name of the new preset:");
+          if (name && name.trim()) {
+            setSelectedId(onSave(name));
+          }
+        }}
+        title="Save the current stem levels as a preset for all your songs"
+        className={buttonClass}
+      >
+        Save Current
+      </button>
+      <button
+        onClick={() => {
+          if (window.confirm(`Delete the preset "${selected.name}"?`)) {
+            onDelete(selected.id);
+            setSelectedId(BUILT_IN_PRESETS[0].id);
+          }
+        }}
+        disabled={!!selected.builtIn}
+        className={buttonClass}
+      >
+        Delete
+      </button>
+      <button onClick={onExport} disabled={userPresets.length === 0} title="Download your presets as a JSON file" className={buttonClass}>
+        Export
+      </button>
+      <button onClick={() => importRef.current.click()} title="Add presets from a JSON file" className={buttonClass}>
+        Import
+      </button>
+      <input
+        ref={importRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = ""; // Allow importing the same file again
+          if (file) onImport(file);
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { comparisonVersionId, nextVersionName } from "../utils/mixVersions";
+
+const formatTrim = (db) => (db < -0.05 ? `${db.toFixed(1)} dB` : "0 dB");
+
+// Named versions of the mix (strip presets) and A/B comparison between two of them
+export default function MixVersions({
+  versions,
+  comparison,
+  trims,
+  onSaveVersion,
+  onLoadVersion,
+  onUpdateVersion,
+  onDeleteVersion,
+  onStartComparison,
+  onSwitchComparison,
+  onPickComparison,
+  onEndComparison,
+}) {
+  const [name, setName] = useState("");
+  const [selected, setSelected] = useState({ a: null, b: null }); // Versions chosen for the next comparison
+  const [blind, setBlind] = useState(false);
+
+  const versionName = (id) => {
+    const version = versions.find((v) => v.id === id);
+    return version ? version.name : "?";
+  };
+  // Default to the first two versions until others are chosen
+  const a = versions.some((v) => v.id === selected.a) ? selected.a : versions[0] && versions[0].id;
+  const b = versions.some((v) => v.id === selected.b) ? selected.b : versions[1] && versions[1].id;
+  const hidden = comparison && comparison.blind && comparison.picked === null;
+  const slotLabel = (slot) => {
+    if (hidden) return `${slot}`;
+    const label = comparisonVersionId(comparison, slot) === comparison.a ? "A" : "B";
+    return `${label}: ${versionName(comparisonVersionId(comparison, slot))}`;
+  };
+  const slotTrim = (slot) => (comparisonVersionId(comparison, slot) === comparison.a ? trims.a : trims.b);
+  const inputClass = "text-xs input-bg p-1 rounded-md text-primary focus:outline-none focus:ring-2 focus:ring-blue-400 transition";
+
+  return (
+    <div className="mt-6 surface rounded-lg p-3">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <span className="text-sm font-semibold text-primary">Versions</span>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={nextVersionName(versions)}
+          aria-label="Version name"
+          className={`${inputClass} flex-1`}
+        />
+        <button
+          onClick={() => {
+            onSaveVersion(name || nextVersionName(versions));
+            setName("");
+          }}
+          title="Save the current faders, pans, mutes and solos as a version of this mix"
+          className="px-3 py-1 text-xs bg-indigo-500 hover:bg-indigo-600 text-black font-semibold rounded-md"
+        >
+          Save Current as Version
+        </button>
+      </div>
+
+      {versions.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mt-3">
+          {versions.map((version) => (
+            <li key={version.id} className="flex items-center gap-1 track rounded-md px-2 py-1 text-xs text-primary">
+              <span className="mr-1">{hidden && [comparison.a, comparison.b].includes(version.id) ? "???" : version.name}</span>
+              <button onClick={() => onLoadVersion(version.id)} disabled={!!comparison} className="px-1 text-blue-400 disabled:opacity-50" title="Load into the mixer">
+                Load
+              </button>
+              <button onClick={() => onUpdateVersion(version.id)} disabled={!!comparison} className="px-1 text-muted hover:text-primary disabled:opacity-50" title="Replace with the current settings">
+                Update
+              </button>
+              <button onClick={() => onDeleteVersion(version.id)} className="px-1 text-red-400" title="Delete version">
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {versions.length >= 2 && !comparison && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-muted">
+          <span className="font-semibold text-primary">A/B</span>
+          <select value={a} onChange={(e) => setSelected({ a: e.target.value, b })} aria-label="Version A" className={inputClass}>
+            {versions.map((v) => (
+              <option key={v.id} value={v.id}>
+                {v.name}
+              </option>
+            ))}
+          </select>
+          vs
+          <select value={b} onChange={(e) => setSelected({ a, b: e.target.value })} aria-label="Version B" className={inputClass}>
+            {versions.map((v) => (
+              <option key={v.id} value={v.id}>
+                {v.name}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1" title="Hide which version is which until you pick one">
+            <input type="checkbox" checked={blind} onChange={(e) => setBlind(e.target.checked)} />
+            Blind
+          </label>
+          <button
+            onClick={() => onStartComparison(a, b, blind)}
+            disabled={a === b}
+            className="px-3 py-1 text-xs bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white rounded-md"
+          >
+            Compare
+          </button>
+        </div>
+      )}
+
+      {comparison && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-muted">
+          <span className="font-semibold text-primary">{comparison.blind ? "Blind A/B" : "A/B"}</span>
+          {[1, 2].map((slot) => (
+            <button
+              key={slot}
+              onClick={() => onSwitchComparison(slot)}
+              className={`px-3 py-1 rounded-md font-semibold ${
+                comparison.active === slot ? "bg-blue-500 text-white" : "surface text-primary"
+              }`}
+            >
+              {slotLabel(slot)}
+            </button>
+          ))}
+          {trims && (
+            <span title="The louder version is turned down to the level of the quieter one while comparing">
+              Level matched: {hidden ? "on" : `${formatTrim(slotTrim(1))} / ${formatTrim(slotTrim(2))}`}
+            </span>
+          )}
+          {hidden ? (
+            <button
+              onClick={() => onPickComparison(comparison.active)}
+              className="px-3 py-1 rounded-md bg-green-500 hover:bg-green-600 text-black font-semibold"
+            >
+              I Prefer {comparison.active}
+            </button>
+          ) : (
+            comparison.picked !== null && (
+              <span className="text-green-400">
+                You preferred {versionName(comparisonVersionId(comparison, comparison.picked))} over{" "}
+                {versionName(comparisonVersionId(comparison, comparison.picked === 1 ? 2 : 1))}.
+              </span>
+            )
+          )}
+          <button onClick={onEndComparison} className="px-3 py-1 rounded-md surface text-primary" title="Keep the version you are hearing">
+            Done
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,78 @@
 import React, { useState, useRef, useEffect } from "react";
-import { extractAudioFeatures, classifyGenre, featuresToVector } from "../utils/audioFeatures";
+import {
+  featuresToAudioVector,
+  featuresToVector,
+  genreOneHot,
+  genreLabel,
+  FEATURE_VECTOR_VERSION,
+  GENRES,
+} from "../utils/audioFeatures";
+import { extractAudioFeatures } from "../utils/featureExtraction";
+import { MixEngine } from "../utils/mixEngine";
+import { exportMix, EXPORT_FORMATS, NORMALIZATION_OPTIONS } from "../utils/mixExport";
+import { exportStems, safeFileTitle, stemPackFileName } from "../utils/stemExport";
+import { fetchJobInput, removeJob, startSeparation } from "../api";
+import { hashFile, hasCachedStems, songStemLoader } from "../utils/stemCache";
+import { isJobActive } from "../utils/separationJobs";
+import useSeparationJobs from "../hooks/useSeparationJobs";
+import SeparationJobs from "./SeparationJobs";
+import { downloadBlob } from "../utils/download";
+import {
+  defaultStrips,
+  effectiveGains,
+  formatPan,
+  gainToSlider,
+  sliderToGain,
+  stemExportGains,
+  storeGains,
+  storeStrips,
+  toggleSolo,
+  MAX_GAIN_DB,
+  SILENT_SLIDER_POSITION,
+} from "../utils/channelStrip";
+import { defaultEffects, isEffectsActive } from "../utils/effectsChain";
+import EffectsPanel from "./EffectsPanel";
+import {
+  averagedGains,
+  emptyAutomation,
+  hasPoints,
+  recordPoint,
+  storeAutomation,
+  DEFAULT_GRID,
+} from "../utils/automation";
+import AutomationLanes from "./AutomationLanes";
+import MixVersions from "./MixVersions";
+import MixPresets from "./MixPresets";
+import {
+  applyPreset,
+  createPreset,
+  exportPresets,
+  importPresets,
+  loadUserPresets,
+  saveUserPresets,
+} from "../utils/mixPresets";
+import {
+  comparisonVersionId,
+  createVersion,
+  levelMatchTrims,
+  startComparison,
+  storeVersions,
+} from "../utils/mixVersions";
+import { stemPeaks } from "../utils/waveform";
+import Timeline from "./Timeline";
+import LevelMeter from "./LevelMeter";
+import SpectrumView from "./SpectrumView";
+import {
+  describePractice,
+  formatSemitones,
+  formatTempo,
+  isPracticeActive,
+  DEFAULT_PRACTICE,
+  MAX_SEMITONES,
+  MAX_TEMPO,
+  MIN_SEMITONES,
+  MIN_TEMPO,
+} from "../utils/pitchShift";
 
 const channels = [
   { key: "vocals", label: "🎤 Vocals", color: "text-blue-300" },
@@ -8,391 +81,682 @@ const channels = [
   { key: "other", label: "🎧 Other", color: "text-purple-300" },
 ];
 
-const fmt = (db) => (db > 0 ? `+${db}` : `${db}`) + " dB";
+// Progress heading of the open job per separation status
+const SEPARATION_STAGES = {
+  queued: "Waiting for other separations to finish...",
+  loading: "Loading audio...",
+  separating: "AI Separating Audio...",
+  writing: "Writing stems...",
+};
 
-export default function Mixer({ onSave, initialGains, autoPlay, onPlayComplete, userModel, userId, theme = "dark" }) {
+const fmt = (db) => (db === -Infinity ? "-∞" : db > 0 ? `+${db}` : `${db}`) + " dB";
+
+const AB_TRANSITION = 0.03; // seconds, time constant of A/B switches (click-free crossfade of the levels)
+
+const stripPans = (strips) => Object.fromEntries(channels.map((c) => [c.key, strips[c.key].pan]));
+
+export default function Mixer({ onSave, initialStrips, initialEffects, initialAutomation, initialPractice, initialVersions, initialSource, initialSong, autoPlay, onPlayComplete, userModel, genreClassifier, userId, theme = "dark" }) {
   const [file, setFile] = useState(null);
-  const [gains, setGains] = useState(initialGains || Object.fromEntries(channels.map((c) => [c.key, 0])));
-  const [separating, setSeparating] = useState(false);
-  const [progress, setProgress] = useState(0);
+  const [strips, setStrips] = useState(initialStrips || defaultStrips(channels.map((c) => c.key))); // { key: { gain, pan, mute, solo } }
+  const [effects, setEffects] = useState(initialEffects || defaultEffects(channels.map((c) => c.key))); // Effects chain parameters per stem
+  const [effectsStem, setEffectsStem] = useState(null); // Stem whose effects panel is open
+  const [automation, setAutomation] = useState(
+    initialAutomation ? initialAutomation.lanes : emptyAutomation(channels.map((c) => c.key))
+  ); // Gain breakpoints per stem: { key: [{ time, gain }] }
+  const [automationGrid, setAutomationGrid] = useState(initialAutomation ? initialAutomation.grid : DEFAULT_GRID); // Snap grid
+  const [armed, setArmed] = useState({}); // Stems whose fader moves are recorded during playback
+  const [stemsDuration, setStemsDuration] = useState(0); // Length of the loaded stems in seconds
+  const [waveforms, setWaveforms] = useState(null); // Peaks per stem for the timeline (see utils/waveform.js)
+  const [loop, setLoop] = useState(null); // A/B loop region: { start, end, enabled }
+  const [seekedTo, setSeekedTo] = useState(0); // Last seek target, refreshes the playheads while stopped
+  const [clipped, setClipped] = useState(false); // Master went over 0 dBFS (latched until reset)
+  const [showSpectrum, setShowSpectrum] = useState(false);
+  const [practice, setPractice] = useState(initialPractice || DEFAULT_PRACTICE); // Practice tempo and transposition: { tempo, semitones }
+  const [versions, setVersions] = useState(initialVersions || []); // Named strip presets of this mix (see utils/mixVersions.js)
+  const [comparison, setComparison] = useState(null); // A/B comparison of two versions, see startComparison
+  const [userPresets, setUserPresets] = useState(() => loadUserPresets(userId)); // This profile's mix presets (see utils/mixPresets.js)
+  const [jobNotice, setJobNotice] = useState(null); // Inline message about separation jobs: { type: "success" | "error", message }
+  const [sessionId, setSessionId] = useState(initialSource ? initialSource.sessionId : null); // Job whose stems are open in the mixer
+  const [savedSong, setSavedSong] = useState(initialSong || null); // Saved song this mix updates ({ id, title }), null for a new mix
   const [playing, setPlaying] = useState(false);
   const [paused, setPaused] = useState(false);
-  const [predictedGains, setPredictedGains] = useState(null);
+  const [prediction, setPrediction] = useState(null); // { gains, confidence, trainingSamples, isFallback, ... }
   const [isPredicting, setIsPredicting] = useState(false);
+  const [analysisProgress, setAnalysisProgress] = useState(0);
   const [audioFeatures, setAudioFeatures] = useState(null);
+  const [genreProbabilities, setGenreProbabilities] = useState(null); // Classifier output, aligned with GENRES
+  const [genreOverride, setGenreOverride] = useState(null); // Genre picked manually by the user
+  const [beatIndex, setBeatIndex] = useState(-1); // Index of the most recent beat during playback
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].id);
+  const [exportNormalization, setExportNormalization] = useState(NORMALIZATION_OPTIONS[0].id);
+  const [exporting, setExporting] = useState(false);
+  const [exportProgress, setExportProgress] = useState(0);
+  const [exportStage, setExportStage] = useState("");
+  const [exportSummary, setExportSummary] = useState(null); // Result of the last export, shown below the progress bar
+  const [bakeStemGains, setBakeStemGains] = useState(false); // Apply the mix gains to downloaded stems
+  const [exportPractice, setExportPractice] = useState(false); // Apply the practice tempo/pitch to the exported mix
+
+  const engineRef = useRef(null); // Web Audio mix engine (created lazily)
+  const stemsLoadedRef = useRef(false); // Whether the engine holds the current stems
+  const sessionIdRef = useRef(initialSource ? initialSource.sessionId : null); // Same as sessionId, readable from stale closures
+  const sourceHashRef = useRef(Promise.resolve(initialSource ? initialSource.sourceHash : null)); // Content hash of the open file (promise), keys the browser stem cache
+  const jobFilesRef = useRef({}); // Uploaded File per session id (jobs uploaded from this page)
+  const stripsSmoothingRef = useRef(null); // Transition time of the next strips change (A/B switches); default smoothing if null
+  const stemsAbortRef = useRef(null); // Cancels the stem download of a job that is no longer open
+  const analysisAbortRef = useRef(null); // Cancels feature extraction for the previous file
+  const recordTimesRef = useRef({}); // Time of the last recorded automation point per stem
+  const playMixRef = useRef(null); // Latest playMix and onPlayComplete, for the delayed auto-play
+  const onPlayCompleteRef = useRef(onPlayComplete);
+  onPlayCompleteRef.current = onPlayComplete;
+
+  const getEngine = () => {
+    if (!engineRef.current) {
+      engineRef.current = new MixEngine(channels.map((c) => c.key));
+      engineRef.current.onEnded = () => {
+        setPlaying(false);
+        setPaused(false);
+      };
+    }
+    return engineRef.current;
+  };
+
+  // Update channel strips when initialStrips prop changes
+  useEffect(() => {
+    if (initialStrips) {
+      setStrips(initialStrips);
+    }
+  }, [initialStrips]);
+
+  // Update effects when initialEffects prop changes
+  useEffect(() => {
+    if (initialEffects) {
+      setEffects(initialEffects);
+    }
+  }, [initialEffects]);
+
+  // Update automation when initialAutomation prop changes
+  useEffect(() => {
+    if (initialAutomation) {
+      setAutomation(initialAutomation.lanes);
+      setAutomationGrid(initialAutomation.grid);
+    }
+  }, [initialAutomation]);
+
+  // Open the stems of another song when initialSource prop changes ({ sessionId, sourceHash })
+  useEffect(() => {
+    if (initialSource) {
+      sessionIdRef.current = initialSource.sessionId;
+      setSessionId(initialSource.sessionId);
+      sourceHashRef.current = Promise.resolve(initialSource.sourceHash);
+      stemsLoadedRef.current = false;
+    }
+  }, [initialSource]);
+
+  // Follow the saved song opened from My Songs (null once it is deleted)
+  useEffect(() => {
+    setSavedSong(initialSong || null);
+  }, [initialSong]);
 
-  const audioRef = useRef(null);
-  const progressIntervalRef = useRef(null);
-  const updateTimeoutRef = useRef(null);
+  // Load the presets of another profile when userId prop changes
+  useEffect(() => {
+    setUserPresets(loadUserPresets(userId));
+  }, [userId]);
 
-  // Update gains when initialGains prop changes
+  // Update mix versions when initialVersions prop changes
   useEffect(() => {
-    if (initialGains) {
-      setGains(initialGains);
+    if (initialVersions) {
+      setVersions(initialVersions);
+      setComparison(null);
     }
-  }, [initialGains]);
+  }, [initialVersions]);
 
-  // Cleanup intervals and timeouts on unmount
+  // Update practice settings when initialPractice prop changes
+  useEffect(() => {
+    if (initialPractice) {
+      setPractice(initialPractice);
+    }
+  }, [initialPractice]);
+
+  // Apply strip changes (mute/solo resolved to gains) to the live mix immediately
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setGains(effectiveGains(strips), stripsSmoothingRef.current || undefined);
+      engineRef.current.setPans(stripPans(strips));
+    }
+    stripsSmoothingRef.current = null;
+  }, [strips]);
+
+  // Apply effects changes to the live mix immediately
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setEffects(effects);
+    }
+  }, [effects]);
+
+  // Apply automation changes to the live mix immediately (rescheduled from the playhead)
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setAutomation(automation);
+    }
+  }, [automation]);
+
+  // Apply the loop region to the live mix
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setLoop(loop && loop.enabled ? loop : null).catch((err) => {
+        console.error("Error applying loop:", err);
+      });
+    }
+  }, [loop]);
+
+  // Apply the practice tempo and pitch to the live mix
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setPractice(practice).catch((err) => {
+        console.error("Error applying tempo/pitch:", err);
+      });
+    }
+  }, [practice]);
+
+  // Follow the detected beat grid during playback
+  useEffect(() => {
+    const beats = audioFeatures && audioFeatures.beats;
+    if (!playing || paused || !beats || beats.length === 0 || !engineRef.current) {
+      return undefined;
+    }
+
+    let frameId;
+    const tick = () => {
+      const time = engineRef.current ? engineRef.current.getCurrentTime() : 0;
+      // Binary search for the last beat at or before the playhead
+      let lo = 0;
+      let hi = beats.length - 1;
+      let index = -1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (beats[mid] <= time) {
+          index = mid;
+          lo = mid + 1;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      setBeatIndex(index);
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, paused, audioFeatures]);
+
+  // Cleanup analysis and audio engine on unmount
   useEffect(() => {
     return () => {
-      if (progressIntervalRef.current) {
-        clearInterval(progressIntervalRef.current);
+      if (analysisAbortRef.current) {
+        analysisAbortRef.current.abort();
+      }
+      if (stemsAbortRef.current) {
+        stemsAbortRef.current.abort();
       }
-      if (updateTimeoutRef.current) {
-        clearTimeout(updateTimeoutRef.current);
+      if (engineRef.current) {
+        engineRef.current.dispose();
+        engineRef.current = null;
       }
     };
   }, []);
 
-  // Auto-play when autoPlay is true (try to play even without file - backend may have the separated tracks)
+  // Auto-play when autoPlay is true (the stems of the selected song are loaded from the browser cache or the backend)
   useEffect(() => {
     if (autoPlay) {
       // Small delay to ensure gains are set
       const timer = setTimeout(() => {
-        playMix();
-        if (typeof onPlayComplete === "function") {
-          onPlayComplete();
+        playMixRef.current();
+        if (typeof onPlayCompleteRef.current === "function") {
+          onPlayCompleteRef.current();
         }
       }, 100);
       return () => clearTimeout(timer);
-      // eslint-disable-next-line react-hooks/exhaustive-deps
     }
   }, [autoPlay]);
 
   // ------------------------
-  // Handle slider change with live updates (debounced)
+  // Channel strip changes (applied live by the strips effect above)
   // ------------------------
   const handleChange = (key, val) => {
-    const newGains = { ...gains, [key]: parseInt(val) };
-    setGains(newGains);
-    
-    // If audio is currently playing, update it in real-time (debounced)
-    if (playing && !paused && audioRef.current) {
-      // Clear any pending update
-      if (updateTimeoutRef.current) {
-        clearTimeout(updateTimeoutRef.current);
-      }
-      
-      // Debounce the update by 200ms to avoid too many API calls (reduced for more responsive feel)
-      updateTimeoutRef.current = setTimeout(() => {
-        updatePlayingAudio(newGains);
-      }, 200);
+    const gain = sliderToGain(val);
+    setStrips((prev) => ({ ...prev, [key]: { ...prev[key], gain } }));
+
+    // Armed stems write their fader moves into the automation lane while playing
+    const engine = engineRef.current;
+    if (armed[key] && engine && engine.isPlaying) {
+      const time = engine.getCurrentTime();
+      const previousTime = key in recordTimesRef.current ? recordTimesRef.current[key] : null;
+      recordTimesRef.current[key] = time;
+      setAutomation((prev) => ({ ...prev, [key]: recordPoint(prev[key], time, gain, previousTime) }));
     }
   };
 
-  // ------------------------
-  // Update playing audio with new mix (real-time with smooth crossfade)
-  // ------------------------
-  const updatePlayingAudio = async (newGains) => {
-    if (!audioRef.current) return;
-    
-    try {
-      // Save current playback state
-      const currentTime = audioRef.current.currentTime;
-      const wasPlaying = !audioRef.current.paused;
-      const oldAudio = audioRef.current;
-      const oldVolume = oldAudio.volume;
-
-      const formData = new FormData();
-      formData.append("vocals_gain", newGains.vocals);
-      formData.append("drums_gain", newGains.drums);
-      formData.append("bass_gain", newGains.bass);
-      formData.append("other_gain", newGains.other);
-
-      const resp = await fetch("http://127.0.0.1:8000/mix", { method: "POST", body: formData });
-      
-      if (!resp.ok) {
-        throw new Error(`Server error: ${resp.status}`);
-      }
-      
-      const data = await resp.json();
+  const handlePan = (key, val) => {
+    setStrips((prev) => ({ ...prev, [key]: { ...prev[key], pan: Number(val) / 100 } }));
+  };
 
-      if (!data.path) {
-        throw new Error("No audio path returned from server");
-      }
+  const handleMute = (key) => {
+    setStrips((prev) => ({ ...prev, [key]: { ...prev[key], mute: !prev[key].mute } }));
+  };
 
-      // Create new audio with updated mix
-      const newAudio = new Audio(`http://127.0.0.1:8000${data.path}`);
-      
-      // Set up event handlers
-      newAudio.onended = () => {
-        setPlaying(false);
-        setPaused(false);
-      };
+  // Ctrl/Cmd-click soloes this stem exclusively
+  const handleSolo = (key, e) => {
+    const exclusive = e.ctrlKey || e.metaKey;
+    setStrips((prev) => toggleSolo(prev, key, exclusive));
+  };
 
-      newAudio.onerror = (e) => {
-        console.error("Audio playback error:", e);
-        setPlaying(false);
-        setPaused(false);
-      };
+  // Move the faders to suggested gains, keeping pan/mute/solo
+  const applyGains = (newGains) => {
+    setStrips((prev) =>
+      Object.fromEntries(channels.map((c) => [c.key, { ...prev[c.key], gain: newGains[c.key] }]))
+    );
+  };
 
-      // Preload the new audio
-      newAudio.preload = "auto";
-      newAudio.volume = 0; // Start at 0 for crossfade
-      
-      let crossfadeStarted = false;
-      
-      // Wait for audio to be ready, then do smooth crossfade
-      const handleCanPlay = async () => {
-        if (crossfadeStarted) return; // Prevent double execution
-        crossfadeStarted = true;
-        
-        // Set position to match old audio
-        const targetTime = Math.min(currentTime, newAudio.duration || currentTime);
-        newAudio.currentTime = targetTime;
-        
-        if (wasPlaying) {
-          try {
-            // Start playing new audio at volume 0
-            await newAudio.play();
-            
-            // Crossfade: fade out old, fade in new
-            const fadeDuration = 150; // 150ms crossfade for smoother transition
-            const steps = 30; // More steps for smoother fade
-            const stepTime = fadeDuration / steps;
-            const volumeStep = 1 / steps;
-            
-            let step = 0;
-            const fadeInterval = setInterval(() => {
-              step++;
-              const newVolume = Math.min(step * volumeStep, 1);
-              const oldVolumeNew = Math.max(1 - (step * volumeStep), 0);
-              
-              newAudio.volume = newVolume;
-              if (oldAudio && oldAudio !== newAudio && !oldAudio.paused) {
-                oldAudio.volume = oldVolumeNew;
-              }
-              
-              if (step >= steps) {
-                clearInterval(fadeInterval);
-                // Stop old audio completely
-                if (oldAudio && oldAudio !== newAudio) {
-                  oldAudio.pause();
-                  oldAudio.volume = oldVolume; // Restore original volume for reference
-                }
-                newAudio.volume = 1;
-                audioRef.current = newAudio;
-              }
-            }, stepTime);
-            
-          } catch (e) {
-            console.error("Error playing updated audio:", e);
-            // Fallback: just swap without crossfade
-            if (oldAudio) oldAudio.pause();
-            audioRef.current = newAudio;
-            newAudio.volume = 1;
-            if (wasPlaying) newAudio.play();
-          }
-        } else {
-          // Not playing, just swap
-          if (oldAudio) oldAudio.pause();
-          audioRef.current = newAudio;
-          newAudio.volume = 1;
-        }
-      };
-      
-      // Use canplaythrough for better loading (waits for more data)
-      newAudio.addEventListener("canplaythrough", handleCanPlay, { once: true });
-      
-      // Fallback: if canplaythrough doesn't fire quickly enough, use loadeddata
-      const fallbackTimeout = setTimeout(() => {
-        if (!crossfadeStarted && newAudio.readyState >= 2) { // HAVE_CURRENT_DATA or better
-          handleCanPlay();
-        }
-      }, 500);
-      
-      newAudio.addEventListener("canplaythrough", () => {
-        clearTimeout(fallbackTimeout);
-      }, { once: true });
-      
-      // Load the audio
-      newAudio.load();
-      
-    } catch (err) {
-      console.error("Error updating audio:", err);
-      // Don't show alert for real-time updates, just log the error
+  const handleEffectsChange = (key, stemEffects) => {
+    setEffects((prev) => ({ ...prev, [key]: stemEffects }));
+  };
+
+  const handleAutomationChange = (key, points) => {
+    setAutomation((prev) => ({ ...prev, [key]: points }));
+  };
+
+  const handleArm = (key) => {
+    delete recordTimesRef.current[key];
+    setArmed((prev) => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const heardGains = effectiveGains(strips);
+
+  // Timeline length: the loaded stems, or the analysed file until they arrive
+  const timelineDuration = stemsDuration || (audioFeatures && audioFeatures.durationSeconds) || 0;
+
+  const getPlaybackTime = () => (engineRef.current ? engineRef.current.getCurrentTime() : 0);
+
+  // Meter readings for the level meters and spectrum view (null until the engine exists)
+  const getLevels = (key) => (engineRef.current ? engineRef.current.getLevels(key) : null);
+  const getSpectrum = (key) => (engineRef.current ? engineRef.current.getSpectrum(key) : null);
+
+  // ------------------------
+  // Load and decode the separated stems of the open file into the mix engine
+  // (from the browser stem cache, else downloaded from its session and cached)
+  // ------------------------
+  const stemLoader = async (signal) =>
+    songStemLoader({
+      sourceHash: await sourceHashRef.current,
+      sessionId: sessionIdRef.current,
+      stemKeys: channels.map((c) => c.key),
+      title: mixTitle(),
+      signal,
+    });
+
+  // A separation session, or stems stored in this browser
+  const hasStems = async () => {
+    const sourceHash = await sourceHashRef.current;
+    return !!sessionIdRef.current || (!!sourceHash && (await hasCachedStems(sourceHash)));
+  };
+
+  const loadStems = async () => {
+    if (stemsAbortRef.current) {
+      stemsAbortRef.current.abort();
+    }
+    const controller = new AbortController();
+    stemsAbortRef.current = controller;
+    if (!(await hasStems())) {
+      throw new Error("No separated stems yet");
     }
+    await getEngine().loadStems(await stemLoader(controller.signal));
+    if (controller.signal.aborted) return; // Another file was opened meanwhile
+    stemsLoadedRef.current = true;
+    setStemsDuration(getEngine().duration);
+    setWaveforms(stemPeaks(getEngine()));
   };
 
   // ------------------------
-  // Poll for separation progress
+  // Separation jobs: follow their events and load the open job's stems when it is done
   // ------------------------
-  const pollProgress = async () => {
-    try {
-      const resp = await fetch("http://127.0.0.1:8000/separation_progress");
-      if (!resp.ok) {
-        console.error("Failed to fetch progress");
-        return true; // Continue polling
-      }
-      
-      const data = await resp.json();
-      const progressValue = Math.round(data.progress * 100);
-      setProgress(progressValue);
-
-      if (data.status === "completed" && progressValue >= 100) {
-        // Clear polling interval first
-        if (progressIntervalRef.current) {
-          clearInterval(progressIntervalRef.current);
-          progressIntervalRef.current = null;
-        }
-        setSeparating(false);
-        setProgress(100);
-        // Use setTimeout to avoid blocking
-        setTimeout(() => {
-          alert("Separation complete.");
-        }, 100);
-        return false; // Stop polling
-      } else if (data.status === "error") {
-        // Clear polling interval on error
-        if (progressIntervalRef.current) {
-          clearInterval(progressIntervalRef.current);
-          progressIntervalRef.current = null;
-        }
-        setSeparating(false);
-        setTimeout(() => {
-          alert("Separation error occurred.");
-        }, 100);
-        return false; // Stop polling
-      }
-      return true; // Continue polling
-    } catch (err) {
-      console.error("Progress poll error:", err);
-      return true; // Continue polling on error
+  const handleJobChange = (job, previous) => {
+    if (job.session_id !== sessionIdRef.current || !previous || !isJobActive(previous)) return;
+    if (job.status === "done") {
+      // Download the new stems once so playback and gain changes stay client-side
+      loadStems().catch((err) => {
+        if (err.name === "AbortError") return; // Superseded by another load
+        console.error("Error loading stems:", err);
+        setJobNotice({ type: "error", message: `Could not load the stems of "${job.filename}": ${err.message}` });
+      });
+      setJobNotice({ type: "success", message: `Separation of "${job.filename}" complete.` });
+    } else if (job.status === "failed") {
+      setJobNotice({ type: "error", message: `Separation of "${job.filename}" failed: ${job.error}` });
     }
   };
+  const { jobs, connection, addJob, dropJob } = useSeparationJobs(handleJobChange);
+
+  const openJobState = jobs.find((j) => j.session_id === sessionId) || null;
+  const separating = !!openJobState && isJobActive(openJobState);
 
   // ------------------------
   // Extract features and predict settings
   // ------------------------
   const handleFileSelect = async (file) => {
     if (!file) return;
+
+    // Cancel analysis of a previously selected file
+    if (analysisAbortRef.current) {
+      analysisAbortRef.current.abort();
+    }
+    const controller = new AbortController();
+    analysisAbortRef.current = controller;
     
     setIsPredicting(true);
+    setAnalysisProgress(0);
     try {
-      // Extract audio features
-      const features = await extractAudioFeatures(file);
+      // Extract audio features (analysis runs in a Web Worker)
+      const features = await extractAudioFeatures(file, {
+        signal: controller.signal,
+        onProgress: setAnalysisProgress,
+      });
       setAudioFeatures(features);
+      setGenreOverride(null);
+      if (features.beats && features.beats.length > 0) {
+        // Snap automation to the detected tempo, aligned to the first beat
+        setAutomationGrid((prev) => ({ ...prev, bpm: Math.round(features.bpm), offset: features.beats[0] }));
+      }
       
       // Classify genre
-      const genreVector = classifyGenre(features);
-      
-      // Convert to model input
-      const featureVector = featuresToVector(features, genreVector);
+      let probabilities = null;
+      if (genreClassifier) {
+        probabilities = await genreClassifier.predict(featuresToAudioVector(features));
+      }
+      if (controller.signal.aborted) return;
+      setGenreProbabilities(probabilities);
       
       // Predict gains if model is available
-      if (userModel && userModel.isInitialized) {
-        const predicted = await userModel.predict(featureVector);
-        setPredictedGains(predicted);
-        // Auto-apply predicted gains
-        setGains(predicted);
-      } else {
-        setPredictedGains(null);
-      }
+      const predicted = await predictGains(features, probabilities || new Array(GENRES.length).fill(0));
+      if (controller.signal.aborted) return;
+      applyPrediction(predicted);
     } catch (error) {
+      if (error.name === "AbortError") return; // A newer file took over
       console.error("Error extracting features:", error);
-      setPredictedGains(null);
+      setPrediction(null);
     } finally {
-      setIsPredicting(false);
+      if (analysisAbortRef.current === controller) {
+        analysisAbortRef.current = null;
+        setIsPredicting(false);
+      }
     }
   };
 
   // ------------------------
-  // Upload and trigger Demucs
+  // Predict gains from features and a genre vector
   // ------------------------
-  const handleUpload = async (e) => {
-    const f = e.target.files[0];
-    if (!f) return;
-    setFile(f);
-    
-    // Extract features and predict settings
-    await handleFileSelect(f);
-    
-    setSeparating(true);
-    setProgress(0);
+  const predictGains = async (features, genreVector) => {
+    if (!userModel || !userModel.isInitialized) return null;
+    return userModel.predictWithConfidence(featuresToVector(features, genreVector));
+  };
 
-    const formData = new FormData();
-    formData.append("file", f);
+  const applyPrediction = (predicted) => {
+    setPrediction(predicted);
+    if (predicted && !predicted.isFallback) {
+      // Auto-apply predicted gains only when the model is confident
+      applyGains(predicted.gains);
+    }
+  };
 
+  // Genre vector used for the model: the manual override wins over the classifier
+  const currentGenreVector = () => {
+    if (genreOverride) return genreOneHot(genreOverride);
+    return genreProbabilities || new Array(GENRES.length).fill(0);
+  };
+
+  const detectedGenre = genreProbabilities
+    ? GENRES[genreProbabilities.indexOf(Math.max(...genreProbabilities))]
+    : null;
+
+  // ------------------------
+  // Manual genre correction
+  // ------------------------
+  const handleGenreOverride = async (value) => {
+    const override = value || null;
+    setGenreOverride(override);
+    if (!audioFeatures) return;
+
+    // Re-predict with the corrected genre
+    const genreVector = override ? genreOneHot(override) : genreProbabilities || new Array(GENRES.length).fill(0);
     try {
-      const resp = await fetch("http://127.0.0.1:8000/start_separation", {
-        method: "POST",
-        body: formData,
-      });
+      applyPrediction(await predictGains(audioFeatures, genreVector));
+    } catch (error) {
+      console.error("Error predicting gains:", error);
+    }
+  };
 
-      if (!resp.ok) throw new Error("Separation failed");
-      const data = await resp.json();
+  // ------------------------
+  // Open a file (and its separation session) in the mixer
+  // ------------------------
+  // Returns the promise of the file's content hash (null if it cannot be hashed)
+  const openFile = (f, session) => {
+    setFile(f);
+    setSavedSong(null); // Saving creates a new song for a new file
+    setJobNotice(null);
+    if (stemsAbortRef.current) {
+      stemsAbortRef.current.abort();
+    }
 
-      if (data.status === "processing") {
-        // Clear any existing polling interval
-        if (progressIntervalRef.current) {
-          clearInterval(progressIntervalRef.current);
-          progressIntervalRef.current = null;
-        }
-        
-        // Start polling for progress
-        progressIntervalRef.current = setInterval(async () => {
-          const shouldContinue = await pollProgress();
-          if (!shouldContinue && progressIntervalRef.current) {
-            clearInterval(progressIntervalRef.current);
-            progressIntervalRef.current = null;
-          }
-        }, 300); // Poll every 300ms
-      } else {
-        throw new Error("Unexpected response");
+    // The stems in the engine (and the automation drawn over them) belong to the previous file
+    stopMix();
+    sessionIdRef.current = session;
+    setSessionId(session);
+    const sourceHash = hashFile(f).catch((err) => {
+      console.warn("Could not hash file:", err);
+      return null;
+    });
+    sourceHashRef.current = sourceHash;
+    stemsLoadedRef.current = false;
+    setStemsDuration(0);
+    setWaveforms(null);
+    setLoop(null);
+    setClipped(false);
+    setAutomation(emptyAutomation(channels.map((c) => c.key)));
+    setPractice(DEFAULT_PRACTICE);
+    setVersions([]);
+    setComparison(null);
+
+    // Extract features and predict settings (runs in a worker alongside separation)
+    handleFileSelect(f);
+    return sourceHash;
+  };
+
+  const openJob = async (job) => {
+    try {
+      const f = jobFilesRef.current[job.session_id] || (await fetchJobInput(job));
+      openFile(f, job.session_id);
+      if (job.status === "done") {
+        await loadStems();
       }
     } catch (err) {
-      console.error(err);
-      alert("Error starting separation");
-      setSeparating(false);
-      setProgress(0);
+      if (err.name === "AbortError") return; // Another job was opened meanwhile
+      console.error("Error opening job:", err);
+      setJobNotice({ type: "error", message: `Error opening "${job.filename}": ${err.message}` });
+    }
+  };
+
+  const handleRemoveJob = async (job) => {
+    if (!window.confirm(`Delete the stems of "${job.filename}" from the server? Saved mixes that use them can no longer be played.`)) return;
+    try {
+      await removeJob(job.session_id);
+      delete jobFilesRef.current[job.session_id];
+      dropJob(job.session_id);
+    } catch (err) {
+      console.error("Error removing job:", err);
+      setJobNotice({ type: "error", message: err.message });
     }
   };
 
   // ------------------------
-  // Play / Pause / Resume / Stop
+  // Upload and trigger Demucs (one job per file; the first file opens in the mixer).
+  // Files whose stems are already stored in this browser are not separated again.
   // ------------------------
-  const playMix = async () => {
-    try {
-      const formData = new FormData();
-      formData.append("vocals_gain", gains.vocals);
-      formData.append("drums_gain", gains.drums);
-      formData.append("bass_gain", gains.bass);
-      formData.append("other_gain", gains.other);
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = ""; // Allow choosing the same files again
+    if (files.length === 0) return;
+    const firstHash = openFile(files[0], null);
+    const alreadyStored = [];
 
-      const resp = await fetch("http://127.0.0.1:8000/mix", { method: "POST", body: formData });
-      
-      if (!resp.ok) {
-        throw new Error(`Server error: ${resp.status}`);
-      }
-      
-      const data = await resp.json();
+    for (const [index, f] of files.entries()) {
+      // Unless another file was opened meanwhile
+      const stillOpen = () => index === 0 && sourceHashRef.current === firstHash;
+      try {
+        const hash = index === 0 ? await firstHash : await hashFile(f).catch(() => null);
+        if (hash && (await hasCachedStems(hash))) {
+          if (stillOpen()) {
+            loadStems()
+              .then(() => setJobNotice({ type: "success", message: `Stems of "${f.name}" loaded from this browser.` }))
+              .catch((err) => {
+                if (err.name === "AbortError") return; // Another file was opened meanwhile
+                console.error("Error loading stored stems:", err);
+                setJobNotice({ type: "error", message: `Could not load the stored stems of "${f.name}": ${err.message}` });
+              });
+          } else {
+            alreadyStored.push(f.name);
+          }
+          continue;
+        }
 
-      if (!data.path) {
-        throw new Error("No audio path returned from server");
+        const job = await startSeparation(f);
+        jobFilesRef.current[job.session_id] = f;
+        addJob(job);
+        if (stillOpen()) {
+          sessionIdRef.current = job.session_id;
+          setSessionId(job.session_id);
+        }
+      } catch (err) {
+        console.error(err);
+        setJobNotice({ type: "error", message: `Error starting separation of "${f.name}": ${err.message}` });
       }
+    }
+    if (alreadyStored.length > 0) {
+      setJobNotice({
+        type: "success",
+        message: `Not separated again, the stems are already stored in this browser: ${alreadyStored.join(", ")}. Choose one of them on its own to open it.`,
+      });
+    }
+  };
 
-      // Stop any currently playing audio
-      if (audioRef.current) {
-        audioRef.current.pause();
-        audioRef.current = null;
-      }
+  // ------------------------
+  // Mix versions and A/B comparison (level-matched while comparing)
+  // ------------------------
+  const findVersion = (id) => versions.find((v) => v.id === id);
 
-      const audio = new Audio(`http://127.0.0.1:8000${data.path}`);
-      audioRef.current = audio;
-      
-      audio.onended = () => {
-        setPlaying(false);
-        setPaused(false);
-      };
+  // Switch the mixer to a version with a click-free crossfade of the levels
+  const applyVersion = (version) => {
+    if (version.strips === strips) return;
+    stripsSmoothingRef.current = AB_TRANSITION;
+    setStrips(version.strips);
+  };
 
-      audio.onerror = (e) => {
-        console.error("Audio playback error:", e);
-        alert("Error playing audio. Make sure you have uploaded and separated a file first.");
-        setPlaying(false);
-        setPaused(false);
-      };
+  const handleSaveVersion = (name) => setVersions([...versions, createVersion(name, strips)]);
+  const handleLoadVersion = (id) => applyVersion(findVersion(id));
+  const handleUpdateVersion = (id) => setVersions(versions.map((v) => (v.id === id ? { ...v, strips } : v)));
+  const handleDeleteVersion = (id) => {
+    const version = findVersion(id);
+    if (!window.confirm(`Delete the version "${version.name}"?`)) return;
+    setVersions(versions.filter((v) => v.id !== id));
+    if (comparison && (comparison.a === id || comparison.b === id)) {
+      setComparison(null);
+    }
+  };
+
+  const handleStartComparison = (a, b, blind) => {
+    const next = startComparison(a, b, blind);
+    setComparison(next);
+    applyVersion(findVersion(comparisonVersionId(next, next.active)));
+  };
+  const handleSwitchComparison = (slot) => {
+    setComparison({ ...comparison, active: slot });
+    applyVersion(findVersion(comparisonVersionId(comparison, slot)));
+  };
+  const handlePickComparison = (slot) => {
+    setComparison({ ...comparison, active: slot, picked: slot });
+    applyVersion(findVersion(comparisonVersionId(comparison, slot)));
+  };
 
-      await audio.play();
+  // Trims that bring both compared versions to the same estimated level (once the stems are loaded)
+  const comparedA = comparison && findVersion(comparison.a);
+  const comparedB = comparison && findVersion(comparison.b);
+  const stemPowers = comparedA && comparedB && stemsDuration > 0 && engineRef.current ? engineRef.current.stemPowers() : null;
+  const comparisonTrims = stemPowers ? levelMatchTrims(comparedA.strips, comparedB.strips, stemPowers) : null;
+  const masterTrim = comparisonTrims
+    ? comparisonVersionId(comparison, comparison.active) === comparison.a
+      ? comparisonTrims.a
+      : comparisonTrims.b
+    : 0;
+
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setMasterTrim(masterTrim, AB_TRANSITION);
+    }
+  }, [masterTrim]);
+
+  // ------------------------
+  // Mix presets (built-in and per profile), applied to the faders of any song
+  // ------------------------
+  const updateUserPresets = (presets) => {
+    setUserPresets(presets);
+    saveUserPresets(userId, presets);
+  };
+
+  const handleApplyPreset = (preset) => {
+    stripsSmoothingRef.current = AB_TRANSITION;
+    setStrips(applyPreset(strips, preset));
+  };
+
+  // Returns the new preset's id
+  const handleSavePreset = (name) => {
+    const preset = createPreset(name, heardGains);
+    updateUserPresets([...userPresets, preset]);
+    return preset.id;
+  };
+
+  const handleDeletePreset = (id) => updateUserPresets(userPresets.filter((preset) => preset.id !== id));
+
+  const handleExportPresets = () => {
+    const blob = new Blob([exportPresets(userPresets)], { type: "application/json" });
+    downloadBlob(blob, `${safeFileTitle(userId)} - mix presets.json`);
+  };
+
+  const handleImportPresets = async (presetFile) => {
+    try {
+      const imported = importPresets(await presetFile.text(), channels.map((c) => c.key), userPresets);
+      updateUserPresets([...userPresets, ...imported]);
+      alert(`Imported ${imported.length} preset${imported.length === 1 ? "" : "s"}: ${imported.map((p) => p.name).join(", ")}`);
+    } catch (err) {
+      console.error("Preset import error:", err);
+      alert(`Error importing presets: ${err.message}`);
+    }
+  };
+
+  // ------------------------
+  // Play / Pause / Resume / Stop
+  // ------------------------
+  const playMix = async () => {
+    try {
+      if (!stemsLoadedRef.current) {
+        await loadStems();
+      }
+
+      const engine = getEngine();
+      engine.setGains(heardGains);
+      engine.setPans(stripPans(strips));
+      engine.setEffects(effects);
+      engine.setAutomation(automation);
+      await engine.setLoop(loop && loop.enabled ? loop : null);
+      await engine.setPractice(practice);
+      recordTimesRef.current = {};
+      await engine.play(engine.getCurrentTime()); // from the start, or where the playhead was moved while stopped
       setPlaying(true);
       setPaused(false);
     } catch (err) {
@@ -402,53 +766,178 @@ export default function Mixer({ onSave, initialGains, autoPlay, onPlayComplete,
       setPaused(false);
     }
   };
+  playMixRef.current = playMix;
 
   const pauseMix = () => {
-    if (!audioRef.current) return;
-    audioRef.current.pause();
+    if (!engineRef.current) return;
+    engineRef.current.pause();
     setPaused(true);
   };
 
-  const resumeMix = () => {
-    if (!audioRef.current) return;
-    audioRef.current.play();
+  const resumeMix = async () => {
+    if (!engineRef.current) return;
+    recordTimesRef.current = {};
+    await engineRef.current.resume();
     setPaused(false);
   };
 
   const stopMix = () => {
-    if (!audioRef.current) return;
-    audioRef.current.pause();
-    audioRef.current.currentTime = 0;
+    if (!engineRef.current) return;
+    engineRef.current.stop();
     setPlaying(false);
     setPaused(false);
   };
 
+  const togglePlay = () => {
+    if (!playing) {
+      playMix();
+    } else if (paused) {
+      resumeMix();
+    } else {
+      pauseMix();
+    }
+  };
+
+  const seekMix = async (time) => {
+    if (!engineRef.current) return;
+    recordTimesRef.current = {};
+    try {
+      await engineRef.current.seek(time);
+    } catch (err) {
+      console.error("Seek error:", err);
+    }
+    setSeekedTo(time);
+  };
+
+  // ------------------------
+  // Export the current mix (rendered and encoded in the browser)
+  // ------------------------
+  const mixTitle = () => (file ? file.name.replace(/\.[^/.]+$/, "") : "mix");
+
+  const handleExport = async () => {
+    setExporting(true);
+    setExportProgress(0);
+    setExportStage("Loading stems");
+    setExportSummary(null);
+    try {
+      if (!stemsLoadedRef.current) {
+        await loadStems();
+      }
+
+      const engine = getEngine();
+      engine.setGains(heardGains);
+      engine.setPans(stripPans(strips));
+      engine.setEffects(effects);
+      engine.setAutomation(automation);
+      const result = await exportMix(engine, {
+        format: exportFormat,
+        normalization: exportNormalization,
+        practice: exportPractice ? practice : null,
+        onProgress: (fraction, stage) => {
+          setExportProgress(Math.round(fraction * 100));
+          setExportStage(stage);
+        },
+      });
+
+      const filename = `${mixTitle()} (mix).${result.extension}`;
+      downloadBlob(result.blob, filename);
+
+      const peakDb = result.peak > 0 ? `${(20 * Math.log10(result.peak)).toFixed(1)} dBFS peak` : "silent";
+      const loudness = result.loudness !== null ? `, ${result.loudness.toFixed(1)} LUFS` : "";
+      setExportSummary(`${filename}: ${peakDb}${loudness}`);
+    } catch (err) {
+      console.error("Mix export error:", err);
+      alert(`Error exporting mix: ${err.message}. Make sure you have uploaded and separated a file first.`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // ------------------------
+  // Download the separated stems as a ZIP (optionally with the gains applied)
+  // ------------------------
+  const handleDownloadStems = async () => {
+    setExporting(true);
+    setExportProgress(0);
+    setExportStage("Packing stems");
+    setExportSummary(null);
+    try {
+      const stemKeys = channels.map((c) => c.key);
+      if (!(await hasStems())) {
+        throw new Error("No separated stems yet");
+      }
+      if (bakeStemGains && !stemsLoadedRef.current) {
+        await loadStems();
+      }
+
+      const zip = await exportStems({
+        title: mixTitle(),
+        stemKeys,
+        loadStem: await stemLoader(),
+        engine: stemsLoadedRef.current ? getEngine() : null,
+        bakeGains: bakeStemGains,
+        gains: stemExportGains(strips),
+        pans: stripPans(strips),
+        effects,
+        automation,
+        onProgress: (fraction) => setExportProgress(Math.round(fraction * 100)),
+      });
+
+      const filename = stemPackFileName(mixTitle(), bakeStemGains);
+      downloadBlob(zip, filename);
+      setExportSummary(filename);
+    } catch (err) {
+      console.error("Stem download error:", err);
+      alert(`Error downloading stems: ${err.message}. Make sure you have uploaded and separated a file first.`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   // ------------------------
   // Save metadata with features for model training
+  // (updates the open saved song unless `asNew`)
   // ------------------------
-  const handleSave = () => {
-    if (!file) {
+  const handleSave = async (asNew = false) => {
+    if (!file && !savedSong) {
       alert("Please upload a file first");
       return;
     }
-    const title = file.name.replace(/\.[^/.]+$/, "");
-    const details = channels.map((c) => `${c.label}: ${fmt(gains[c.key])}`).join(", ");
+    const title = file ? file.name.replace(/\.[^/.]+$/, "") : savedSong.title;
+    const details = channels.map((c) => {
+      const strip = strips[c.key];
+      const pan = formatPan(strip.pan);
+      return `${c.label}: ${fmt(strip.gain)}${pan === "C" ? "" : ` ${pan}`}${strip.mute ? " (muted)" : ""}${strip.solo ? " (solo)" : ""}${isEffectsActive(effects[c.key]) ? " +FX" : ""}${hasPoints(automation[c.key]) ? " (automated)" : ""}`;
+    }).join(", ") + (isPracticeActive(practice) ? ` (practice ${describePractice(practice)})` : "");
     if (typeof onSave === "function") {
       // Prepare feature vector if available
       let featureVector = null;
       if (audioFeatures) {
-        const genreVector = classifyGenre(audioFeatures);
-        featureVector = featuresToVector(audioFeatures, genreVector);
+        featureVector = featuresToVector(audioFeatures, currentGenreVector());
       }
       
-      onSave({ 
-        title, 
+      const saved = await onSave({
+        title,
         artist: "Custom Mix", 
         details,
-        gains: { ...gains }, // Save the gain settings
+        gains: storeGains(averagedGains(heardGains, automation, timelineDuration)), // Levels as heard (mute/solo applied, automation averaged, null = -∞)
+        strips: storeStrips(strips), // Fader, pan, mute and solo per stem
+        effects, // Effects chain parameters per stem
+        automation: storeAutomation(automation), // Gain breakpoints per stem
+        automationGrid, // BPM grid the breakpoints were drawn on
+        practice, // Practice tempo and transposition
+        versions: storeVersions(versions), // Named strip presets for A/B comparison
         features: featureVector, // Save features for model training
-      });
-      alert(`"${title}" saved successfully! The AI model has learned from your preferences.`);
+        featureVersion: featureVector ? FEATURE_VECTOR_VERSION : null, // Layout of `features`
+        genre: genreOverride || detectedGenre, // Genre used for this mix
+        genreOverride, // Manual correction (null if the classifier was accepted)
+        sessionId: sessionIdRef.current, // Separation whose stems this mix uses
+        sourceHash: await sourceHashRef.current, // SHA-256 of the uploaded file, keys its stems in the browser cache
+      }, { songId: !asNew && savedSong ? savedSong.id : null });
+      if (saved) {
+        const action = !asNew && savedSong && saved.id === savedSong.id ? "updated" : "saved";
+        alert(`"${saved.title}" ${action} successfully! The AI model has learned from your preferences.`);
+      }
     } else {
       alert("Error: Save handler not available");
     }
@@ -479,27 +968,47 @@ export default function Mixer({ onSave, initialGains, autoPlay, onPlayComplete,
       {/* AI Prediction Indicator */}
       {isPredicting && (
         <div className="relative z-10 mb-4 surface rounded-lg p-3 border border-green-500/30">
-          <div className="flex items-center gap-2">
+          <div className="flex items-center justify-between gap-2">
             <p className={`text-sm ${isDark ? "text-green-400" : "text-green-700"}`}>Analyzing audio and predicting your preferred settings...</p>
+            <p className={`text-xs ${labelMuted}`}>{analysisProgress}%</p>
+          </div>
+          <div className="w-full track rounded-md h-1 mt-2 overflow-hidden">
+            <div
+              className="h-full bg-green-500 transition-all duration-300"
+              style={{ width: `${analysisProgress}%` }}
+            ></div>
           </div>
         </div>
       )}
 
-      {predictedGains && !isPredicting && userModel && (
+      {prediction && !isPredicting && userModel && (
         <div className="relative z-10 mb-4 surface rounded-lg p-3 border border-purple-500/30">
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-2">
               <div>
-                <p className="text-sm font-semibold text-purple-400">AI Suggested Settings</p>
+                <p className="text-sm font-semibold text-purple-400">
+                  AI Suggested Settings
+                  <span className={`ml-2 text-xs font-normal ${labelMuted}`}>
+                    {Math.round(prediction.confidence * 100)}% confidence
+                  </span>
+                </p>
                 <p className={`text-xs ${labelMuted}`}>
-                  Based on your previous mixes: Vocals {fmt(predictedGains.vocals)}, Drums {fmt(predictedGains.drums)}, Bass {fmt(predictedGains.bass)}, Other {fmt(predictedGains.other)}
+                  {prediction.isFallback
+                    ? prediction.trainingSamples === 0
+                      ? "No saved mixes yet, so these are genre defaults"
+                      : `Still learning from your ${prediction.trainingSamples} saved mix${prediction.trainingSamples === 1 ? "" : "es"}, so these are genre defaults`
+                    : `Based on your ${prediction.trainingSamples} previous mixes`}
+                  : Vocals {fmt(prediction.gains.vocals)}, Drums {fmt(prediction.gains.drums)}, Bass {fmt(prediction.gains.bass)}, Other {fmt(prediction.gains.other)}
                 </p>
+                {prediction.isFallback && (
+                  <p className={`text-xs ${labelMuted}`}>Not applied automatically. Save more mixes to improve suggestions.</p>
+                )}
               </div>
             </div>
             <button
               onClick={() => {
-                setGains(predictedGains);
-                setPredictedGains(null);
+                applyGains(prediction.gains);
+                setPrediction(null);
               }}
               className="px-3 py-1 text-xs bg-purple-500 hover:bg-purple-600 text-white rounded-md"
             >
@@ -512,40 +1021,92 @@ export default function Mixer({ onSave, initialGains, autoPlay, onPlayComplete,
       {/* Upload */}
       <div className="relative z-10 mb-6 flex flex-col sm:flex-row sm:items-center gap-3 w-full">
         <label className="text-sm font-semibold text-primary">
-          Choose Audio File:
+          Choose Audio Files:
         </label>
         <input
           type="file"
           accept="audio/*"
+          multiple
           onChange={handleUpload}
           className={`text-sm input-bg p-2 rounded-md ${inputText} focus:outline-none focus:ring-2 focus:ring-blue-400 transition`}
         />
         {file && <p className={`text-xs truncate max-w-[200px] ${labelMuted}`}>{file.name}</p>}
       </div>
 
-      {/* Progress */}
+      {/* Genre */}
+      {audioFeatures && (
+        <div className="relative z-10 mb-6 flex flex-col sm:flex-row sm:items-center gap-3 w-full">
+          <label className="text-sm font-semibold text-primary">Genre:</label>
+          <select
+            value={genreOverride || ""}
+            onChange={(e) => handleGenreOverride(e.target.value)}
+            className={`text-sm input-bg p-2 rounded-md ${inputText} focus:outline-none focus:ring-2 focus:ring-blue-400 transition`}
+          >
+            <option value="">
+              {detectedGenre
+                ? `Auto: ${genreLabel(detectedGenre)} (${Math.round(Math.max(...genreProbabilities) * 100)}%)`
+                : "Auto"}
+            </option>
+            {GENRES.map((g) => (
+              <option key={g} value={g}>
+                {genreLabel(g)}
+              </option>
+            ))}
+          </select>
+          {genreOverride && <p className={`text-xs ${labelMuted}`}>Your correction is saved with the mix and teaches the genre classifier.</p>}
+        </div>
+      )}
+
+      {/* Separation jobs */}
+      {(jobs.length > 0 || jobNotice || connection === "reconnecting") && (
+        <SeparationJobs
+          jobs={jobs}
+          connection={connection}
+          notice={jobNotice}
+          onDismissNotice={() => setJobNotice(null)}
+          openSessionId={sessionId}
+          onOpen={openJob}
+          onRemove={handleRemoveJob}
+        />
+      )}
+
+      {/* Progress of the open job */}
       {separating && (
         <div className="w-full mb-6">
           <div className="flex items-center justify-between mb-2">
-            <p className={`text-sm font-semibold ${isDark ? "text-blue-400" : "text-blue-700"}`}>AI Separating Audio...</p>
-            <p className={`text-xs ${labelMuted}`}>{progress}%</p>
+            <p className={`text-sm font-semibold ${isDark ? "text-blue-400" : "text-blue-700"}`}>
+              {SEPARATION_STAGES[openJobState.status]}
+            </p>
+            <p className={`text-xs ${labelMuted}`}>{Math.round(openJobState.progress * 100)}%</p>
           </div>
           <div className="w-full track rounded-md h-3 overflow-hidden">
             <div
               className="h-full bg-blue-500 transition-all duration-300"
-              style={{ width: `${progress}%` }}
+              style={{ width: `${Math.round(openJobState.progress * 100)}%` }}
             ></div>
           </div>
           <p className={`text-xs text-center mt-1 ${labelMuted}`}>Separating into 4 sources: Vocals, Drums, Bass, Other</p>
         </div>
       )}
 
+      {/* Mix presets */}
+      <MixPresets
+        userPresets={userPresets}
+        onApply={handleApplyPreset}
+        onSave={handleSavePreset}
+        onDelete={handleDeletePreset}
+        onExport={handleExportPresets}
+        onImport={handleImportPresets}
+      />
+
       {/* Sliders */}
       <div className="grid grid-cols-2 sm:grid-cols-4 gap-6 justify-items-center">
         {channels.map((ch) => (
           <div
             key={ch.key}
-            className="flex flex-col items-center input-bg px-4 py-5 rounded-xl w-[140px]"
+            className={`flex flex-col items-center input-bg px-4 py-5 rounded-xl w-[140px] transition-opacity ${
+              heardGains[ch.key] === -Infinity ? "opacity-60" : ""
+            }`}
           >
             <span
               className={`text-center mb-3 font-semibold ${ch.color}`}
@@ -553,16 +1114,69 @@ export default function Mixer({ onSave, initialGains, autoPlay, onPlayComplete,
               {ch.label}
             </span>
 
-            {/* Slider */}
+            {/* Mute / Solo / Effects */}
+            <div className="flex gap-1 mb-3">
+              <button
+                onClick={() => handleMute(ch.key)}
+                title="Mute"
+                className={`w-8 h-7 text-xs font-bold rounded-md ${
+                  strips[ch.key].mute ? "bg-yellow-400 text-black" : isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"
+                }`}
+              >
+                M
+              </button>
+              <button
+                onClick={(e) => handleSolo(ch.key, e)}
+                title="Solo (Ctrl/Cmd-click for exclusive solo)"
+                className={`w-8 h-7 text-xs font-bold rounded-md ${
+                  strips[ch.key].solo ? "bg-green-400 text-black" : isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"
+                }`}
+              >
+                S
+              </button>
+              <button
+                onClick={() => setEffectsStem((prev) => (prev === ch.key ? null : ch.key))}
+                title="Effects (EQ, filters, compressor, reverb)"
+                className={`w-8 h-7 text-xs font-bold rounded-md ${
+                  effectsStem === ch.key
+                    ? "bg-blue-400 text-black"
+                    : isEffectsActive(effects[ch.key])
+                      ? "bg-blue-900 text-blue-200"
+                      : isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"
+                }`}
+              >
+                FX
+              </button>
+            </div>
+
+            {/* Pan (double-click to center) */}
+            <div className="flex flex-col items-center mb-3 w-full">
+              <input
+                type="range"
+                min="-100"
+                max="100"
+                step="1"
+                value={Math.round(strips[ch.key].pan * 100)}
+                onChange={(e) => handlePan(ch.key, e.target.value)}
+                onDoubleClick={() => handlePan(ch.key, 0)}
+                title="Pan (double-click to center)"
+                className="w-full cursor-pointer"
+              />
+              <p className={`text-xs mt-1 ${labelMuted}`}>Pan {formatPan(strips[ch.key].pan)}</p>
+            </div>
+
+            {/* Slider (bottom notch is -∞) */}
             <div className="relative h-[180px] flex items-center justify-center">
               <input
                 type="range"
-                min="-24"
-                max="12"
+                min={SILENT_SLIDER_POSITION}
+                max={MAX_GAIN_DB}
                 step="1"
-                value={gains[ch.key]}
+                value={gainToSlider(strips[ch.key].gain)}
                 onChange={(e) => handleChange(ch.key, e.target.value)}
-                className={`appearance-none h-[180px] w-[6px] rounded-full cursor-pointer ${
+                disabled={hasPoints(automation[ch.key]) && !armed[ch.key]}
+                title={hasPoints(automation[ch.key]) && !armed[ch.key] ? "Level follows the automation lane (arm R to record)" : undefined}
+                className={`appearance-none h-[180px] w-[6px] rounded-full cursor-pointer disabled:cursor-not-allowed disabled:opacity-50 ${
                   isDark ? "bg-gray-700" : "bg-gray-300"
                 }`}
                 style={{
@@ -573,11 +1187,187 @@ export default function Mixer({ onSave, initialGains, autoPlay, onPlayComplete,
               />
             </div>
 
-            <p className={`text-xs mt-3 tracking-wide ${gainText}`}>{fmt(gains[ch.key])}</p>
+            <p className={`text-xs mt-3 tracking-wide ${gainText}`}>
+              {hasPoints(automation[ch.key]) && !armed[ch.key] ? "Auto" : fmt(strips[ch.key].gain)}
+            </p>
+
+            {/* Level this stem contributes to the mix */}
+            <div className="w-full mt-2">
+              <LevelMeter getLevels={() => getLevels(ch.key)} active={playing && !paused} />
+            </div>
           </div>
         ))}
       </div>
 
+      {/* Master level, clip indicator and spectrum */}
+      <div className="mt-6 surface rounded-lg p-3">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <span className="text-sm font-semibold text-primary">Master</span>
+          <div className="flex-1">
+            <LevelMeter
+              stereo
+              getLevels={() => getLevels("master")}
+              active={playing && !paused}
+              onClip={() => setClipped(true)}
+            />
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setClipped(false)}
+              title={clipped ? "The mix went over 0 dBFS. Click to reset." : "Lights up when the mix goes over 0 dBFS"}
+              className={`px-2 py-1 text-xs font-bold rounded-md ${
+                clipped ? "bg-red-500 text-white" : isDark ? "bg-gray-700 text-gray-400" : "bg-gray-300 text-gray-600"
+              }`}
+            >
+              CLIP
+            </button>
+            <label className={`flex items-center gap-2 text-xs ${labelMuted}`}>
+              <input type="checkbox" checked={showSpectrum} onChange={(e) => setShowSpectrum(e.target.checked)} />
+              Spectrum
+            </label>
+          </div>
+        </div>
+        {showSpectrum && (
+          <SpectrumView
+            channels={channels}
+            getSpectrum={getSpectrum}
+            sampleRate={engineRef.current && engineRef.current.context ? engineRef.current.context.sampleRate : 44100}
+            active={playing && !paused}
+          />
+        )}
+      </div>
+
+      {/* Practice mode: tempo without pitch change, transposition without tempo change */}
+      <div className="mt-6 surface rounded-lg p-3">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <span className="text-sm font-semibold text-primary">Practice</span>
+          <label className={`flex items-center gap-2 flex-1 text-xs ${labelMuted}`}>
+            Tempo
+            <input
+              type="range"
+              min={MIN_TEMPO * 100}
+              max={MAX_TEMPO * 100}
+              step="5"
+              value={Math.round(practice.tempo * 100)}
+              onChange={(e) => setPractice({ ...practice, tempo: Number(e.target.value) / 100 })}
+              onDoubleClick={() => setPractice({ ...practice, tempo: DEFAULT_PRACTICE.tempo })}
+              title="Tempo (double-click to reset)"
+              className="flex-1 cursor-pointer"
+            />
+            <span className="w-12 text-right tabular-nums text-primary">{formatTempo(practice.tempo)}</span>
+          </label>
+          <label className={`flex items-center gap-2 flex-1 text-xs ${labelMuted}`}>
+            Pitch
+            <input
+              type="range"
+              min={MIN_SEMITONES}
+              max={MAX_SEMITONES}
+              step="1"
+              value={practice.semitones}
+              onChange={(e) => setPractice({ ...practice, semitones: Number(e.target.value) })}
+              onDoubleClick={() => setPractice({ ...practice, semitones: DEFAULT_PRACTICE.semitones })}
+              title="Transpose in semitones (double-click to reset)"
+              className="flex-1 cursor-pointer"
+            />
+            <span className="w-12 text-right tabular-nums text-primary">{formatSemitones(practice.semitones)}</span>
+          </label>
+          <button
+            onClick={() => setPractice(DEFAULT_PRACTICE)}
+            disabled={!isPracticeActive(practice)}
+            className={`px-2 py-1 text-xs rounded-md disabled:opacity-50 ${isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"}`}
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* Mix versions and A/B comparison */}
+      <MixVersions
+        versions={versions}
+        comparison={comparison}
+        trims={comparisonTrims}
+        onSaveVersion={handleSaveVersion}
+        onLoadVersion={handleLoadVersion}
+        onUpdateVersion={handleUpdateVersion}
+        onDeleteVersion={handleDeleteVersion}
+        onStartComparison={handleStartComparison}
+        onSwitchComparison={handleSwitchComparison}
+        onPickComparison={handlePickComparison}
+        onEndComparison={() => setComparison(null)}
+      />
+
+      {/* Effects chain of the selected stem */}
+      {effectsStem && (
+        <EffectsPanel
+          label={channels.find((c) => c.key === effectsStem).label}
+          effects={effects[effectsStem]}
+          onChange={(stemEffects) => handleEffectsChange(effectsStem, stemEffects)}
+          onReset={() => handleEffectsChange(effectsStem, defaultEffects([effectsStem])[effectsStem])}
+          onClose={() => setEffectsStem(null)}
+        />
+      )}
+
+      {/* Waveforms, playhead and loop region */}
+      {waveforms && (
+        <Timeline
+          channels={channels}
+          waveforms={waveforms}
+          duration={stemsDuration}
+          playing={playing && !paused}
+          getTime={getPlaybackTime}
+          seekedTo={seekedTo}
+          loop={loop}
+          onLoopChange={setLoop}
+          onSeek={seekMix}
+          onTogglePlay={togglePlay}
+          isDark={isDark}
+        />
+      )}
+
+      {/* Gain automation lanes */}
+      {timelineDuration > 0 && (
+        <AutomationLanes
+          channels={channels}
+          automation={automation}
+          onChange={handleAutomationChange}
+          duration={timelineDuration}
+          grid={automationGrid}
+          onGridChange={setAutomationGrid}
+          detectedTempo={
+            audioFeatures && audioFeatures.beats && audioFeatures.beats.length > 0
+              ? { bpm: Math.round(audioFeatures.bpm), firstBeat: audioFeatures.beats[0] }
+              : null
+          }
+          armed={armed}
+          onArm={handleArm}
+          playing={playing && !paused}
+          getTime={getPlaybackTime}
+          seekedTo={seekedTo}
+          isDark={isDark}
+        />
+      )}
+
+      {/* Tempo and beat grid */}
+      {audioFeatures && audioFeatures.beats && audioFeatures.beats.length > 0 && (
+        <div className="flex items-center justify-center gap-3 mt-6">
+          <p className={`text-xs ${labelMuted}`}>
+            Tempo: {Math.round(audioFeatures.bpm)} BPM ({Math.round(audioFeatures.tempoConfidence * 100)}% confidence)
+          </p>
+          <div className="flex gap-1">
+            {[0, 1, 2, 3].map((i) => (
+              <span
+                key={i}
+                className={`w-3 h-3 rounded-full ${
+                  playing && beatIndex >= 0 && beatIndex % 4 === i
+                    ? i === 0 ? "bg-blue-400" : "bg-blue-300"
+                    : isDark ? "bg-gray-700" : "bg-gray-300"
+                }`}
+              ></span>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Buttons */}
       <div className="flex justify-center gap-4 mt-6 flex-wrap">
         {!playing && (
@@ -613,11 +1403,106 @@ export default function Mixer({ onSave, initialGains, autoPlay, onPlayComplete,
           </button>
         )}
         <button
-          onClick={handleSave}
+          onClick={() => handleSave(false)}
+          title={savedSong ? `Replace the saved settings of "${savedSong.title}"` : undefined}
           className="px-5 py-2 bg-indigo-500 hover:bg-indigo-600 text-black font-semibold rounded-md"
         >
-          Save Mix
+          {savedSong ? "Update Song" : "Save Mix"}
         </button>
+        {savedSong && (
+          <button
+            onClick={() => handleSave(true)}
+            title="Keep the saved song and save this mix as a new version"
+            className="px-5 py-2 surface text-primary font-semibold rounded-md"
+          >
+            Save as New
+          </button>
+        )}
+      </div>
+
+      {/* Export */}
+      <div className="mt-6 surface rounded-lg p-3">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <label className="text-sm font-semibold text-primary">Export:</label>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            disabled={exporting}
+            className={`text-sm input-bg p-2 rounded-md ${inputText} focus:outline-none focus:ring-2 focus:ring-blue-400 transition`}
+          >
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={exportNormalization}
+            onChange={(e) => setExportNormalization(e.target.value)}
+            disabled={exporting}
+            className={`text-sm input-bg p-2 rounded-md ${inputText} focus:outline-none focus:ring-2 focus:ring-blue-400 transition`}
+          >
+            {NORMALIZATION_OPTIONS.map((o) => (
+              <option key={o.id} value={o.id}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="px-5 py-2 bg-teal-400 hover:bg-teal-500 disabled:opacity-50 text-black font-semibold rounded-md"
+          >
+            {exporting ? "Exporting..." : "Export Mix"}
+          </button>
+          <label className={`flex items-center gap-2 text-xs ${labelMuted}`}>
+            <input
+              type="checkbox"
+              checked={exportPractice}
+              onChange={(e) => setExportPractice(e.target.checked)}
+              disabled={exporting}
+            />
+            Apply practice tempo/pitch ({describePractice(practice) || "off"})
+          </label>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 mt-3">
+          <button
+            onClick={handleDownloadStems}
+            disabled={exporting}
+            className="px-5 py-2 bg-cyan-400 hover:bg-cyan-500 disabled:opacity-50 text-black font-semibold rounded-md"
+          >
+            Download Stems
+          </button>
+          <label
+            className={`flex items-center gap-2 text-xs ${labelMuted}`}
+            title="Each stem is rendered at its fader level, pan, effects and automation. Muted stems are silent; solo is ignored."
+          >
+            <input
+              type="checkbox"
+              checked={bakeStemGains}
+              onChange={(e) => setBakeStemGains(e.target.checked)}
+              disabled={exporting}
+            />
+            Apply mix gains to each stem (mutes apply, solos are ignored)
+          </label>
+        </div>
+
+        {exporting && (
+          <div className="w-full mt-3">
+            <div className="flex items-center justify-between mb-1">
+              <p className={`text-xs ${labelMuted}`}>{exportStage}...</p>
+              <p className={`text-xs ${labelMuted}`}>{exportProgress}%</p>
+            </div>
+            <div className="w-full track rounded-md h-2 overflow-hidden">
+              <div
+                className="h-full bg-teal-400 transition-all duration-300"
+                style={{ width: `${exportProgress}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+        {!exporting && exportSummary && <p className={`text-xs mt-2 ${labelMuted}`}>Exported {exportSummary}</p>}
       </div>
     </div>
   );
@@ -1,21 +1,126 @@
-import React from "react";
+import React, { useState, useEffect, useCallback } from "react";
+import StemStorage from "./StemStorage";
+import VirtualList from "./VirtualList";
+import { genreLabel } from "../utils/audioFeatures";
+import { browseSongs, songFacets, SONG_SORTS } from "../utils/songLibrary";
+import {
+  clearStemCache,
+  deleteCachedStems,
+  isStoragePersisted,
+  listCachedStems,
+  requestPersistentStorage,
+  storageEstimate,
+} from "../utils/stemCache";
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+
+// Editable fields of a song, as SongEditor shows them
+const songDraft = (song) => ({
+  title: song.title,
+  artist: song.artist,
+  notes: song.notes,
+  tags: song.tags.join(", "),
+});
+
+// Title, artist, notes and tags of a song, edited in place on its card.
+// The draft is owned by MySongs so it survives the card scrolling out of the list.
+function SongEditor({ draft, onChange, onSave, onCancel, autoFocus, onFocus }) {
+  const field = (key) => ({
+    value: draft[key],
+    onChange: (e) => onChange({ ...draft, [key]: e.target.value }),
+    className: "text-sm input-bg p-2 rounded-md text-primary focus:outline-none focus:ring-2 focus:ring-blue-400 transition",
+  });
 
-// Helper for rendering song cards
-function SongList({ songs = [], onSelect, onDelete }) {
   return (
-    <div className="flex flex-col gap-4">
-      {songs.map((song, idx) => (
-        <div
-          key={idx}
-          className="surface p-4 rounded-xl flex justify-between items-center"
+    <form
+      className="flex-1 flex flex-col gap-2"
+      onFocus={onFocus}
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (draft.title.trim()) onSave(draft);
+      }}
+    >
+      <input {...field("title")} placeholder="Title" aria-label="Title" autoFocus={autoFocus} />
+      <input {...field("artist")} placeholder="Artist" aria-label="Artist" />
+      <textarea {...field("notes")} placeholder="Notes" aria-label="Notes" rows={2} />
+      <input {...field("tags")} placeholder="Tags, separated by commas" aria-label="Tags" />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={!draft.title.trim()}
+          className="px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-sm"
         >
-          <div className="flex-1">
-            <h3 className="font-semibold text-lg">{song.title}</h3>
-            <p className="text-sm text-muted">{song.artist}</p>
-            <p className="text-xs text-muted mt-1">{song.details}</p>
-          </div>
+          Save
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-md surface text-primary text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
 
-          <div className="flex gap-2">
+// Helper for rendering song cards
+function SongList({ songs = [], drafts, onDraftChange, onSelect, onDelete, onEdit, onDuplicate, onDownloadStems, stemDownload, bakeStemGains, cachedHashes, onTagClick }) {
+  const [focusId, setFocusId] = useState(null); // Editor to focus when it opens (not again when its card remounts)
+
+  return (
+    <VirtualList
+      items={songs}
+      getKey={(song) => song.id}
+      renderItem={(song) => (
+        <div className="surface p-4 rounded-xl flex justify-between items-center gap-4 flex-wrap">
+          {drafts[song.id] ? (
+            <SongEditor
+              draft={drafts[song.id]}
+              onChange={(draft) => onDraftChange(song.id, draft)}
+              onSave={(changes) => {
+                typeof onEdit === "function" && onEdit(song.id, changes);
+                onDraftChange(song.id, null);
+              }}
+              onCancel={() => onDraftChange(song.id, null)}
+              autoFocus={focusId === song.id}
+              onFocus={() => focusId === song.id && setFocusId(null)}
+            />
+          ) : (
+            <div className="flex-1">
+              <h3 className="font-semibold text-lg">{song.title}</h3>
+              <p className="text-sm text-muted">
+                {song.artist}
+                {song.genre && `${song.artist ? " · " : ""}${genreLabel(song.genre)}`}
+              </p>
+              {song.notes && <p className="text-sm text-primary mt-1 whitespace-pre-wrap">{song.notes}</p>}
+              {song.tags.length > 0 && (
+                <div className="flex gap-1 flex-wrap mt-1">
+                  {song.tags.map((tag) => (
+                    <button
+                      key={tag}
+                      onClick={() => onTagClick(tag)}
+                      title={`Show songs tagged "${tag}"`}
+                      className="text-xs px-2 py-0.5 rounded-full bg-blue-500/20 text-blue-400 hover:bg-blue-500/40"
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-muted mt-1">{song.details}</p>
+              {song.versions && song.versions.length > 0 && (
+                <p className="text-xs text-muted mt-1">Versions: {song.versions.map((v) => v.name).join(", ")}</p>
+              )}
+              <p className="text-xs text-muted mt-1">
+                Created {formatDate(song.createdAt)}
+                {song.updatedAt !== song.createdAt && ` · updated ${formatDate(song.updatedAt)}`}
+              </p>
+              {cachedHashes.has(song.sourceHash) ? (
+                <p className="text-xs text-green-400 mt-1">Stems stored in this browser, plays offline</p>
+              ) : (
+                <p className="text-xs text-muted mt-1">Stems on the server only</p>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-2 flex-wrap">
             {/* Safe optional call to prevent "onSelect is not a function" */}
             <button
               onClick={() => typeof onSelect === "function" && onSelect(song)}
@@ -23,37 +128,244 @@ function SongList({ songs = [], onSelect, onDelete }) {
             >
               Play
             </button>
-            {/* Delete button */}
             <button
               onClick={() => {
-                if (window.confirm(`Delete "${song.title}"?`)) {
-                  typeof onDelete === "function" && onDelete(idx);
-                }
+                onDraftChange(song.id, songDraft(song));
+                setFocusId(song.id);
               }}
+              disabled={!!drafts[song.id]}
+              className="px-4 py-2 rounded-md surface text-primary disabled:opacity-50 text-sm"
+            >
+              Edit
+            </button>
+            {/* Copy as a new version, e.g. to try other settings without losing these */}
+            <button
+              onClick={() => typeof onDuplicate === "function" && onDuplicate(song.id)}
+              className="px-4 py-2 rounded-md surface text-primary text-sm"
+            >
+              Duplicate
+            </button>
+            {/* Download the separated stems as a ZIP */}
+            <button
+              onClick={() => typeof onDownloadStems === "function" && onDownloadStems(song, bakeStemGains)}
+              disabled={!!stemDownload}
+              className="px-4 py-2 rounded-md bg-cyan-600 hover:bg-cyan-700 disabled:opacity-50 text-white text-sm"
+            >
+              {stemDownload && stemDownload.id === song.id ? `Stems ${stemDownload.progress}%` : "Stems"}
+            </button>
+            {/* Delete button (undoable from the banner above the list) */}
+            <button
+              onClick={() => typeof onDelete === "function" && onDelete(song.id)}
               className="px-4 py-2 rounded-md bg-red-600 hover:bg-red-700 text-white text-sm"
             >
               Delete
             </button>
           </div>
         </div>
-      ))}
-    </div>
+      )}
+    />
   );
 }
 
 // Single default export for the component
-export default function MySongs({ onSelect, onDelete, songs = [] }) {
+export default function MySongs({
+  onSelect,
+  onDelete,
+  onEdit,
+  onDuplicate,
+  onDownloadStems,
+  stemDownload = null,
+  songs = [],
+  usedSourceHashes = new Set(),
+  deletedSong = null,
+  onUndoDelete,
+}) {
+  const [bakeStemGains, setBakeStemGains] = useState(false); // Apply each song's saved gains to its stems
+  const [cacheEntries, setCacheEntries] = useState([]); // Songs whose stems are stored in this browser
+  const [estimate, setEstimate] = useState(null); // { usage, quota } in bytes
+  const [persisted, setPersisted] = useState(false);
+
+  const refreshCache = useCallback(async () => {
+    try {
+      setCacheEntries(await listCachedStems());
+      setEstimate(await storageEstimate());
+      setPersisted(await isStoragePersisted());
+    } catch (err) {
+      console.error("Error reading stored stems:", err);
+    }
+  }, []);
+
+  // Also after a stem download, which stores the stems it fetched
+  useEffect(() => {
+    if (!stemDownload) refreshCache();
+  }, [stemDownload, refreshCache]);
+
+  // Run a cache change, then show the new state
+  const updateCache = (change) => async (...args) => {
+    try {
+      await change(...args);
+    } catch (err) {
+      console.error("Error updating stored stems:", err);
+      alert(`Error updating stored stems: ${err.message}`);
+    }
+    refreshCache();
+  };
+
+  const cachedHashes = new Set(cacheEntries.map((entry) => entry.hash));
+
+  // Unsaved metadata edits per song id (null closes the editor). Kept here because
+  // VirtualList unmounts cards that scroll out of view.
+  const [drafts, setDrafts] = useState({});
+  const setDraft = (songId, draft) => {
+    setDrafts((prev) => {
+      const next = { ...prev };
+      if (draft) {
+        next[songId] = draft;
+      } else {
+        delete next[songId];
+      }
+      return next;
+    });
+  };
+
+  // Search, sort and filters (null = any)
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState(SONG_SORTS[0].id);
+  const [tag, setTag] = useState(null);
+  const [genre, setGenre] = useState(null);
+  const [emphasis, setEmphasis] = useState(null);
+  const facets = songFacets(songs);
+  const shownSongs = browseSongs(songs, { query, sort, tag, genre, emphasis });
+  const filtered = query.trim() !== "" || tag || genre || emphasis;
+  const clearFilters = () => {
+    setQuery("");
+    setTag(null);
+    setGenre(null);
+    setEmphasis(null);
+  };
+  const selectClass = "text-sm input-bg p-2 rounded-md text-primary focus:outline-none focus:ring-2 focus:ring-blue-400 transition";
+
   return (
     <div className="relative panel backdrop-blur-lg rounded-2xl p-6 shadow-lg">
-      <h2 className="text-xl font-semibold mb-4">My Songs</h2>
+      <div className="flex items-center justify-between mb-4 gap-3 flex-wrap">
+        <h2 className="text-xl font-semibold">My Songs</h2>
+        {songs.length > 0 && (
+          <label
+            className="flex items-center gap-2 text-xs text-muted"
+            title="Each stem is rendered at its saved fader level, pan, effects and automation. Muted stems are silent; solo is ignored."
+          >
+            <input
+              type="checkbox"
+              checked={bakeStemGains}
+              onChange={(e) => setBakeStemGains(e.target.checked)}
+            />
+            Apply saved gains to downloaded stems (mutes apply, solos are ignored)
+          </label>
+        )}
+      </div>
+      {deletedSong && (
+        <div className="flex items-center justify-between gap-2 mb-4 px-3 py-2 rounded-md text-sm border border-yellow-500/40 text-yellow-400">
+          <span>Deleted "{deletedSong.title}".</span>
+          <button onClick={onUndoDelete} className="px-3 py-1 rounded-md surface text-primary text-sm">
+            Undo
+          </button>
+        </div>
+      )}
+      {songs.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search title, artist or notes"
+            aria-label="Search songs"
+            className={`${selectClass} flex-1 min-w-[12rem]`}
+          />
+          <select value={sort} onChange={(e) => setSort(e.target.value)} aria-label="Sort by" className={selectClass}>
+            {SONG_SORTS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select value={tag || ""} onChange={(e) => setTag(e.target.value || null)} aria-label="Tag" className={selectClass}>
+            <option value="">All tags</option>
+            {facets.tags.map((t) => (
+              <option key={t} value={t}>
+                {t}
+              </option>
+            ))}
+          </select>
+          <select value={genre || ""} onChange={(e) => setGenre(e.target.value || null)} aria-label="Genre" className={selectClass}>
+            <option value="">All genres</option>
+            {facets.genres.map((g) => (
+              <option key={g} value={g}>
+                {genreLabel(g)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={emphasis || ""}
+            onChange={(e) => setEmphasis(e.target.value || null)}
+            aria-label="Stem emphasis"
+            className={selectClass}
+          >
+            <option value="">Any stem levels</option>
+            {facets.emphasis.map((label) => (
+              <option key={label} value={label}>
+                {label.charAt(0).toUpperCase() + label.slice(1)}
+              </option>
+            ))}
+          </select>
+          {filtered && (
+            <button onClick={clearFilters} className="px-3 py-2 rounded-md surface text-primary text-sm">
+              Clear Filters
+            </button>
+          )}
+          <span className="text-xs text-muted">
+            {shownSongs.length === songs.length ? `${songs.length} songs` : `${shownSongs.length} of ${songs.length} songs`}
+          </span>
+        </div>
+      )}
       {songs.length === 0 ? (
         <div className="text-center py-8 text-muted">
           <p>No saved songs yet.</p>
           <p className="text-sm mt-2">Create a mix in the Mixer tab and click "Save Mix" to save it here.</p>
         </div>
+      ) : shownSongs.length === 0 ? (
+        <div className="text-center py-8 text-muted">
+          <p>No songs match the search and filters.</p>
+        </div>
       ) : (
-        <SongList songs={songs} onSelect={onSelect} onDelete={onDelete} />
+        <SongList
+          songs={shownSongs}
+          drafts={drafts}
+          onDraftChange={setDraft}
+          onTagClick={setTag}
+          onSelect={onSelect}
+          onDelete={onDelete}
+          onEdit={onEdit}
+          onDuplicate={onDuplicate}
+          onDownloadStems={onDownloadStems}
+          stemDownload={stemDownload}
+          bakeStemGains={bakeStemGains}
+          cachedHashes={cachedHashes}
+        />
       )}
+      <StemStorage
+        entries={cacheEntries}
+        estimate={estimate}
+        persisted={persisted}
+        usedSourceHashes={usedSourceHashes}
+        onDelete={updateCache(deleteCachedStems)}
+        onDeleteUnused={updateCache(async () => {
+          for (const entry of cacheEntries) {
+            if (!usedSourceHashes.has(entry.hash)) await deleteCachedStems(entry.hash);
+          }
+        })}
+        onClearAll={updateCache(clearStemCache)}
+        onPersist={updateCache(requestPersistentStorage)}
+      />
     </div>
   );
 }
@@ -0,0 +1,74 @@
+import React from "react";
+import { isJobActive, jobStatusLabel } from "../utils/separationJobs";
+
+const statusColor = (job) =>
+  job.status === "failed" ? "text-red-400" : job.status === "done" ? "text-green-400" : "text-blue-400";
+
+// Queue of separation jobs: status and progress of each, open finished ones in the mixer
+export default function SeparationJobs({ jobs, connection, notice, onDismissNotice, openSessionId, onOpen, onRemove }) {
+  return (
+    <div className="relative z-10 mb-6 surface rounded-lg p-3">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <p className="text-sm font-semibold text-primary">Separation Jobs</p>
+        {connection === "reconnecting" && (
+          <p className="text-xs text-yellow-400">Lost connection to the server, reconnecting...</p>
+        )}
+      </div>
+
+      {notice && (
+        <div
+          className={`flex items-center justify-between gap-2 mb-2 px-2 py-1 rounded-md text-xs border ${
+            notice.type === "error" ? "border-red-500/40 text-red-400" : "border-green-500/40 text-green-400"
+          }`}
+        >
+          <span>{notice.message}</span>
+          <button onClick={onDismissNotice} title="Dismiss" className="px-1 text-muted hover:text-primary">
+            ×
+          </button>
+        </div>
+      )}
+
+      <ul className="flex flex-col gap-2">
+        {jobs.map((job) => {
+          const isOpen = job.session_id === openSessionId;
+          return (
+            <li key={job.session_id} className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <span className="text-xs text-primary truncate sm:w-48" title={job.filename}>
+                {job.filename}
+              </span>
+              <div className="flex-1 flex items-center gap-2">
+                <div className="flex-1 track rounded-md h-2 overflow-hidden">
+                  <div
+                    className={`h-full transition-all duration-300 ${job.status === "failed" ? "bg-red-500" : "bg-blue-500"}`}
+                    style={{ width: `${Math.round(job.progress * 100)}%` }}
+                  ></div>
+                </div>
+                <span className={`text-xs w-40 truncate ${statusColor(job)}`} title={jobStatusLabel(job)}>
+                  {jobStatusLabel(job)}
+                </span>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onOpen(job)}
+                  disabled={isOpen || job.status === "failed"}
+                  title={isJobActive(job) ? "Open now; the stems load when the separation finishes" : undefined}
+                  className="px-3 py-1 text-xs bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white rounded-md"
+                >
+                  {isOpen ? "In Mixer" : "Open in Mixer"}
+                </button>
+                <button
+                  onClick={() => onRemove(job)}
+                  disabled={isOpen || isJobActive(job)}
+                  title="Delete the stems from the server"
+                  className="px-3 py-1 text-xs bg-red-500 hover:bg-red-600 disabled:opacity-50 text-white rounded-md"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { checkConnection, getApiUrl, normalizeApiUrl, setApiUrl, DEFAULT_API_URL } from "../api";
+
+export default function SettingsModal({ onClose }) {
+  const [url, setUrl] = useState(getApiUrl());
+  const [check, setCheck] = useState(null); // { state: "checking" | "ok" | "error", message }
+
+  const isValid = /^https?:\/\/\S+$/.test(normalizeApiUrl(url));
+
+  const testConnection = async () => {
+    setCheck({ state: "checking", message: "Connecting..." });
+    try {
+      await checkConnection(url);
+      setCheck({ state: "ok", message: "Connected to the separation server." });
+    } catch (err) {
+      setCheck({ state: "error", message: err.message });
+    }
+  };
+
+  const save = () => {
+    setApiUrl(url);
+    onClose();
+  };
+
+  const checkColor = check && (check.state === "ok" ? "text-green-400" : check.state === "error" ? "text-red-400" : "text-muted");
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="panel rounded-xl p-6 w-full max-w-lg shadow-lg modal-panel text-primary" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-xl font-semibold mb-3 text-primary">Settings</h2>
+        <div className="space-y-3 text-sm text-muted leading-relaxed">
+          <label className="flex flex-col gap-1">
+            <span className="font-semibold text-primary">Backend URL</span>
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => {
+                setUrl(e.target.value);
+                setCheck(null);
+              }}
+              placeholder={DEFAULT_API_URL}
+              className="text-sm input-bg p-2 rounded-md text-primary focus:outline-none focus:ring-2 focus:ring-blue-400 transition"
+            />
+          </label>
+          <p className="text-xs">
+            Address of the separation server (default {DEFAULT_API_URL}). Jobs and stems on the previous server stay there.
+          </p>
+          {!isValid && <p className="text-xs text-red-400">Enter a URL starting with http:// or https://</p>}
+          {check && <p className={`text-xs ${checkColor}`}>{check.message}</p>}
+        </div>
+        <div className="flex flex-wrap gap-2 mt-4">
+          <button
+            onClick={save}
+            disabled={!isValid}
+            className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 px-4 py-2 rounded-md text-black font-semibold"
+          >
+            Save
+          </button>
+          <button
+            onClick={testConnection}
+            disabled={!isValid || (check && check.state === "checking")}
+            className="bg-teal-400 hover:bg-teal-500 disabled:opacity-50 px-4 py-2 rounded-md text-black font-semibold"
+          >
+            Test Connection
+          </button>
+          <button
+            onClick={() => {
+              setUrl(DEFAULT_API_URL);
+              setCheck(null);
+            }}
+            className="surface px-4 py-2 rounded-md text-primary"
+          >
+            Use Default
+          </button>
+          <button onClick={onClose} className="surface px-4 py-2 rounded-md text-primary">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React, { useEffect, useRef } from "react";
+
+const HEIGHT = 160;
+const MIN_HZ = 20;
+const MAX_HZ = 20000;
+const MIN_DB = -100;
+const MAX_DB = -10;
+const FREQUENCY_LABELS = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+const xOfHz = (hz, width) => (Math.log(hz / MIN_HZ) / Math.log(MAX_HZ / MIN_HZ)) * width;
+const yOfDb = (db) => HEIGHT - ((Math.max(MIN_DB, Math.min(MAX_DB, db)) - MIN_DB) / (MAX_DB - MIN_DB)) * HEIGHT;
+
+// Live spectrum of every stem, overlaid in the stem colors (log frequency axis)
+export default function SpectrumView({ channels, getSpectrum, sampleRate, active }) {
+  const canvasRef = useRef(null);
+  const colorRefs = useRef({});
+  const getSpectrumRef = useRef(getSpectrum);
+  getSpectrumRef.current = getSpectrum;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const ctx = canvas.getContext("2d");
+
+    const draw = () => {
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      if (canvas.width !== Math.round(width * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(HEIGHT * ratio);
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, HEIGHT);
+
+      // Frequency grid
+      ctx.strokeStyle = "rgba(128, 128, 128, 0.25)";
+      ctx.fillStyle = "rgba(128, 128, 128, 0.8)";
+      ctx.font = "10px sans-serif";
+      ctx.lineWidth = 1;
+      FREQUENCY_LABELS.forEach((hz) => {
+        const x = Math.round(xOfHz(hz, width)) + 0.5;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, HEIGHT);
+        ctx.stroke();
+        ctx.fillText(hz >= 1000 ? `${hz / 1000}k` : `${hz}`, x + 2, HEIGHT - 3);
+      });
+
+      for (const ch of channels) {
+        const bins = getSpectrumRef.current(ch.key);
+        const swatch = colorRefs.current[ch.key];
+        if (!bins || !swatch) continue;
+        const color = getComputedStyle(swatch).color;
+        const binHz = sampleRate / 2 / bins.length;
+
+        ctx.beginPath();
+        ctx.moveTo(0, HEIGHT);
+        for (let i = 1; i < bins.length; i++) {
+          const hz = i * binHz;
+          if (hz < MIN_HZ) continue;
+          if (hz > MAX_HZ) break;
+          ctx.lineTo(xOfHz(hz, width), yOfDb(bins[i]));
+        }
+        ctx.lineTo(width, HEIGHT);
+        ctx.closePath();
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      }
+    };
+
+    draw();
+    if (!active) return undefined;
+
+    let frameId;
+    const tick = () => {
+      draw();
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [channels, sampleRate, active]);
+
+  return (
+    <div className="mt-3">
+      <canvas ref={canvasRef} className="block w-full track rounded-md" style={{ height: HEIGHT }}></canvas>
+      <div className="flex flex-wrap gap-3 mt-2">
+        {channels.map((ch) => (
+          <span
+            key={ch.key}
+            ref={(element) => {
+              colorRefs.current[ch.key] = element;
+            }}
+            className={`text-xs ${ch.color}`}
+          >
+            ■ {ch.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
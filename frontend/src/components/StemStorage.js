@@ -0,0 +1,89 @@
+import React from "react";
+import { formatBytes } from "../utils/stemCache";
+
+// Stems stored in this browser: space used, and deleting songs' stems to free it
+export default function StemStorage({ entries, estimate, persisted, usedSourceHashes, onDelete, onDeleteUnused, onClearAll, onPersist }) {
+  const stemsSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const unused = entries.filter((entry) => !usedSourceHashes.has(entry.hash));
+  const usedShare = estimate && estimate.quota > 0 ? Math.min(1, estimate.usage / estimate.quota) : 0;
+
+  return (
+    <div className="surface rounded-lg p-3 mt-6">
+      <div className="flex items-center justify-between gap-2 mb-2 flex-wrap">
+        <p className="text-sm font-semibold text-primary">Stems Stored in This Browser</p>
+        <div className="flex gap-2">
+          {!persisted && entries.length > 0 && (
+            <button
+              onClick={onPersist}
+              title="Ask the browser not to delete stored stems when disk space runs low"
+              className="px-3 py-1 text-xs surface rounded-md text-primary"
+            >
+              Keep When Space Runs Low
+            </button>
+          )}
+          <button
+            onClick={() => {
+              if (window.confirm(`Delete the stored stems of ${unused.length} song(s) that no saved mix uses?`)) onDeleteUnused();
+            }}
+            disabled={unused.length === 0}
+            className="px-3 py-1 text-xs bg-yellow-500 hover:bg-yellow-600 disabled:opacity-50 text-black rounded-md"
+          >
+            Delete Unused
+          </button>
+          <button
+            onClick={() => {
+              if (window.confirm("Delete all stems stored in this browser? Saved mixes then need their stems from the server.")) onClearAll();
+            }}
+            disabled={entries.length === 0}
+            className="px-3 py-1 text-xs bg-red-500 hover:bg-red-600 disabled:opacity-50 text-white rounded-md"
+          >
+            Clear All
+          </button>
+        </div>
+      </div>
+
+      <p className="text-xs text-muted mb-1">
+        Stems: {formatBytes(stemsSize)}
+        {estimate && ` · this site uses ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} available`}
+        {persisted && " · kept when space runs low"}
+      </p>
+      {estimate && (
+        <div className="track rounded-md h-2 overflow-hidden mb-3">
+          <div
+            className={`h-full ${usedShare > 0.9 ? "bg-red-500" : "bg-blue-500"}`}
+            style={{ width: `${Math.round(usedShare * 100)}%` }}
+          ></div>
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-xs text-muted">
+          No stems stored yet. Stems are stored when a separation is loaded in the Mixer, so saved mixes replay without the server.
+        </p>
+      ) : (
+        <ul className="flex flex-col gap-2">
+          {entries.map((entry) => (
+            <li key={entry.hash} className="flex items-center gap-2">
+              <span className="flex-1 text-xs text-primary truncate" title={entry.title}>
+                {entry.title}
+              </span>
+              {!usedSourceHashes.has(entry.hash) && <span className="text-xs text-yellow-400">unused</span>}
+              <span className="text-xs text-muted w-20 text-right">{formatBytes(entry.size)}</span>
+              <span className="text-xs text-muted w-28 text-right" title="Last used">
+                {new Date(entry.lastUsedAt).toLocaleDateString()}
+              </span>
+              <button
+                onClick={() => {
+                  if (window.confirm(`Delete the stored stems of "${entry.title}"?`)) onDelete(entry.hash);
+                }}
+                className="px-3 py-1 text-xs bg-red-500 hover:bg-red-600 text-white rounded-md"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
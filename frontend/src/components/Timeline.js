@@ -0,0 +1,259 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MIN_LOOP_SECONDS } from "../utils/mixEngine";
+
+const ROW_HEIGHT = 40;
+const DRAG_THRESHOLD = 4; // px before a press becomes a loop selection instead of a seek
+const SKIP_SECONDS = 5; // arrow keys
+
+const fmtTime = (seconds) => {
+  const tenths = Math.floor(seconds * 10);
+  return `${Math.floor(tenths / 600)}:${String(Math.floor(tenths / 10) % 60).padStart(2, "0")}.${tenths % 10}`;
+};
+
+// Keyboard shortcuts are ignored while typing or operating a control
+const isFormControl = (element) =>
+  element && (["INPUT", "SELECT", "TEXTAREA", "BUTTON"].includes(element.tagName) || element.isContentEditable);
+
+// Draw one stem's peaks, mirrored around the center line
+function drawWaveform(canvas, peaks, width) {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(ROW_HEIGHT * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = getComputedStyle(canvas).color;
+
+  const center = canvas.height / 2;
+  for (let x = 0; x < canvas.width; x++) {
+    const from = Math.floor((x * peaks.length) / canvas.width);
+    const to = Math.max(from + 1, Math.floor(((x + 1) * peaks.length) / canvas.width));
+    let peak = 0;
+    for (let i = from; i < to; i++) {
+      if (peaks[i] > peak) peak = peaks[i];
+    }
+    const height = Math.max(1, peak * canvas.height);
+    ctx.fillRect(x, center - height / 2, 1, height);
+  }
+}
+
+// Per-stem waveforms with playhead, click-to-seek and an A/B loop region
+export default function Timeline({
+  channels,
+  waveforms,
+  duration,
+  playing,
+  getTime,
+  seekedTo,
+  loop,
+  onLoopChange,
+  onSeek,
+  onTogglePlay,
+  isDark,
+}) {
+  const areaRef = useRef(null);
+  const canvasRefs = useRef({});
+  const playheadRef = useRef(null);
+  const timeRef = useRef(null);
+  const pressRef = useRef(null); // { x, time } of the pointer press
+  const [width, setWidth] = useState(0);
+  const [draftLoop, setDraftLoop] = useState(null); // Loop region while it is being dragged
+
+  // Latest props for the window key handler
+  const propsRef = useRef({});
+  propsRef.current = { getTime, loop, onLoopChange, onSeek, onTogglePlay, duration };
+
+  useEffect(() => {
+    const element = areaRef.current;
+    if (!element) return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (width === 0) return;
+    channels.forEach((ch) => {
+      const canvas = canvasRefs.current[ch.key];
+      if (canvas && waveforms[ch.key]) drawWaveform(canvas, waveforms[ch.key], width);
+    });
+  }, [channels, waveforms, width, isDark]);
+
+  // Move the playhead every frame while playing, once otherwise
+  useEffect(() => {
+    const place = () => {
+      const time = propsRef.current.getTime();
+      if (playheadRef.current) {
+        playheadRef.current.style.left = duration > 0 ? `${Math.min(100, (time / duration) * 100)}%` : "0%";
+      }
+      if (timeRef.current) {
+        timeRef.current.textContent = fmtTime(time);
+      }
+    };
+    place();
+    if (!playing) return undefined;
+
+    let frameId;
+    const tick = () => {
+      place();
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, duration, seekedTo]);
+
+  // Space: play/pause, arrows: skip, L: toggle the loop
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isFormControl(e.target)) return;
+      const props = propsRef.current;
+      if (e.code === "Space") {
+        e.preventDefault();
+        props.onTogglePlay();
+      } else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+        e.preventDefault();
+        const direction = e.key === "ArrowLeft" ? -1 : 1;
+        props.onSeek(Math.max(0, Math.min(props.duration, props.getTime() + direction * SKIP_SECONDS)));
+      } else if (e.key === "l" || e.key === "L") {
+        if (props.loop) props.onLoopChange({ ...props.loop, enabled: !props.loop.enabled });
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  const timeAt = (clientX) => {
+    const rect = areaRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(duration, ((clientX - rect.left) / rect.width) * duration));
+  };
+
+  // A click seeks, a drag selects a loop region (committed on release)
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    pressRef.current = { x: e.clientX, time: timeAt(e.clientX) };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const press = pressRef.current;
+    if (!press || (!draftLoop && Math.abs(e.clientX - press.x) < DRAG_THRESHOLD)) return;
+    const time = timeAt(e.clientX);
+    setDraftLoop({ start: Math.min(press.time, time), end: Math.max(press.time, time), enabled: true });
+  };
+
+  const handlePointerUp = () => {
+    const press = pressRef.current;
+    pressRef.current = null;
+    if (!press) return;
+    if (draftLoop) {
+      if (draftLoop.end - draftLoop.start >= MIN_LOOP_SECONDS) onLoopChange(draftLoop);
+      setDraftLoop(null);
+    } else {
+      onSeek(press.time);
+    }
+  };
+
+  // A/B buttons set the loop edges at the playhead
+  const setLoopStart = () => {
+    const time = getTime();
+    const end = loop && loop.end - time >= MIN_LOOP_SECONDS ? loop.end : duration;
+    if (end - time >= MIN_LOOP_SECONDS) onLoopChange({ start: time, end, enabled: true });
+  };
+
+  const setLoopEnd = () => {
+    const time = getTime();
+    const start = loop && time - loop.start >= MIN_LOOP_SECONDS ? loop.start : 0;
+    if (time - start >= MIN_LOOP_SECONDS) onLoopChange({ start, end: time, enabled: true });
+  };
+
+  const shownLoop = draftLoop || loop;
+  const buttonClass = `px-2 py-1 text-xs font-semibold rounded-md ${isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"}`;
+
+  return (
+    <div className="mt-6 surface rounded-lg p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-3">
+        <p className="text-sm font-semibold text-primary">
+          <span ref={timeRef}>0:00.0</span>
+          <span className="text-muted font-normal"> / {fmtTime(duration)}</span>
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <button onClick={setLoopStart} title="Set loop start at the playhead" className={buttonClass}>
+            A
+          </button>
+          <button onClick={setLoopEnd} title="Set loop end at the playhead" className={buttonClass}>
+            B
+          </button>
+          <button
+            onClick={() => onLoopChange({ ...loop, enabled: !loop.enabled })}
+            disabled={!loop}
+            title="Loop on/off (L)"
+            className={`px-2 py-1 text-xs font-semibold rounded-md disabled:opacity-50 ${
+              loop && loop.enabled ? "bg-orange-400 text-black" : isDark ? "bg-gray-700 text-gray-200" : "bg-gray-300 text-gray-800"
+            }`}
+          >
+            Loop
+          </button>
+          <button onClick={() => onLoopChange(null)} disabled={!loop} className={`${buttonClass} disabled:opacity-50`}>
+            Clear
+          </button>
+          {loop && (
+            <span className="text-xs text-muted">
+              {fmtTime(loop.start)} – {fmtTime(loop.end)}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <div className="w-28 flex flex-col">
+          {channels.map((ch) => (
+            <span
+              key={ch.key}
+              className={`text-xs font-semibold flex items-center ${ch.color}`}
+              style={{ height: ROW_HEIGHT }}
+            >
+              {ch.label}
+            </span>
+          ))}
+        </div>
+        <div
+          ref={areaRef}
+          className="relative flex-1 track rounded-md cursor-pointer select-none overflow-hidden"
+          style={{ touchAction: "none" }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => {
+            pressRef.current = null;
+            setDraftLoop(null);
+          }}
+        >
+          {channels.map((ch) => (
+            <canvas
+              key={ch.key}
+              ref={(element) => {
+                canvasRefs.current[ch.key] = element;
+              }}
+              className={`block w-full ${ch.color}`}
+              style={{ height: ROW_HEIGHT }}
+            ></canvas>
+          ))}
+          {shownLoop && duration > 0 && (
+            <div
+              className={`absolute top-0 bottom-0 pointer-events-none border-x border-orange-400 ${
+                shownLoop.enabled ? "bg-orange-400/20" : "bg-gray-400/10"
+              }`}
+              style={{
+                left: `${(shownLoop.start / duration) * 100}%`,
+                width: `${((shownLoop.end - shownLoop.start) / duration) * 100}%`,
+              }}
+            ></div>
+          )}
+          <div ref={playheadRef} className="absolute top-0 bottom-0 w-px bg-red-400 pointer-events-none" style={{ left: 0 }}></div>
+        </div>
+      </div>
+      <p className="text-xs text-muted mt-2">
+        Click to seek, drag to select a loop. Keys: Space play/pause, ←/→ skip {SKIP_SECONDS} s, L loop on/off.
+      </p>
+    </div>
+  );
+}
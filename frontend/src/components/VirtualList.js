@@ -0,0 +1,87 @@
+import React, { useState, useRef, useEffect, useLayoutEffect } from "react";
+
+// One rendered item, positioned at `top` and measured while it is on screen
+function MeasuredItem({ itemKey, top, observer, children }) {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, [observer]);
+
+  return (
+    <div ref={ref} data-key={itemKey} style={{ position: "absolute", top, left: 0, right: 0 }}>
+      {children}
+    </div>
+  );
+}
+
+// Scrolling list that only renders the items in (and near) view, so long lists stay fast.
+// Item heights are measured as they render; items not rendered yet count as `estimatedHeight`.
+export default function VirtualList({ items, getKey, renderItem, estimatedHeight = 160, gap = 16, maxHeight = "70vh", overscan = 600 }) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [heights, setHeights] = useState({}); // Measured height per item key
+  const [observer] = useState(
+    () =>
+      new ResizeObserver((entries) => {
+        setHeights((prev) => {
+          let next = prev;
+          for (const entry of entries) {
+            const key = entry.target.dataset.key;
+            const height = entry.target.offsetHeight;
+            if (height > 0 && prev[key] !== height) {
+              if (next === prev) next = { ...prev };
+              next[key] = height;
+            }
+          }
+          return next;
+        });
+      })
+  );
+
+  // Follow the size of the scroll area
+  useEffect(() => {
+    const container = containerRef.current;
+    const resize = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    resize.observe(container);
+    return () => {
+      resize.disconnect();
+      observer.disconnect();
+    };
+  }, [observer]);
+
+  // Top of every item; render those overlapping the view plus `overscan` pixels above and below
+  const tops = [];
+  let total = 0;
+  items.forEach((item) => {
+    tops.push(total);
+    total += (heights[getKey(item)] || estimatedHeight) + gap;
+  });
+  total = Math.max(0, total - gap);
+  const viewTop = scrollTop - overscan;
+  const viewBottom = scrollTop + (viewportHeight || window.innerHeight) + overscan;
+
+  const visible = [];
+  for (let i = 0; i < items.length && tops[i] <= viewBottom; i++) {
+    const key = getKey(items[i]);
+    if (tops[i] + (heights[key] || estimatedHeight) < viewTop) continue;
+    visible.push(
+      <MeasuredItem key={key} itemKey={key} top={tops[i]} observer={observer}>
+        {renderItem(items[i])}
+      </MeasuredItem>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ maxHeight, overflowY: "auto" }}
+    >
+      <div style={{ position: "relative", height: total }}>{visible}</div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { jobEventsUrl, onApiUrlChange } from "../api";
+import { upsertJob } from "../utils/separationJobs";
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 15000;
+
+/**
+ * Live list of separation jobs, pushed by the backend over Server-Sent Events.
+ * A dropped stream is reopened with exponential backoff; every (re)connect
+ * starts with a snapshot of all jobs, so changes missed meanwhile are caught up.
+ *
+ * `onJobChange(job, previous)` is called for every job whose status or progress
+ * changed (`previous` is undefined for jobs seen for the first time).
+ * Returns { jobs, connection, addJob, dropJob } where connection is
+ * 'connecting', 'open' or 'reconnecting'.
+ */
+export default function useSeparationJobs(onJobChange) {
+  const [jobs, setJobs] = useState([]);
+  const [connection, setConnection] = useState("connecting");
+  const jobsRef = useRef([]);
+  const onJobChangeRef = useRef(onJobChange);
+  onJobChangeRef.current = onJobChange;
+
+  const applyJobs = useCallback((next) => {
+    const previous = new Map(jobsRef.current.map((job) => [job.session_id, job]));
+    jobsRef.current = next;
+    setJobs(next);
+    for (const job of next) {
+      const before = previous.get(job.session_id);
+      const changed = !before || before.status !== job.status || before.progress !== job.progress;
+      if (changed && typeof onJobChangeRef.current === "function") {
+        onJobChangeRef.current(job, before);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    let source = null;
+    let retryTimer = null;
+    let retryDelay = MIN_RETRY_MS;
+
+    const connect = () => {
+      source = new EventSource(jobEventsUrl());
+      source.onopen = () => {
+        retryDelay = MIN_RETRY_MS;
+        setConnection("open");
+      };
+      source.addEventListener("snapshot", (e) => applyJobs(JSON.parse(e.data)));
+      source.addEventListener("job", (e) => applyJobs(upsertJob(jobsRef.current, JSON.parse(e.data))));
+      source.addEventListener("removed", (e) => {
+        const { session_id: removed } = JSON.parse(e.data);
+        applyJobs(jobsRef.current.filter((job) => job.session_id !== removed));
+      });
+      // The browser gives up on some errors (e.g. the server is down), so reconnect ourselves
+      source.onerror = () => {
+        source.close();
+        setConnection("reconnecting");
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+      };
+    };
+
+    // Follow the backend to a new URL (Settings)
+    const reconnect = () => {
+      clearTimeout(retryTimer);
+      if (source) source.close();
+      retryDelay = MIN_RETRY_MS;
+      applyJobs([]);
+      setConnection("connecting");
+      connect();
+    };
+
+    connect();
+    const unsubscribe = onApiUrlChange(reconnect);
+    return () => {
+      unsubscribe();
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [applyJobs]);
+
+  // Jobs known before their first event arrives (e.g. right after upload); events win
+  const addJob = useCallback(
+    (job) => {
+      if (jobsRef.current.some((j) => j.session_id === job.session_id)) return;
+      applyJobs(upsertJob(jobsRef.current, job));
+    },
+    [applyJobs]
+  );
+  const dropJob = useCallback(
+    (sessionId) => applyJobs(jobsRef.current.filter((job) => job.session_id !== sessionId)),
+    [applyJobs]
+  );
+
+  return { jobs, connection, addJob, dropJob };
+}
@@ -0,0 +1,8 @@
+// Jest setup (loaded by react-scripts before every test file)
+import { webcrypto } from 'crypto';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom does not implement the Encoding and Web Crypto APIs that the browser code relies on
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+global.crypto = webcrypto;
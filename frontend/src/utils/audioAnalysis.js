@@ -0,0 +1,324 @@
+/**
+ * Audio feature analysis of decoded audio (pure computation, no DOM or Web Audio)
+ * Used by featureWorker.js; kept apart from featureExtraction.js, which spawns
+ * the worker, so the worker bundle does not import its own entry point.
+ */
+
+import { forEachSpectrumFrame, spectrumFrameCount } from './fft';
+import { createMelFilterbank, mfccFromSpectrum, DEFAULT_MEL_FILTERS, DEFAULT_MFCC_COEFFICIENTS } from './mfcc';
+import { estimateTempo, trackBeats } from './beatTracker';
+
+/**
+ * Analyze decoded audio and return the normalized feature object.
+ * `audioData` is { channels: Float32Array[], sampleRate, duration }.
+ * `numMfcc` sets how many MFCCs are kept (mfccMean/mfccVariance length; size the
+ * model vectors with audioFeatureSize/featureVectorSize from audioFeatures.js).
+ * Runs synchronously; featureWorker.js calls it off the main thread.
+ */
+export function analyzeAudioData(audioData, { onProgress, numMfcc = DEFAULT_MFCC_COEFFICIENTS } = {}) {
+  const { channels, sampleRate, duration } = audioData;
+  // Mono downmix for the channel-independent features
+  const channelData = downmixToMono(channels);
+  const reportProgress = (percent) => {
+    if (typeof onProgress === 'function') onProgress(Math.round(percent));
+  };
+
+  reportProgress(0);
+
+  // Spectral features, MFCCs and the onset envelope share one pass of FFT frames (0-90%)
+  const spectral = analyzeSpectrum(channelData, sampleRate, {
+    numMfcc,
+    onProgress: (fraction) => reportProgress(fraction * 90),
+  });
+  const rhythm = detectBeats(spectral.onsetEnvelope, sampleRate);
+  reportProgress(95);
+
+  // Extract features
+  const features = {
+    // Basic features
+    duration,
+    sampleRate,
+    
+    // Energy and dynamics
+    rms: calculateRMS(channelData),
+    zeroCrossingRate: calculateZeroCrossingRate(channelData),
+    
+    // Spectral features
+    spectralCentroid: spectral.centroid,
+    spectralRolloff: spectral.rolloff,
+    spectralFlux: spectral.flux,
+    spectralBandwidth: spectral.bandwidth,
+    
+    // Temporal features
+    tempo: rhythm.bpm,
+    tempoConfidence: rhythm.confidence,
+    beats: rhythm.beats,
+
+    // Stereo image
+    ...calculateStereoFeatures(channels),
+    
+    // Timbre (MFCC statistics over all frames)
+    mfccMean: spectral.mfccMean,
+    mfccVariance: spectral.mfccVariance,
+  };
+
+  reportProgress(100);
+
+  // Normalize features
+  return normalizeFeatures(features);
+}
+
+/**
+ * Average all channels into one signal (returns the only channel unchanged for mono)
+ */
+function downmixToMono(channels) {
+  if (channels.length === 1) return channels[0];
+  const length = Math.min(...channels.map((data) => data.length));
+  const mono = new Float32Array(length);
+  for (const data of channels) {
+    for (let i = 0; i < length; i++) {
+      mono[i] += data[i];
+    }
+  }
+  for (let i = 0; i < length; i++) {
+    mono[i] /= channels.length;
+  }
+  return mono;
+}
+
+/**
+ * Stereo image of the first two channels:
+ * - sideRatio: side energy / (mid + side) energy, 0 for mono, 1 for fully out of phase
+ * - channelCorrelation: normalized inter-channel correlation (-1 to 1)
+ * - channelBalance: (right RMS - left RMS) / (right RMS + left RMS), -1 hard left to 1 hard right
+ * Mono files report a centered, fully correlated image.
+ */
+function calculateStereoFeatures(channels) {
+  if (channels.length < 2) {
+    return { sideRatio: 0, channelCorrelation: 1, channelBalance: 0 };
+  }
+
+  const left = channels[0];
+  const right = channels[1];
+  const length = Math.min(left.length, right.length);
+  let leftEnergy = 0;
+  let rightEnergy = 0;
+  let crossEnergy = 0;
+  let midEnergy = 0;
+  let sideEnergy = 0;
+
+  for (let i = 0; i < length; i++) {
+    const l = left[i];
+    const r = right[i];
+    leftEnergy += l * l;
+    rightEnergy += r * r;
+    crossEnergy += l * r;
+    const mid = (l + r) / 2;
+    const side = (l - r) / 2;
+    midEnergy += mid * mid;
+    sideEnergy += side * side;
+  }
+
+  const totalEnergy = midEnergy + sideEnergy;
+  const leftRMS = Math.sqrt(leftEnergy / Math.max(1, length));
+  const rightRMS = Math.sqrt(rightEnergy / Math.max(1, length));
+  const correlationNorm = Math.sqrt(leftEnergy * rightEnergy);
+
+  return {
+    sideRatio: totalEnergy > 0 ? sideEnergy / totalEnergy : 0,
+    channelCorrelation: correlationNorm > 0 ? crossEnergy / correlationNorm : 1,
+    channelBalance: leftRMS + rightRMS > 0 ? (rightRMS - leftRMS) / (leftRMS + rightRMS) : 0,
+  };
+}
+
+function calculateRMS(channelData) {
+  let sum = 0;
+  for (let i = 0; i < channelData.length; i++) {
+    sum += channelData[i] * channelData[i];
+  }
+  return Math.sqrt(sum / channelData.length);
+}
+
+function calculateZeroCrossingRate(channelData) {
+  let crossings = 0;
+  for (let i = 1; i < channelData.length; i++) {
+    if ((channelData[i] >= 0) !== (channelData[i - 1] >= 0)) {
+      crossings++;
+    }
+  }
+  return crossings / channelData.length;
+}
+
+// Framing used for all spectral features
+const FFT_SIZE = 2048;
+const HOP_SIZE = 1024;
+const ROLLOFF_PERCENT = 0.85;
+const SILENCE_THRESHOLD = 1e-8; // frames with less spectral energy are skipped
+const ONSET_COMPRESSION = 1000; // log(1 + C * |X|) compression for the onset envelope
+
+/**
+ * Compute spectral centroid, rolloff, flux, bandwidth and MFCCs from
+ * Hann-windowed FFT frames, averaged over all non-silent frames of the track.
+ * Centroid, rolloff and bandwidth are in Hz; flux is the mean positive change
+ * between consecutive L1-normalized spectra (0-1); MFCCs are reported as the
+ * per-coefficient mean and variance. Also returns the per-frame onset envelope
+ * (log-magnitude spectral flux) used for tempo and beat tracking.
+ * Options: `numMfcc` coefficients to keep (1 to DEFAULT_MEL_FILTERS) and
+ * `onProgress`, which receives the fraction of frames processed (0-1).
+ */
+export function analyzeSpectrum(channelData, sampleRate, { onProgress, numMfcc = DEFAULT_MFCC_COEFFICIENTS } = {}) {
+  if (!Number.isInteger(numMfcc) || numMfcc < 1 || numMfcc > DEFAULT_MEL_FILTERS) {
+    throw new Error(`numMfcc must be an integer from 1 to ${DEFAULT_MEL_FILTERS}, got ${numMfcc}`);
+  }
+  const binHz = sampleRate / FFT_SIZE;
+  const filterbank = createMelFilterbank(DEFAULT_MEL_FILTERS, FFT_SIZE, sampleRate);
+  const mfccSum = new Float64Array(numMfcc);
+  const mfccSumSquares = new Float64Array(numMfcc);
+
+  let centroidSum = 0;
+  let rolloffSum = 0;
+  let bandwidthSum = 0;
+  let fluxSum = 0;
+  let frames = 0;
+  let fluxFrames = 0;
+  let prevSpectrum = null;
+
+  const frameCount = spectrumFrameCount(channelData.length, { fftSize: FFT_SIZE, hopSize: HOP_SIZE });
+  const onsetEnvelope = new Float32Array(frameCount);
+  const logMagnitudes = new Float32Array(FFT_SIZE / 2 + 1);
+  const prevLogMagnitudes = new Float32Array(FFT_SIZE / 2 + 1);
+  const progressInterval = Math.max(1, Math.floor(frameCount / 100)); // report roughly every 1%
+
+  forEachSpectrumFrame(channelData, { fftSize: FFT_SIZE, hopSize: HOP_SIZE }, (magnitudes, frameIndex) => {
+    // Onset strength: rectified increase in log magnitude across all bins
+    let onset = 0;
+    for (let k = 0; k < magnitudes.length; k++) {
+      logMagnitudes[k] = Math.log1p(ONSET_COMPRESSION * magnitudes[k]);
+      if (frameIndex > 0) {
+        onset += Math.max(0, logMagnitudes[k] - prevLogMagnitudes[k]);
+      }
+    }
+    onsetEnvelope[frameIndex] = onset;
+    prevLogMagnitudes.set(logMagnitudes);
+
+    if (onProgress && frameIndex % progressInterval === 0) {
+      onProgress(frameIndex / frameCount);
+    }
+
+    let magnitudeSum = 0;
+    let weightedSum = 0;
+    for (let k = 0; k < magnitudes.length; k++) {
+      magnitudeSum += magnitudes[k];
+      weightedSum += k * binHz * magnitudes[k];
+    }
+
+    if (magnitudeSum < SILENCE_THRESHOLD) {
+      prevSpectrum = null;
+      return;
+    }
+
+    const centroid = weightedSum / magnitudeSum;
+
+    let spread = 0;
+    let cumulative = 0;
+    let rolloff = -1;
+    const threshold = ROLLOFF_PERCENT * magnitudeSum;
+    for (let k = 0; k < magnitudes.length; k++) {
+      const deviation = k * binHz - centroid;
+      spread += deviation * deviation * magnitudes[k];
+      cumulative += magnitudes[k];
+      if (rolloff < 0 && cumulative >= threshold) {
+        rolloff = k * binHz;
+      }
+    }
+
+    // Flux between consecutive normalized spectra
+    const spectrum = new Float32Array(magnitudes.length);
+    for (let k = 0; k < magnitudes.length; k++) {
+      spectrum[k] = magnitudes[k] / magnitudeSum;
+    }
+    if (prevSpectrum) {
+      let flux = 0;
+      for (let k = 0; k < spectrum.length; k++) {
+        flux += Math.max(0, spectrum[k] - prevSpectrum[k]);
+      }
+      fluxSum += flux;
+      fluxFrames++;
+    }
+    prevSpectrum = spectrum;
+
+    const mfcc = mfccFromSpectrum(magnitudes, filterbank, numMfcc);
+    for (let c = 0; c < numMfcc; c++) {
+      mfccSum[c] += mfcc[c];
+      mfccSumSquares[c] += mfcc[c] * mfcc[c];
+    }
+
+    centroidSum += centroid;
+    rolloffSum += rolloff;
+    bandwidthSum += Math.sqrt(spread / magnitudeSum);
+    frames++;
+  });
+
+  return {
+    centroid: frames > 0 ? centroidSum / frames : 0,
+    rolloff: frames > 0 ? rolloffSum / frames : 0,
+    bandwidth: frames > 0 ? bandwidthSum / frames : 0,
+    flux: fluxFrames > 0 ? fluxSum / fluxFrames : 0,
+    mfccMean: Array.from(mfccSum, (sum) => (frames > 0 ? sum / frames : 0)),
+    mfccVariance: Array.from(mfccSumSquares, (sumSquares, c) => {
+      if (frames === 0) return 0;
+      const mean = mfccSum[c] / frames;
+      return Math.max(0, sumSquares / frames - mean * mean);
+    }),
+    onsetEnvelope,
+  };
+}
+
+/**
+ * Estimate tempo and beat positions from the onset envelope.
+ * Returns { bpm, confidence (0-1), beats (seconds) }.
+ */
+function detectBeats(onsetEnvelope, sampleRate) {
+  const frameRate = sampleRate / HOP_SIZE;
+  const { bpm, confidence } = estimateTempo(onsetEnvelope, frameRate);
+  const beatFrames = confidence > 0 ? trackBeats(onsetEnvelope, frameRate, bpm) : [];
+
+  // Frame times refer to the center of each analysis window
+  const beats = beatFrames.map((frame) => (frame * HOP_SIZE + FFT_SIZE / 2) / sampleRate);
+
+  return { bpm, confidence, beats };
+}
+
+// Typical MFCC magnitudes: c0 (log energy) is much larger than the other coefficients
+const MFCC_MEAN_SCALE = [100, 30];
+// MFCC variances span several orders of magnitude, so they are log-compressed (up to ~1000)
+const MFCC_VARIANCE_LOG_SCALE = Math.log1p(1000);
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function normalizeFeatures(features) {
+  // Normalize features to 0-1 range for better model training
+  return {
+    duration: Math.min(features.duration / 300, 1), // Max 5 minutes
+    sampleRate: features.sampleRate / 48000, // Normalize by max common sample rate
+    rms: Math.min(features.rms * 10, 1), // RMS typically 0-0.1
+    zeroCrossingRate: Math.min(features.zeroCrossingRate * 100, 1),
+    spectralCentroid: Math.min(features.spectralCentroid / 10000, 1), // Max 10kHz
+    spectralRolloff: Math.min(features.spectralRolloff / 10000, 1),
+    spectralFlux: Math.min(features.spectralFlux, 1), // Already 0-1
+    spectralBandwidth: Math.min(features.spectralBandwidth / 10000, 1),
+    tempo: clamp((features.tempo - 60) / 120, 0, 1), // Normalize 60-180 BPM to 0-1
+    sideRatio: features.sideRatio, // Already 0-1
+    channelCorrelation: features.channelCorrelation, // -1 to 1
+    channelBalance: features.channelBalance, // -1 to 1
+    // Not part of the model vector; kept for beat-synced display and the automation timeline
+    tempoConfidence: features.tempoConfidence,
+    bpm: features.tempo,
+    beats: features.beats,
+    durationSeconds: features.duration,
+    mfccMean: features.mfccMean.map((value, c) => clamp(value / MFCC_MEAN_SCALE[c === 0 ? 0 : 1], -1, 1)),
+    mfccVariance: features.mfccVariance.map((value) => Math.min(Math.log1p(value) / MFCC_VARIANCE_LOG_SCALE, 1)),
+  };
+}
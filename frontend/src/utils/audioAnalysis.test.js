@@ -0,0 +1,95 @@
+import { analyzeAudioData, analyzeSpectrum } from './audioAnalysis';
+import { audioFeatureSize, featuresToAudioVector } from './audioFeatures';
+import { DEFAULT_MEL_FILTERS, DEFAULT_MFCC_COEFFICIENTS } from './mfcc';
+
+const SAMPLE_RATE = 44100;
+const NYQUIST = SAMPLE_RATE / 2;
+
+const sine = (seconds, frequency, amplitude = 0.5) =>
+  Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) =>
+    amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE)
+  );
+
+// Uniform white noise from a fixed-seed generator (mulberry32), so the test is repeatable
+function whiteNoise(seconds, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, () => random() * 2 - 1);
+}
+
+describe('analyzeSpectrum', () => {
+  test.each([440, 1000, 5000])('puts the centroid of a %i Hz sine at its frequency', (frequency) => {
+    const spectral = analyzeSpectrum(sine(1, frequency), SAMPLE_RATE);
+    expect(Math.abs(spectral.centroid - frequency)).toBeLessThan(frequency * 0.05);
+    expect(Math.abs(spectral.rolloff - frequency)).toBeLessThanOrEqual(2 * (SAMPLE_RATE / 2048)); // Within the main lobe
+    expect(spectral.bandwidth).toBeLessThan(frequency * 0.5);
+    expect(spectral.flux).toBeLessThan(0.05); // Steady tone
+  });
+
+  test('spreads white noise across the whole spectrum', () => {
+    const spectral = analyzeSpectrum(whiteNoise(1), SAMPLE_RATE);
+    // A flat spectrum has its centroid at half of Nyquist and rolls off at 85% of it
+    expect(spectral.centroid / NYQUIST).toBeGreaterThan(0.45);
+    expect(spectral.centroid / NYQUIST).toBeLessThan(0.55);
+    expect(spectral.rolloff / NYQUIST).toBeGreaterThan(0.8);
+    expect(spectral.rolloff / NYQUIST).toBeLessThan(0.9);
+    // Standard deviation of a uniform distribution over 0..Nyquist is Nyquist / sqrt(12)
+    expect(spectral.bandwidth / (NYQUIST / Math.sqrt(12))).toBeGreaterThan(0.9);
+    expect(spectral.bandwidth / (NYQUIST / Math.sqrt(12))).toBeLessThan(1.1);
+  });
+
+  test('reports zeros for silence', () => {
+    const spectral = analyzeSpectrum(new Float32Array(SAMPLE_RATE), SAMPLE_RATE);
+    expect(spectral).toMatchObject({ centroid: 0, rolloff: 0, bandwidth: 0, flux: 0 });
+    expect(spectral.mfccMean).toEqual(new Array(DEFAULT_MFCC_COEFFICIENTS).fill(0));
+  });
+
+  test('returns one onset value per frame, including the final partial frame', () => {
+    const spectral = analyzeSpectrum(new Float32Array(2048 + 1024 + 1), SAMPLE_RATE);
+    expect(spectral.onsetEnvelope).toHaveLength(3);
+  });
+
+  test('keeps the configured number of MFCCs', () => {
+    const spectral = analyzeSpectrum(sine(0.5, 440), SAMPLE_RATE, { numMfcc: 20 });
+    expect(spectral.mfccMean).toHaveLength(20);
+    expect(spectral.mfccVariance).toHaveLength(20);
+    // The leading coefficients do not depend on how many are kept
+    const defaults = analyzeSpectrum(sine(0.5, 440), SAMPLE_RATE);
+    expect(spectral.mfccMean[1]).toBeCloseTo(defaults.mfccMean[1], 4);
+  });
+
+  test.each([0, 2.5, DEFAULT_MEL_FILTERS + 1])('rejects %p MFCCs', (numMfcc) => {
+    expect(() => analyzeSpectrum(sine(0.1, 440), SAMPLE_RATE, { numMfcc })).toThrow(/numMfcc/);
+  });
+});
+
+describe('analyzeAudioData', () => {
+  test('returns normalized features for stereo audio', () => {
+    const left = sine(2, 1000);
+    const right = sine(2, 1000, 0.25);
+    const progress = [];
+    const features = analyzeAudioData(
+      { channels: [left, right], sampleRate: SAMPLE_RATE, duration: 2 },
+      { onProgress: (percent) => progress.push(percent) }
+    );
+
+    expect(features.spectralCentroid).toBeCloseTo(0.1, 2); // 1 kHz / 10 kHz
+    expect(features.channelCorrelation).toBeCloseTo(1, 5);
+    expect(features.channelBalance).toBeCloseTo(-1 / 3, 3); // Left is twice as loud
+    expect(features.mfccMean).toHaveLength(DEFAULT_MFCC_COEFFICIENTS);
+    expect(features.mfccVariance).toHaveLength(DEFAULT_MFCC_COEFFICIENTS);
+    expect(progress[0]).toBe(0);
+    expect(progress[progress.length - 1]).toBe(100);
+  });
+
+  test('sizes the feature vector from the MFCC count', () => {
+    const features = analyzeAudioData({ channels: [sine(0.5, 440)], sampleRate: SAMPLE_RATE, duration: 0.5 }, { numMfcc: 8 });
+    expect(features.mfccMean).toHaveLength(8);
+    expect(featuresToAudioVector(features)).toHaveLength(audioFeatureSize(8));
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Gain automation lanes
+ * Each stem can have a breakpoint list [{ time, gain }] (seconds, dB, -∞ for
+ * silence). While a lane has points it sets the stem level over time and the
+ * static fader only mutes. Curves are interpolated in dB (in amplitude when
+ * one end is silent) and sampled for AudioParam.setValueCurveAtTime.
+ */
+
+import { MIN_GAIN_DB, MAX_GAIN_DB } from './channelStrip';
+
+export const CURVE_RATE = 100; // curve samples per second
+
+// Snap grid sizes in beats (0 = no snapping)
+export const GRID_DIVISIONS = [
+  { id: 'off', label: 'Off', beats: 0 },
+  { id: 'bar', label: 'Bar', beats: 4 },
+  { id: 'beat', label: 'Beat', beats: 1 },
+  { id: 'eighth', label: '1/8', beats: 0.5 },
+  { id: 'sixteenth', label: '1/16', beats: 0.25 },
+];
+
+export const DEFAULT_GRID = { bpm: 120, division: 'beat', offset: 0 }; // offset: time of the first beat (s)
+
+const MIN_RECORD_INTERVAL = 0.05; // seconds between recorded points
+
+const toGain = (db) => (db === -Infinity ? 0 : Math.pow(10, db / 20));
+
+export function hasPoints(points) {
+  return Array.isArray(points) && points.length > 0;
+}
+
+export function emptyAutomation(stemKeys) {
+  return Object.fromEntries(stemKeys.map((key) => [key, []]));
+}
+
+/**
+ * Value in dB between breakpoints `a` and `b` at `time`
+ */
+function interpolate(a, b, time) {
+  const t = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1;
+  if (a.gain === -Infinity || b.gain === -Infinity) {
+    // Fade to/from silence linearly in amplitude
+    const gain = toGain(a.gain) + (toGain(b.gain) - toGain(a.gain)) * t;
+    return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+  }
+  return a.gain + (b.gain - a.gain) * t;
+}
+
+/**
+ * Lane value in dB at `time` (flat before the first and after the last point)
+ */
+export function automationValueAt(points, time) {
+  return laneReader(points)(time);
+}
+
+/**
+ * automationValueAt for a lane read at non-decreasing times: the segment
+ * search resumes where the previous call stopped, so sampling a whole lane
+ * is a single pass over its points.
+ */
+function laneReader(points) {
+  let i = 1;
+  return (time) => {
+    if (!hasPoints(points)) return 0;
+    if (time <= points[0].time) return points[0].gain;
+    const last = points[points.length - 1];
+    if (time >= last.time) return last.gain;
+
+    while (points[i].time < time) i++;
+    return interpolate(points[i - 1], points[i], time);
+  };
+}
+
+/**
+ * Linear gain curve of a lane from `start` for `duration` seconds, for setValueCurveAtTime
+ */
+export function automationCurve(points, start, duration, rate = CURVE_RATE) {
+  const length = Math.max(2, Math.ceil(duration * rate) + 1);
+  const curve = new Float32Array(length);
+  const valueAt = laneReader(points);
+  for (let i = 0; i < length; i++) {
+    curve[i] = toGain(valueAt(start + (duration * i) / (length - 1)));
+  }
+  return curve;
+}
+
+/**
+ * Snap `time` to the BPM grid ({ bpm, division, offset })
+ */
+export function snapTime(time, grid) {
+  const division = GRID_DIVISIONS.find((d) => d.id === grid.division);
+  if (!division || division.beats === 0 || !(grid.bpm > 0)) return time;
+  const step = (60 / grid.bpm) * division.beats;
+  const offset = grid.offset || 0;
+  return Math.max(0, offset + Math.round((time - offset) / step) * step);
+}
+
+/**
+ * Grid line times between 0 and `duration`
+ */
+export function gridTimes(grid, duration) {
+  const division = GRID_DIVISIONS.find((d) => d.id === grid.division);
+  if (!division || division.beats === 0 || !(grid.bpm > 0)) return [];
+  const step = (60 / grid.bpm) * division.beats;
+  const offset = (grid.offset || 0) % step;
+  const times = [];
+  for (let t = offset; t <= duration; t += step) times.push(t);
+  return times;
+}
+
+/**
+ * Keep points sorted, within the song and within the fader range
+ */
+export function normalizePoints(points, duration = Infinity) {
+  return points
+    .map(({ time, gain }) => ({
+      time: Math.max(0, Math.min(duration, time)),
+      gain: gain === -Infinity ? -Infinity : Math.max(MIN_GAIN_DB, Math.min(MAX_GAIN_DB, gain)),
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Write a recorded fader value into a lane ("touch" recording): points between
+ * the previous recorded time and `time` are replaced by the new point.
+ */
+export function recordPoint(points, time, gain, previousTime = null) {
+  // Within MIN_RECORD_INTERVAL the previous recorded point is moved instead of adding another
+  const replacesPrevious = previousTime !== null && time - previousTime < MIN_RECORD_INTERVAL;
+  const kept = points.filter((p) => {
+    if (p.time > time) return true;
+    if (previousTime === null) return p.time !== time;
+    return replacesPrevious ? p.time < previousTime : p.time <= previousTime;
+  });
+  return normalizePoints([...kept, { time, gain }]);
+}
+
+/**
+ * Time-weighted mean level of a lane in dB (silence counts as the bottom of the fader range)
+ */
+export function averageGain(points, duration) {
+  if (!hasPoints(points)) return 0;
+  const end = Math.max(duration || 0, points[points.length - 1].time);
+  if (end <= 0) return Math.max(MIN_GAIN_DB, points[0].gain);
+
+  const steps = Math.max(1, Math.ceil(end * 10));
+  const valueAt = laneReader(points);
+  let sum = 0;
+  for (let i = 0; i < steps; i++) {
+    sum += Math.max(MIN_GAIN_DB, valueAt(((i + 0.5) * end) / steps));
+  }
+  return Math.round((sum / steps) * 10) / 10;
+}
+
+/**
+ * Replace the static gain of automated, audible stems with the lane's mean level
+ */
+export function averagedGains(gains, automation, duration) {
+  return Object.fromEntries(Object.entries(gains).map(([key, db]) => [
+    key,
+    db !== -Infinity && automation && hasPoints(automation[key]) ? averageGain(automation[key], duration) : db,
+  ]));
+}
+
+// -∞ is stored as null because JSON cannot represent -Infinity
+export function storeAutomation(automation) {
+  return Object.fromEntries(Object.entries(automation).map(([key, points]) => [
+    key,
+    points.map(({ time, gain }) => ({ time, gain: gain === -Infinity ? null : gain })),
+  ]));
+}
+
+export function loadAutomation(saved, stemKeys) {
+  return Object.fromEntries(stemKeys.map((key) => {
+    const points = saved && Array.isArray(saved[key]) ? saved[key] : [];
+    return [key, normalizePoints(
+      points
+        .filter((p) => p && typeof p.time === 'number')
+        .map((p) => ({ time: p.time, gain: typeof p.gain === 'number' ? p.gain : -Infinity }))
+    )];
+  }));
+}
+
+export function loadGrid(saved) {
+  return { ...DEFAULT_GRID, ...(saved || {}) };
+}
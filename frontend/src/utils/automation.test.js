@@ -0,0 +1,52 @@
+import { averageGain, automationCurve, automationValueAt } from './automation';
+
+const lane = [
+  { time: 1, gain: -6 },
+  { time: 2, gain: 0 },
+  { time: 2, gain: -12 }, // Jump
+  { time: 4, gain: -Infinity },
+  { time: 5, gain: 3 },
+];
+
+describe('automationValueAt', () => {
+  test('is flat outside the lane and 0 dB without points', () => {
+    expect(automationValueAt(lane, 0)).toBe(-6);
+    expect(automationValueAt(lane, 9)).toBe(3);
+    expect(automationValueAt([], 1)).toBe(0);
+  });
+
+  test('interpolates in dB, and in amplitude towards silence', () => {
+    expect(automationValueAt(lane, 1.5)).toBeCloseTo(-3, 10);
+    expect(automationValueAt(lane, 3)).toBeCloseTo(20 * Math.log10(Math.pow(10, -12 / 20) / 2), 10);
+    expect(automationValueAt(lane, 4)).toBe(-Infinity);
+  });
+});
+
+describe('automationCurve', () => {
+  test('samples the lane like automationValueAt', () => {
+    const curve = automationCurve(lane, 0.5, 5, 10);
+    expect(curve).toHaveLength(51);
+    curve.forEach((value, i) => {
+      const db = automationValueAt(lane, 0.5 + (5 * i) / 50);
+      expect(value).toBeCloseTo(db === -Infinity ? 0 : Math.pow(10, db / 20), 6);
+    });
+  });
+
+  test('has at least two samples', () => {
+    expect(Array.from(automationCurve([{ time: 0, gain: 0 }], 0, 0))).toEqual([1, 1]);
+  });
+
+  test('handles long lanes in one pass', () => {
+    const points = Array.from({ length: 20000 }, (_, i) => ({ time: i / 10, gain: i % 2 ? -6 : 0 }));
+    const curve = automationCurve(points, 0, 2000);
+    expect(curve).toHaveLength(200001);
+    expect(curve[10]).toBeCloseTo(Math.pow(10, -6 / 20), 6); // t = 0.1 s
+  });
+});
+
+describe('averageGain', () => {
+  test('weights levels by time', () => {
+    expect(averageGain([{ time: 0, gain: -10 }, { time: 10, gain: -10 }], 20)).toBe(-10);
+    expect(averageGain([{ time: 0, gain: 0 }, { time: 10, gain: -20 }], 10)).toBe(-10);
+  });
+});
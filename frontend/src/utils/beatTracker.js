@@ -0,0 +1,153 @@
+/**
+ * Tempo estimation and beat tracking from an onset-strength envelope
+ * Tempo is induced by autocorrelation of the envelope (weighted towards
+ * ~120 BPM to avoid octave errors); beats are placed with dynamic
+ * programming so they follow onsets while staying close to that tempo.
+ */
+
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const PREFERRED_BPM = 120;
+const TEMPO_WEIGHT_WIDTH = 1.0; // octaves (std dev of the log-Gaussian tempo prior)
+const BEAT_TIGHTNESS = 100; // penalty for deviating from the estimated beat period
+
+/**
+ * Remove the local mean from the envelope, keep positive part and scale to unit std
+ */
+function normalizeEnvelope(envelope, frameRate) {
+  const n = envelope.length;
+  const radius = Math.max(1, Math.round(frameRate * 0.25));
+  const output = new Float32Array(n);
+
+  // Running sum for a centered moving average
+  const prefix = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    prefix[i + 1] = prefix[i] + envelope[i];
+  }
+
+  let sumSquares = 0;
+  for (let i = 0; i < n; i++) {
+    const lo = Math.max(0, i - radius);
+    const hi = Math.min(n, i + radius + 1);
+    const localMean = (prefix[hi] - prefix[lo]) / (hi - lo);
+    output[i] = Math.max(0, envelope[i] - localMean);
+    sumSquares += output[i] * output[i];
+  }
+
+  const std = Math.sqrt(sumSquares / Math.max(1, n));
+  if (std > 0) {
+    for (let i = 0; i < n; i++) {
+      output[i] /= std;
+    }
+  }
+  return output;
+}
+
+/**
+ * Estimate the tempo of an onset envelope sampled at `frameRate` frames/second.
+ * Returns { bpm, confidence } with confidence in 0-1 (0 when no periodicity is found).
+ */
+export function estimateTempo(envelope, frameRate) {
+  const onsets = normalizeEnvelope(envelope, frameRate);
+  const n = onsets.length;
+  const minLag = Math.max(1, Math.floor((60 * frameRate) / MAX_BPM));
+  const maxLag = Math.min(n - 1, Math.ceil((60 * frameRate) / MIN_BPM));
+
+  let energy = 0;
+  for (let i = 0; i < n; i++) {
+    energy += onsets[i] * onsets[i];
+  }
+  if (energy === 0 || maxLag <= minLag) {
+    return { bpm: PREFERRED_BPM, confidence: 0 };
+  }
+
+  // Autocorrelation over the allowed lag range (one extra lag each side for interpolation)
+  const lo = Math.max(1, minLag - 1);
+  const hi = Math.min(n - 1, maxLag + 1);
+  const autocorr = new Float64Array(hi + 1);
+  for (let lag = lo; lag <= hi; lag++) {
+    let sum = 0;
+    for (let i = lag; i < n; i++) {
+      sum += onsets[i] * onsets[i - lag];
+    }
+    // Unbiased estimate so long lags are not penalized for having fewer terms
+    autocorr[lag] = sum / (n - lag);
+  }
+
+  // Pick the lag with the strongest tempo-weighted autocorrelation
+  let bestLag = minLag;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * frameRate) / lag;
+    const octaves = Math.log2(bpm / PREFERRED_BPM) / TEMPO_WEIGHT_WIDTH;
+    const score = autocorr[lag] * Math.exp(-0.5 * octaves * octaves);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  // Parabolic interpolation around the peak for sub-frame lag resolution
+  let lag = bestLag;
+  if (bestLag > lo && bestLag < hi) {
+    const left = autocorr[bestLag - 1];
+    const center = autocorr[bestLag];
+    const right = autocorr[bestLag + 1];
+    const denominator = left - 2 * center + right;
+    if (denominator < 0) {
+      lag += (0.5 * (left - right)) / denominator;
+    }
+  }
+
+  const meanEnergy = energy / n;
+  const confidence = Math.max(0, Math.min(1, autocorr[bestLag] / meanEnergy));
+  const bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, (60 * frameRate) / lag));
+
+  return { bpm, confidence };
+}
+
+/**
+ * Place beats on the onset envelope for a given tempo.
+ * Returns beat positions as frame indices.
+ */
+export function trackBeats(envelope, frameRate, bpm) {
+  const onsets = normalizeEnvelope(envelope, frameRate);
+  const n = onsets.length;
+  const period = (60 * frameRate) / bpm;
+  if (n === 0 || period < 1) return [];
+
+  // score[t]: best cumulative onset strength of a beat sequence ending at t
+  const score = new Float64Array(n);
+  const backlink = new Int32Array(n).fill(-1);
+  const searchStart = Math.round(period / 2);
+  const searchEnd = Math.round(2 * period);
+
+  for (let t = 0; t < n; t++) {
+    let best = 0;
+    let bestPrev = -1;
+    for (let prev = t - searchEnd; prev <= t - searchStart; prev++) {
+      if (prev < 0) continue;
+      const deviation = Math.log((t - prev) / period);
+      const candidate = score[prev] - BEAT_TIGHTNESS * deviation * deviation;
+      if (bestPrev < 0 || candidate > best) {
+        best = candidate;
+        bestPrev = prev;
+      }
+    }
+    score[t] = onsets[t] + (bestPrev >= 0 ? Math.max(0, best) : 0);
+    backlink[t] = bestPrev >= 0 && best > 0 ? bestPrev : -1;
+  }
+
+  // Start backtracking from the strongest beat within the last period
+  let t = n - 1;
+  for (let i = Math.max(0, n - Math.ceil(period)); i < n; i++) {
+    if (score[i] > score[t]) t = i;
+  }
+
+  const beats = [];
+  while (t >= 0) {
+    beats.push(t);
+    t = backlink[t];
+  }
+  return beats.reverse();
+}
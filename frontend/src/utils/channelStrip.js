@@ -0,0 +1,101 @@
+/**
+ * Channel strip state helpers (fader, pan, mute, solo per stem)
+ * Faders run from MIN_GAIN_DB to MAX_GAIN_DB with one extra notch at the
+ * bottom for -∞ (silence). JSON has no -Infinity, so stored mixes use null.
+ */
+
+export const MIN_GAIN_DB = -24;
+export const MAX_GAIN_DB = 12;
+export const SILENT_SLIDER_POSITION = MIN_GAIN_DB - 1; // bottom notch of the fader = -∞
+
+export function sliderToGain(value) {
+  const db = Number(value);
+  return db <= SILENT_SLIDER_POSITION ? -Infinity : db;
+}
+
+export function gainToSlider(db) {
+  return db === -Infinity ? SILENT_SLIDER_POSITION : db;
+}
+
+/**
+ * Default strip state for the given stems: 0 dB, centered, not muted or soloed
+ */
+export function defaultStrips(stemKeys) {
+  return Object.fromEntries(stemKeys.map((key) => [key, { gain: 0, pan: 0, mute: false, solo: false }]));
+}
+
+/**
+ * Gain each stem is actually heard at, in dB.
+ * Muted stems are silent; while any stem is soloed only soloed, unmuted stems play.
+ */
+export function effectiveGains(strips) {
+  const keys = Object.keys(strips);
+  const anySolo = keys.some((key) => strips[key].solo);
+  return Object.fromEntries(keys.map((key) => {
+    const { gain, mute, solo } = strips[key];
+    const audible = !mute && (!anySolo || solo);
+    return [key, audible ? gain : -Infinity];
+  }));
+}
+
+/**
+ * Gain of each stem for rendering it on its own (baked stem export), in dB.
+ * Muted stems are silent; solo is ignored, since it only decides what is
+ * monitored and would otherwise export the other stems as silent files.
+ */
+export function stemExportGains(strips) {
+  return Object.fromEntries(Object.keys(strips).map((key) => [key, strips[key].mute ? -Infinity : strips[key].gain]));
+}
+
+/**
+ * Toggle solo on `key`. An exclusive solo clears the other solos first.
+ */
+export function toggleSolo(strips, key, exclusive = false) {
+  const soloed = !strips[key].solo;
+  return Object.fromEntries(Object.keys(strips).map((k) => {
+    if (k === key) return [k, { ...strips[k], solo: soloed }];
+    return [k, exclusive ? { ...strips[k], solo: false } : strips[k]];
+  }));
+}
+
+/**
+ * Pan position as shown on the strip: "C", "L40", "R15"
+ */
+export function formatPan(pan) {
+  const amount = Math.round(Math.abs(pan) * 100);
+  if (amount === 0) return 'C';
+  return `${pan < 0 ? 'L' : 'R'}${amount}`;
+}
+
+// -∞ is stored as null because JSON cannot represent -Infinity
+const storeGain = (db) => (db === -Infinity ? null : db);
+const loadGain = (db) => (typeof db === 'number' ? db : -Infinity);
+
+export function storeGains(gains) {
+  return Object.fromEntries(Object.entries(gains).map(([key, db]) => [key, storeGain(db)]));
+}
+
+export function loadGains(gains) {
+  return Object.fromEntries(Object.entries(gains).map(([key, db]) => [key, loadGain(db)]));
+}
+
+export function storeStrips(strips) {
+  return Object.fromEntries(Object.entries(strips).map(([key, strip]) => [key, { ...strip, gain: storeGain(strip.gain) }]));
+}
+
+/**
+ * Strip state of a saved song. Songs saved before strips existed only have
+ * `gains`, which become the fader positions.
+ */
+export function loadStrips(song, stemKeys) {
+  const strips = defaultStrips(stemKeys);
+  for (const key of stemKeys) {
+    if (song.strips && song.strips[key]) {
+      const { gain, pan, mute, solo } = song.strips[key];
+      strips[key] = { gain: loadGain(gain), pan: pan || 0, mute: !!mute, solo: !!solo };
+    } else if (song.gains && key in song.gains) {
+      strips[key].gain = loadGain(song.gains[key]);
+    }
+  }
+  return strips;
+}
@@ -0,0 +1,16 @@
+import { effectiveGains, stemExportGains } from './channelStrip';
+
+const strips = {
+  vocals: { gain: -3, pan: 0, mute: false, solo: true },
+  drums: { gain: 2, pan: 0, mute: false, solo: false },
+  bass: { gain: 0, pan: 0, mute: true, solo: false },
+  other: { gain: -Infinity, pan: 0, mute: false, solo: false },
+};
+
+test('effectiveGains applies mute and solo', () => {
+  expect(effectiveGains(strips)).toEqual({ vocals: -3, drums: -Infinity, bass: -Infinity, other: -Infinity });
+});
+
+test('stemExportGains applies mute but ignores solo', () => {
+  expect(stemExportGains(strips)).toEqual({ vocals: -3, drums: 2, bass: -Infinity, other: -Infinity });
+});
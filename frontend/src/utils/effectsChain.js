@@ -0,0 +1,198 @@
+/**
+ * Per-stem effects chain
+ * Serializable parameters (plain JSON per stem) and the Web Audio nodes they
+ * drive. Used by MixEngine.buildGraph for both live playback and offline
+ * rendering, so exports sound like playback.
+ *
+ * Signal flow per stem (after the fader):
+ *   high-pass -> low-pass -> low shelf -> mid peak -> high shelf -> compressor -> makeup
+ *   the chain output also feeds a post-fader send into the shared reverb bus
+ */
+
+export const DEFAULT_EFFECTS = {
+  highpass: { enabled: false, frequency: 80 }, // Hz
+  lowpass: { enabled: false, frequency: 16000 }, // Hz
+  eq: {
+    low: { frequency: 120, gain: 0 }, // low shelf
+    mid: { frequency: 1000, gain: 0, q: 1 }, // peaking
+    high: { frequency: 8000, gain: 0 }, // high shelf
+  },
+  compressor: { enabled: false, threshold: -24, ratio: 4, attack: 0.01, release: 0.25, makeup: 0 }, // dB, :1, s, s, dB
+  reverb: { send: 0 }, // 0-1 amount sent to the reverb bus
+};
+
+const FILTER_Q = Math.SQRT1_2; // Butterworth response for the high/low-pass filters
+const COMPRESSOR_KNEE = 6; // dB
+const PARAM_SMOOTHING = 0.02; // seconds
+const REVERB_SECONDS = 2.5;
+const REVERB_SEED = 0x5eed; // fixed so live playback and exports use the same impulse response
+
+/**
+ * Default effects for each stem
+ */
+export function defaultEffects(stemKeys) {
+  return Object.fromEntries(stemKeys.map((key) => [key, JSON.parse(JSON.stringify(DEFAULT_EFFECTS))]));
+}
+
+/**
+ * Deep-merge saved values over `defaults`, keeping only known keys with the right type
+ */
+function mergeDefaults(defaults, saved) {
+  if (!saved || typeof saved !== 'object') return JSON.parse(JSON.stringify(defaults));
+  return Object.fromEntries(Object.entries(defaults).map(([key, value]) => {
+    if (value && typeof value === 'object') return [key, mergeDefaults(value, saved[key])];
+    return [key, typeof saved[key] === typeof value ? saved[key] : value];
+  }));
+}
+
+/**
+ * Effects of a saved song, filled up with defaults (songs saved without effects get a flat chain)
+ */
+export function loadEffects(saved, stemKeys) {
+  return Object.fromEntries(stemKeys.map((key) => [key, mergeDefaults(DEFAULT_EFFECTS, saved && saved[key])]));
+}
+
+/**
+ * Whether a stem's chain changes the sound at all
+ */
+export function isEffectsActive(effects) {
+  const { highpass, lowpass, eq, compressor, reverb } = effects;
+  return highpass.enabled
+    || lowpass.enabled
+    || eq.low.gain !== 0
+    || eq.mid.gain !== 0
+    || eq.high.gain !== 0
+    || compressor.enabled
+    || reverb.send > 0;
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) for the reverb impulse response
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shared reverb bus: a convolver with a synthetic stereo room (decaying noise).
+ * Returns { input, output }.
+ */
+export function createReverbBus(context) {
+  const length = Math.round(REVERB_SECONDS * context.sampleRate);
+  const impulse = context.createBuffer(2, length, context.sampleRate);
+  const random = seededRandom(REVERB_SEED);
+  for (let channel = 0; channel < 2; channel++) {
+    const data = impulse.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      const t = i / context.sampleRate;
+      data[i] = (random() * 2 - 1) * Math.exp((-6.9 * t) / REVERB_SECONDS); // -60 dB at the end
+    }
+  }
+
+  const input = context.createGain();
+  const convolver = context.createConvolver();
+  convolver.buffer = impulse;
+  input.connect(convolver);
+  return { input, output: convolver };
+}
+
+/**
+ * Create the effect nodes of one stem. `reverbInput` is the shared reverb bus input.
+ * Call applyEffects to set parameters and wire the chain.
+ */
+export function createEffectsChain(context, reverbInput) {
+  const highpass = context.createBiquadFilter();
+  highpass.type = 'highpass';
+  highpass.Q.value = FILTER_Q;
+
+  const lowpass = context.createBiquadFilter();
+  lowpass.type = 'lowpass';
+  lowpass.Q.value = FILTER_Q;
+
+  const eqLow = context.createBiquadFilter();
+  eqLow.type = 'lowshelf';
+  const eqMid = context.createBiquadFilter();
+  eqMid.type = 'peaking';
+  const eqHigh = context.createBiquadFilter();
+  eqHigh.type = 'highshelf';
+
+  const compressor = context.createDynamicsCompressor();
+  compressor.knee.value = COMPRESSOR_KNEE;
+  const makeup = context.createGain();
+
+  const input = context.createGain(); // entry point, fed by the fader
+  const output = context.createGain(); // end of the chain, feeds the panner
+  const send = context.createGain();
+  output.connect(send);
+  send.connect(reverbInput);
+
+  return { context, input, output, highpass, lowpass, eqLow, eqMid, eqHigh, compressor, makeup, send, wiring: null };
+}
+
+/**
+ * Set a parameter immediately, or smoothly while the context is running
+ */
+function setParam(param, value, context, smooth) {
+  if (smooth) {
+    param.setTargetAtTime(value, context.currentTime, PARAM_SMOOTHING);
+  } else {
+    param.value = value;
+  }
+}
+
+/**
+ * Apply `effects` (one stem's parameters) to a chain from createEffectsChain.
+ * Disabled filters and compressor are bypassed by rewiring the chain.
+ */
+export function applyEffects(chain, effects, { smooth = false } = {}) {
+  const { context } = chain;
+  const nyquist = context.sampleRate / 2;
+  const frequency = (hz) => Math.max(10, Math.min(nyquist, hz));
+  const { highpass, lowpass, eq, compressor, reverb } = effects;
+
+  setParam(chain.highpass.frequency, frequency(highpass.frequency), context, smooth);
+  setParam(chain.lowpass.frequency, frequency(lowpass.frequency), context, smooth);
+  setParam(chain.eqLow.frequency, frequency(eq.low.frequency), context, smooth);
+  setParam(chain.eqLow.gain, eq.low.gain, context, smooth);
+  setParam(chain.eqMid.frequency, frequency(eq.mid.frequency), context, smooth);
+  setParam(chain.eqMid.gain, eq.mid.gain, context, smooth);
+  setParam(chain.eqMid.Q, eq.mid.q, context, smooth);
+  setParam(chain.eqHigh.frequency, frequency(eq.high.frequency), context, smooth);
+  setParam(chain.eqHigh.gain, eq.high.gain, context, smooth);
+  setParam(chain.compressor.threshold, compressor.threshold, context, smooth);
+  setParam(chain.compressor.ratio, compressor.ratio, context, smooth);
+  setParam(chain.compressor.attack, compressor.attack, context, smooth);
+  setParam(chain.compressor.release, compressor.release, context, smooth);
+  setParam(chain.makeup.gain, compressor.enabled ? Math.pow(10, compressor.makeup / 20) : 1, context, smooth);
+  setParam(chain.send.gain, reverb.send, context, smooth);
+
+  // Rewire only when the set of active stages changes
+  const stages = [
+    highpass.enabled && chain.highpass,
+    lowpass.enabled && chain.lowpass,
+    chain.eqLow,
+    chain.eqMid,
+    chain.eqHigh,
+    compressor.enabled && chain.compressor,
+    chain.makeup,
+  ].filter(Boolean);
+  const wiring = `${highpass.enabled}|${lowpass.enabled}|${compressor.enabled}`;
+  if (wiring === chain.wiring) return;
+
+  [chain.input, chain.highpass, chain.lowpass, chain.eqLow, chain.eqMid, chain.eqHigh, chain.compressor, chain.makeup]
+    .forEach((node) => node.disconnect());
+  let previous = chain.input;
+  for (const node of stages) {
+    previous.connect(node);
+    previous = node;
+  }
+  previous.connect(chain.output);
+  chain.wiring = wiring;
+}
@@ -0,0 +1,84 @@
+/**
+ * Extract audio features from an audio file using Web Audio API
+ * The file is decoded on the main thread and analyzed by featureWorker.js;
+ * the result can be turned into model vectors with audioFeatures.js.
+ */
+
+import { DEFAULT_MFCC_COEFFICIENTS } from './mfcc';
+
+/**
+ * Decode `file` on the main thread and analyze it in a Web Worker.
+ * Options: `onProgress(percent)`, an AbortSignal `signal`
+ * that terminates the worker (e.g. when the user picks another file) and
+ * `numMfcc`, the MFCC coefficient count (DEFAULT_MFCC_COEFFICIENTS by default).
+ * Resolves to the normalized feature object.
+ */
+export async function extractAudioFeatures(file, { onProgress, signal, numMfcc = DEFAULT_MFCC_COEFFICIENTS } = {}) {
+  const arrayBuffer = await file.arrayBuffer();
+  throwIfAborted(signal);
+
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  let audioBuffer;
+  try {
+    // Decode audio data (decodeAudioData is not available inside workers)
+    audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+  } finally {
+    audioContext.close();
+  }
+  throwIfAborted(signal);
+
+  // Copy channel data so the buffers can be transferred to the worker
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c).slice());
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./featureWorker.js', import.meta.url));
+
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'progress') {
+        if (typeof onProgress === 'function') onProgress(message.progress);
+      } else if (message.type === 'result') {
+        finish();
+        resolve(message.features);
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || 'Feature extraction worker failed'));
+    };
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+
+    worker.postMessage(
+      { channels, sampleRate: audioBuffer.sampleRate, duration: audioBuffer.duration, numMfcc },
+      channels.map((data) => data.buffer)
+    );
+  });
+}
+
+function createAbortError() {
+  const error = new Error('Feature extraction was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
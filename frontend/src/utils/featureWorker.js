@@ -0,0 +1,21 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Web Worker that runs audio feature analysis off the main thread
+ * Receives transferred channel data from extractAudioFeatures and streams
+ * progress messages back before posting the normalized features
+ */
+
+import { analyzeAudioData } from './audioAnalysis';
+
+self.onmessage = (e) => {
+  const { channels, sampleRate, duration, numMfcc } = e.data;
+  try {
+    const features = analyzeAudioData(
+      { channels, sampleRate, duration },
+      { numMfcc, onProgress: (progress) => self.postMessage({ type: 'progress', progress }) }
+    );
+    self.postMessage({ type: 'result', features });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
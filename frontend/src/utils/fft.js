@@ -0,0 +1,107 @@
+/**
+ * Minimal FFT helpers for offline audio analysis
+ * Used by audioAnalysis.js to compute per-frame magnitude spectra
+ */
+
+/**
+ * Create a periodic Hann window of the given size
+ */
+export function hannWindow(size) {
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  }
+  return window;
+}
+
+/**
+ * In-place iterative radix-2 FFT. `real` and `imag` must have the same
+ * power-of-two length.
+ */
+export function fft(real, imag) {
+  const n = real.length;
+  if (n !== imag.length || (n & (n - 1)) !== 0) {
+    throw new Error('FFT size must be a power of two');
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      let tmp = real[i];
+      real[i] = real[j];
+      real[j] = tmp;
+      tmp = imag[i];
+      imag[i] = imag[j];
+      imag[j] = tmp;
+    }
+  }
+
+  // Butterflies
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let k = 0; k < half; k++) {
+      const cos = Math.cos(step * k);
+      const sin = Math.sin(step * k);
+      for (let start = 0; start < n; start += size) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = real[b] * cos - imag[b] * sin;
+        const tIm = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tRe;
+        imag[b] = imag[a] - tIm;
+        real[a] += tRe;
+        imag[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Number of frames forEachSpectrumFrame produces for `length` samples
+ */
+export function spectrumFrameCount(length, { fftSize = 2048, hopSize = 1024 } = {}) {
+  return length <= fftSize ? 1 : Math.ceil((length - fftSize) / hopSize) + 1;
+}
+
+/**
+ * Iterate over Hann-windowed frames of `samples`, calling
+ * `onFrame(magnitudes, frameIndex)` with the magnitude spectrum
+ * (fftSize / 2 + 1 bins) of each frame. The magnitudes array is reused
+ * between calls, so copy it if it needs to outlive the callback. Frames
+ * start every `hopSize` samples until one reaches the end of the input;
+ * that last frame (or the only frame of an input shorter than `fftSize`)
+ * is zero-padded, so the tail of the signal is never dropped.
+ * Returns the number of frames processed.
+ */
+export function forEachSpectrumFrame(samples, { fftSize = 2048, hopSize = 1024 } = {}, onFrame) {
+  const window = hannWindow(fftSize);
+  const real = new Float32Array(fftSize);
+  const imag = new Float32Array(fftSize);
+  const magnitudes = new Float32Array(fftSize / 2 + 1);
+  const frameCount = spectrumFrameCount(samples.length, { fftSize, hopSize });
+
+  for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+    const start = frameIndex * hopSize;
+    const available = Math.min(fftSize, samples.length - start);
+    for (let i = 0; i < fftSize; i++) {
+      real[i] = i < available ? samples[start + i] * window[i] : 0;
+      imag[i] = 0;
+    }
+
+    fft(real, imag);
+
+    for (let k = 0; k < magnitudes.length; k++) {
+      magnitudes[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+    }
+
+    onFrame(magnitudes, frameIndex);
+  }
+
+  return frameCount;
+}
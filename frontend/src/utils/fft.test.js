@@ -0,0 +1,90 @@
+import { fft, forEachSpectrumFrame, hannWindow, spectrumFrameCount } from './fft';
+
+const sine = (length, frequency, sampleRate, amplitude = 1) =>
+  Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+
+describe('fft', () => {
+  test('puts a sine on a bin center into that bin', () => {
+    const n = 64;
+    const real = Float32Array.from(sine(n, 5, n)); // 5 cycles per frame
+    const imag = new Float32Array(n);
+    fft(real, imag);
+
+    const magnitude = (k) => Math.hypot(real[k], imag[k]);
+    expect(magnitude(5)).toBeCloseTo(n / 2, 3);
+    expect(magnitude(n - 5)).toBeCloseTo(n / 2, 3);
+    for (let k = 0; k <= n / 2; k++) {
+      if (k !== 5) expect(magnitude(k)).toBeLessThan(1e-4);
+    }
+  });
+
+  test('transforms an impulse into a flat spectrum', () => {
+    const real = new Float32Array(8);
+    const imag = new Float32Array(8);
+    real[0] = 1;
+    fft(real, imag);
+    expect(Array.from(real)).toEqual(new Array(8).fill(1));
+    expect(Array.from(imag, Math.abs)).toEqual(new Array(8).fill(0));
+  });
+
+  test('rejects sizes that are not a power of two', () => {
+    expect(() => fft(new Float32Array(6), new Float32Array(6))).toThrow('power of two');
+  });
+});
+
+describe('hannWindow', () => {
+  test('is periodic: zero at the start and one at the center', () => {
+    const window = hannWindow(8);
+    expect(window[0]).toBe(0);
+    expect(window[4]).toBeCloseTo(1, 6);
+    expect(window[1]).toBeCloseTo(window[7], 6);
+  });
+});
+
+describe('forEachSpectrumFrame', () => {
+  const frameIndices = (length, options) => {
+    const indices = [];
+    forEachSpectrumFrame(new Float32Array(length), options, (magnitudes, frameIndex) => indices.push(frameIndex));
+    return indices;
+  };
+
+  test('peaks at the bin of a sine', () => {
+    const sampleRate = 8000;
+    const fftSize = 256;
+    const binHz = sampleRate / fftSize;
+    const samples = sine(1024, 10 * binHz, sampleRate);
+
+    const peaks = [];
+    forEachSpectrumFrame(samples, { fftSize, hopSize: 128 }, (magnitudes) => {
+      peaks.push(magnitudes.indexOf(Math.max(...magnitudes)));
+    });
+    expect(peaks.length).toBeGreaterThan(0);
+    expect(new Set(peaks)).toEqual(new Set([10]));
+  });
+
+  test('zero-pads inputs shorter than one frame into a single frame', () => {
+    expect(frameIndices(100, { fftSize: 256, hopSize: 128 })).toEqual([0]);
+    expect(frameIndices(0, { fftSize: 256, hopSize: 128 })).toEqual([0]);
+  });
+
+  test('covers the tail of the input with a final zero-padded frame', () => {
+    // Frames start at 0, 128, 256 and 384; the last one covers samples 384-639
+    expect(frameIndices(600, { fftSize: 256, hopSize: 128 })).toEqual([0, 1, 2, 3]);
+    expect(spectrumFrameCount(600, { fftSize: 256, hopSize: 128 })).toBe(4);
+
+    // No extra frame when the frames end exactly at the end of the input
+    expect(spectrumFrameCount(512, { fftSize: 256, hopSize: 128 })).toBe(3);
+
+    let tail = 0;
+    const samples = new Float32Array(600);
+    samples[599] = 1; // Only the last frame sees this impulse
+    forEachSpectrumFrame(samples, { fftSize: 256, hopSize: 128 }, (magnitudes, frameIndex) => {
+      if (frameIndex === 3) tail = magnitudes[0];
+    });
+    expect(tail).toBeGreaterThan(0);
+  });
+
+  test('reports the number of frames processed', () => {
+    expect(forEachSpectrumFrame(new Float32Array(600), { fftSize: 256, hopSize: 128 }, () => {})).toBe(4);
+  });
+});
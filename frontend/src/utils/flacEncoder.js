@@ -0,0 +1,389 @@
+/**
+ * FLAC encoder (pure JS)
+ * Fixed-predictor subframes with partitioned Rice coding and per-frame stereo
+ * decorrelation. Compresses less than libFLAC's LPC modes but produces
+ * standard, lossless FLAC files without any external dependency.
+ */
+
+const BLOCK_SIZE = 4096;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 6;
+
+// Channel assignments (frame header)
+const INDEPENDENT = -1; // 0..7 = channels - 1
+const LEFT_SIDE = 8;
+const RIGHT_SIDE = 9;
+const MID_SIDE = 10;
+
+// Frame header sample rate codes; other rates fall back to STREAMINFO (0b0000)
+const SAMPLE_RATE_CODES = {
+  88200: 0b0001,
+  176400: 0b0010,
+  192000: 0b0011,
+  8000: 0b0100,
+  16000: 0b0101,
+  22050: 0b0110,
+  24000: 0b0111,
+  32000: 0b1000,
+  44100: 0b1001,
+  48000: 0b1010,
+  96000: 0b1011,
+};
+
+class BitWriter {
+  constructor(initialSize = 1 << 16) {
+    this.bytes = new Uint8Array(initialSize);
+    this.length = 0; // full bytes written
+    this.current = 0; // pending bits
+    this.bitCount = 0; // number of pending bits (0-7)
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+  }
+
+  /**
+   * Write the low `n` bits of a non-negative `value` (n <= 32), MSB first
+   */
+  writeBits(value, n) {
+    this.ensure((n >> 3) + 2);
+    while (n > 0) {
+      const take = Math.min(n, 8 - this.bitCount);
+      const shift = n - take;
+      const bits = Math.floor(value / Math.pow(2, shift)) & ((1 << take) - 1);
+      this.current = (this.current << take) | bits;
+      this.bitCount += take;
+      n -= take;
+      if (this.bitCount === 8) {
+        this.bytes[this.length++] = this.current;
+        this.current = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+
+  /**
+   * Write a two's complement signed value in `n` bits
+   */
+  writeSigned(value, n) {
+    this.writeBits(value < 0 ? value + Math.pow(2, n) : value, n);
+  }
+
+  writeUnary(zeros) {
+    while (zeros >= 24) {
+      this.writeBits(0, 24);
+      zeros -= 24;
+    }
+    this.writeBits(1, zeros + 1);
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) this.writeBits(0, 8 - this.bitCount);
+  }
+
+  toUint8Array() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+// CRC-8 (poly 0x07) and CRC-16 (poly 0x8005) used by frame headers/footers
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc8 = i;
+  let crc16 = i << 8;
+  for (let bit = 0; bit < 8; bit++) {
+    crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+    crc16 = crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+  }
+  CRC8_TABLE[i] = crc8;
+  CRC16_TABLE[i] = crc16;
+}
+
+/**
+ * CRC-8 of `bytes[start..end)` as in FLAC frame headers
+ */
+export function crc8(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+  return crc;
+}
+
+/**
+ * CRC-16 of `bytes[start..end)` as in FLAC frame footers
+ */
+export function crc16(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  return crc;
+}
+
+/**
+ * Residual of a fixed polynomial predictor of the given order
+ */
+function fixedResidual(samples, order) {
+  const n = samples.length;
+  const residual = new Int32Array(Math.max(0, n - order));
+  for (let i = order; i < n; i++) {
+    let prediction;
+    switch (order) {
+      case 0: prediction = 0; break;
+      case 1: prediction = samples[i - 1]; break;
+      case 2: prediction = 2 * samples[i - 1] - samples[i - 2]; break;
+      case 3: prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3]; break;
+      default: prediction = 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+    }
+    residual[i - order] = samples[i] - prediction;
+  }
+  return residual;
+}
+
+const zigzag = (value) => (value >= 0 ? 2 * value : -2 * value - 1);
+
+/**
+ * Pick the Rice partitioning (order and per-partition parameters) with the fewest bits
+ */
+function planRice(residual, blockSize, predictorOrder, maxParam) {
+  let best = null;
+
+  for (let partitionOrder = 0; partitionOrder <= MAX_PARTITION_ORDER; partitionOrder++) {
+    const partitions = 1 << partitionOrder;
+    if (blockSize % partitions !== 0) break;
+    const partitionSize = blockSize / partitions;
+    if (partitionSize <= predictorOrder) break;
+
+    const params = [];
+    let bits = 0;
+    let offset = 0;
+    for (let p = 0; p < partitions; p++) {
+      const count = p === 0 ? partitionSize - predictorOrder : partitionSize;
+      let sum = 0;
+      for (let i = offset; i < offset + count; i++) sum += zigzag(residual[i]);
+
+      // Best parameter is near log2(mean); check the neighbours exactly
+      const mean = count > 0 ? sum / count : 0;
+      const guess = mean > 1 ? Math.min(maxParam, Math.floor(Math.log2(mean))) : 0;
+      let bestParam = guess;
+      let bestBits = Infinity;
+      for (let k = Math.max(0, guess - 1); k <= Math.min(maxParam, guess + 1); k++) {
+        let partitionBits = count * (k + 1);
+        for (let i = offset; i < offset + count; i++) partitionBits += Math.floor(zigzag(residual[i]) / Math.pow(2, k));
+        if (partitionBits < bestBits) {
+          bestBits = partitionBits;
+          bestParam = k;
+        }
+      }
+
+      params.push(bestParam);
+      bits += bestBits;
+      offset += count;
+    }
+
+    bits += partitions * (maxParam > 14 ? 5 : 4);
+    if (!best || bits < best.bits) {
+      best = { partitionOrder, params, bits };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Choose the cheapest subframe encoding for one channel of a block
+ */
+function planSubframe(samples, bitsPerSample) {
+  const n = samples.length;
+
+  let constant = true;
+  for (let i = 1; i < n && constant; i++) constant = samples[i] === samples[0];
+  if (constant) {
+    return { type: 'constant', bits: bitsPerSample };
+  }
+
+  let best = { type: 'verbatim', bits: n * bitsPerSample };
+  const maxParam = bitsPerSample > 16 ? 30 : 14;
+
+  for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, n - 1); order++) {
+    const residual = fixedResidual(samples, order);
+    const rice = planRice(residual, n, order, maxParam);
+    if (!rice) continue;
+    const bits = order * bitsPerSample + 6 + rice.bits;
+    if (bits < best.bits) {
+      best = { type: 'fixed', order, residual, rice, maxParam, bits };
+    }
+  }
+
+  return best;
+}
+
+function writeSubframe(writer, samples, bitsPerSample, plan) {
+  writer.writeBits(0, 1); // zero padding bit
+  if (plan.type === 'constant') {
+    writer.writeBits(0b000000, 6);
+    writer.writeBits(0, 1); // no wasted bits
+    writer.writeSigned(samples[0], bitsPerSample);
+    return;
+  }
+
+  if (plan.type === 'verbatim') {
+    writer.writeBits(0b000001, 6);
+    writer.writeBits(0, 1);
+    for (let i = 0; i < samples.length; i++) writer.writeSigned(samples[i], bitsPerSample);
+    return;
+  }
+
+  writer.writeBits(0b001000 | plan.order, 6);
+  writer.writeBits(0, 1);
+  for (let i = 0; i < plan.order; i++) writer.writeSigned(samples[i], bitsPerSample);
+
+  // Residual: coding method, partition order, then each partition
+  const { partitionOrder, params } = plan.rice;
+  const paramBits = plan.maxParam > 14 ? 5 : 4;
+  writer.writeBits(paramBits === 5 ? 1 : 0, 2);
+  writer.writeBits(partitionOrder, 4);
+
+  const partitionSize = samples.length >> partitionOrder;
+  let offset = 0;
+  params.forEach((k, p) => {
+    const count = p === 0 ? partitionSize - plan.order : partitionSize;
+    writer.writeBits(k, paramBits);
+    const divisor = Math.pow(2, k);
+    for (let i = offset; i < offset + count; i++) {
+      const value = zigzag(plan.residual[i]);
+      writer.writeUnary(Math.floor(value / divisor));
+      if (k > 0) writer.writeBits(value % divisor, k);
+    }
+    offset += count;
+  });
+}
+
+/**
+ * Frame number as FLAC's UTF-8-like variable length code
+ */
+function writeFrameNumber(writer, number) {
+  if (number < 0x80) {
+    writer.writeBits(number, 8);
+    return;
+  }
+  const bytes = [];
+  let value = number;
+  while (value >= 0x40 >> bytes.length || bytes.length === 0) {
+    bytes.unshift(0x80 | (value & 0x3f));
+    value = Math.floor(value / 64);
+  }
+  const lead = (0xff00 >> (bytes.length + 1)) & 0xff;
+  writer.writeBits(lead | value, 8);
+  bytes.forEach((b) => writer.writeBits(b, 8));
+}
+
+function writeFrame(writer, channels, start, blockSize, frameNumber, sampleRate, bitsPerSample) {
+  const frameStart = writer.length;
+  const blocks = channels.map((data) => data.subarray(start, start + blockSize));
+
+  // Stereo decorrelation: compare independent, left/side, right/side and mid/side
+  let assignment = INDEPENDENT;
+  let subframes;
+  if (blocks.length === 2) {
+    const [left, right] = blocks;
+    const side = new Int32Array(blockSize);
+    const mid = new Int32Array(blockSize);
+    for (let i = 0; i < blockSize; i++) {
+      side[i] = left[i] - right[i];
+      mid[i] = (left[i] + right[i]) >> 1;
+    }
+    const plans = {
+      left: planSubframe(left, bitsPerSample),
+      right: planSubframe(right, bitsPerSample),
+      side: planSubframe(side, bitsPerSample + 1),
+      mid: planSubframe(mid, bitsPerSample),
+    };
+    const options = [
+      { assignment: INDEPENDENT, parts: [[left, bitsPerSample, plans.left], [right, bitsPerSample, plans.right]] },
+      { assignment: LEFT_SIDE, parts: [[left, bitsPerSample, plans.left], [side, bitsPerSample + 1, plans.side]] },
+      { assignment: RIGHT_SIDE, parts: [[side, bitsPerSample + 1, plans.side], [right, bitsPerSample, plans.right]] },
+      { assignment: MID_SIDE, parts: [[mid, bitsPerSample, plans.mid], [side, bitsPerSample + 1, plans.side]] },
+    ];
+    const best = options.reduce((a, b) => (
+      b.parts.reduce((sum, part) => sum + part[2].bits, 0) < a.parts.reduce((sum, part) => sum + part[2].bits, 0) ? b : a
+    ));
+    assignment = best.assignment;
+    subframes = best.parts;
+  } else {
+    subframes = blocks.map((block) => [block, bitsPerSample, planSubframe(block, bitsPerSample)]);
+  }
+
+  // Frame header
+  writer.writeBits(0b11111111111110, 14); // sync code
+  writer.writeBits(0, 1); // reserved
+  writer.writeBits(0, 1); // fixed block size stream
+  writer.writeBits(0b0111, 4); // block size: 16 bit (size - 1) at end of header
+  writer.writeBits(SAMPLE_RATE_CODES[sampleRate] || 0b0000, 4);
+  writer.writeBits(assignment === INDEPENDENT ? channels.length - 1 : assignment, 4);
+  writer.writeBits(bitsPerSample === 24 ? 0b110 : 0b100, 3); // 24 or 16 bits per sample
+  writer.writeBits(0, 1); // reserved
+  writeFrameNumber(writer, frameNumber);
+  writer.writeBits(blockSize - 1, 16);
+  writer.writeBits(crc8(writer.bytes, frameStart, writer.length), 8);
+
+  subframes.forEach(([samples, bits, plan]) => writeSubframe(writer, samples, bits, plan));
+
+  writer.alignToByte();
+  writer.writeBits(crc16(writer.bytes, frameStart, writer.length), 16);
+}
+
+function writeStreamInfo(writer, sampleRate, channelCount, bitsPerSample, totalSamples) {
+  writer.writeBits(1, 1); // last metadata block
+  writer.writeBits(0, 7); // STREAMINFO
+  writer.writeBits(34, 24); // block length
+  writer.writeBits(BLOCK_SIZE, 16); // min block size (the last block may be shorter)
+  writer.writeBits(BLOCK_SIZE, 16); // max block size
+  writer.writeBits(0, 24); // min frame size (unknown)
+  writer.writeBits(0, 24); // max frame size (unknown)
+  writer.writeBits(sampleRate, 20);
+  writer.writeBits(channelCount - 1, 3);
+  writer.writeBits(bitsPerSample - 1, 5);
+  writer.writeBits(Math.floor(totalSamples / Math.pow(2, 32)), 4);
+  writer.writeBits(totalSamples % Math.pow(2, 32), 32);
+  for (let i = 0; i < 4; i++) writer.writeBits(0, 32); // MD5 (unknown)
+}
+
+/**
+ * Encode integer PCM channels (Int32Array per channel, values within
+ * `bitsPerSample` bits) as a FLAC file. Yields to the event loop between
+ * chunks and reports progress (0-1) through `onProgress`.
+ */
+export async function encodeFlac(channels, sampleRate, bitsPerSample, { onProgress } = {}) {
+  if (bitsPerSample !== 16 && bitsPerSample !== 24) {
+    throw new Error('FLAC export supports 16 or 24 bits per sample');
+  }
+  if (channels.length < 1 || channels.length > 8) {
+    throw new Error('FLAC export supports 1 to 8 channels');
+  }
+
+  const totalSamples = channels[0].length;
+  const writer = new BitWriter(Math.max(1 << 16, totalSamples * channels.length * 2));
+
+  writer.writeBits(0x664c6143, 32); // "fLaC"
+  writeStreamInfo(writer, sampleRate, channels.length, bitsPerSample, totalSamples);
+
+  let frameNumber = 0;
+  for (let start = 0; start < totalSamples; start += BLOCK_SIZE) {
+    const blockSize = Math.min(BLOCK_SIZE, totalSamples - start);
+    writeFrame(writer, channels, start, blockSize, frameNumber, sampleRate, bitsPerSample);
+    frameNumber++;
+
+    // Keep the UI responsive on long files
+    if (frameNumber % 32 === 0) {
+      if (typeof onProgress === 'function') onProgress(start / totalSamples);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  if (typeof onProgress === 'function') onProgress(1);
+  return writer.toUint8Array();
+}
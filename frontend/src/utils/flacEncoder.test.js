@@ -0,0 +1,222 @@
+import { crc8, crc16, encodeFlac } from './flacEncoder';
+
+const ascii = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+// Minimal FLAC reader for the subset the encoder writes (fixed block size,
+// constant/verbatim/fixed subframes, Rice residuals, stereo decorrelation)
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0; // in bits
+  }
+
+  read(n) {
+    let value = 0;
+    for (let i = 0; i < n; i++) {
+      const bit = (this.bytes[this.position >> 3] >> (7 - (this.position & 7))) & 1;
+      value = value * 2 + bit;
+      this.position++;
+    }
+    return value;
+  }
+
+  readSigned(n) {
+    const value = this.read(n);
+    return value >= Math.pow(2, n - 1) ? value - Math.pow(2, n) : value;
+  }
+
+  readUnary() {
+    let zeros = 0;
+    while (this.read(1) === 0) zeros++;
+    return zeros;
+  }
+
+  alignToByte() {
+    this.position = Math.ceil(this.position / 8) * 8;
+  }
+
+  get byteOffset() {
+    return this.position >> 3;
+  }
+}
+
+function readSubframe(reader, blockSize, bitsPerSample) {
+  expect(reader.read(1)).toBe(0);
+  const type = reader.read(6);
+  expect(reader.read(1)).toBe(0); // no wasted bits
+  const samples = new Int32Array(blockSize);
+
+  if (type === 0) {
+    samples.fill(reader.readSigned(bitsPerSample));
+    return samples;
+  }
+  if (type === 1) {
+    for (let i = 0; i < blockSize; i++) samples[i] = reader.readSigned(bitsPerSample);
+    return samples;
+  }
+
+  expect(type & 0b111000).toBe(0b001000);
+  const order = type & 0b111;
+  for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bitsPerSample);
+
+  const paramBits = reader.read(2) === 1 ? 5 : 4;
+  const partitionOrder = reader.read(4);
+  const partitionSize = blockSize >> partitionOrder;
+  let i = order;
+  for (let p = 0; p < 1 << partitionOrder; p++) {
+    const k = reader.read(paramBits);
+    const count = p === 0 ? partitionSize - order : partitionSize;
+    for (let j = 0; j < count; j++, i++) {
+      const value = reader.readUnary() * Math.pow(2, k) + reader.read(k);
+      const residual = value % 2 ? -(value + 1) / 2 : value / 2;
+      const [s1, s2, s3, s4] = [samples[i - 1], samples[i - 2], samples[i - 3], samples[i - 4]];
+      const prediction = [0, s1, 2 * s1 - s2, 3 * s1 - 3 * s2 + s3, 4 * s1 - 6 * s2 + 4 * s3 - s4][order];
+      samples[i] = prediction + residual;
+    }
+  }
+  return samples;
+}
+
+function decodeFlac(bytes) {
+  const reader = new BitReader(bytes);
+  expect(reader.read(32)).toBe(0x664c6143); // "fLaC"
+  expect(reader.read(1)).toBe(1); // last metadata block
+  expect(reader.read(7)).toBe(0); // STREAMINFO
+  expect(reader.read(24)).toBe(34);
+  reader.read(16 + 16 + 24 + 24);
+  const sampleRate = reader.read(20);
+  const channelCount = reader.read(3) + 1;
+  const bitsPerSample = reader.read(5) + 1;
+  const totalSamples = reader.read(36);
+  reader.read(128); // MD5
+
+  const channels = Array.from({ length: channelCount }, () => new Int32Array(totalSamples));
+  let offset = 0;
+  for (let frameNumber = 0; offset < totalSamples; frameNumber++) {
+    const frameStart = reader.byteOffset;
+    expect(reader.read(16)).toBe(0xfff8); // sync code, fixed block size
+    expect(reader.read(4)).toBe(0b0111);
+    reader.read(4); // sample rate code
+    const assignment = reader.read(4);
+    reader.read(4); // sample size code + reserved bit
+    expect(reader.read(8)).toBe(frameNumber); // frame numbers stay below 128 here
+    const blockSize = reader.read(16) + 1;
+    expect(reader.read(8)).toBe(crc8(bytes, frameStart, reader.byteOffset - 1));
+
+    const sideChannel = { 8: 1, 9: 0, 10: 1 }[assignment];
+    const blocks = Array.from({ length: assignment < 8 ? assignment + 1 : 2 }, (_, c) =>
+      readSubframe(reader, blockSize, bitsPerSample + (c === sideChannel ? 1 : 0))
+    );
+    reader.alignToByte();
+    const frameEnd = reader.byteOffset;
+    expect(reader.read(16)).toBe(crc16(bytes, frameStart, frameEnd));
+
+    let decoded = blocks;
+    if (assignment >= 8) {
+      const [a, b] = blocks;
+      const left = new Int32Array(blockSize);
+      const right = new Int32Array(blockSize);
+      for (let i = 0; i < blockSize; i++) {
+        if (assignment === 8) {
+          left[i] = a[i];
+          right[i] = a[i] - b[i];
+        } else if (assignment === 9) {
+          left[i] = a[i] + b[i];
+          right[i] = b[i];
+        } else {
+          const mid = a[i] * 2 + (b[i] & 1);
+          left[i] = (mid + b[i]) >> 1;
+          right[i] = (mid - b[i]) >> 1;
+        }
+      }
+      decoded = [left, right];
+    }
+    for (let c = 0; c < channelCount; c++) channels[c].set(decoded[c], offset);
+    offset += blockSize;
+  }
+  expect(reader.byteOffset).toBe(bytes.length);
+
+  return { sampleRate, bitsPerSample, channels };
+}
+
+describe('FLAC checksums', () => {
+  // Check values of the CRC catalogue: CRC-8/SMBUS and CRC-16/UMTS (a.k.a. BUYPASS)
+  test('crc8 matches the reference check value', () => {
+    expect(crc8(ascii('123456789'))).toBe(0xf4);
+    expect(crc8(new Uint8Array(0))).toBe(0);
+  });
+
+  test('crc16 matches the reference check value', () => {
+    expect(crc16(ascii('123456789'))).toBe(0xfee8);
+    expect(crc16(new Uint8Array(0))).toBe(0);
+  });
+
+  test('cover only the requested range', () => {
+    const bytes = ascii('xx123456789yy');
+    expect(crc8(bytes, 2, 11)).toBe(0xf4);
+    expect(crc16(bytes, 2, 11)).toBe(0xfee8);
+  });
+});
+
+describe('encodeFlac', () => {
+  test('writes the expected STREAMINFO and frame header for a tiny input', async () => {
+    const bytes = await encodeFlac([new Int32Array(4)], 44100, 16);
+
+    expect(Array.from(bytes.subarray(0, 26))).toEqual([
+      0x66, 0x4c, 0x61, 0x43, // "fLaC"
+      0x80, 0x00, 0x00, 0x22, // last block, STREAMINFO, 34 bytes
+      0x10, 0x00, 0x10, 0x00, // min/max block size 4096
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // min/max frame size unknown
+      0x0a, 0xc4, 0x40, 0xf0, // 44100 Hz, 1 channel, 16 bits
+      0x00, 0x00, 0x00, 0x04, // 4 samples
+    ]);
+    expect(Array.from(bytes.subarray(26, 42))).toEqual(new Array(16).fill(0)); // MD5 unknown
+
+    const frame = bytes.subarray(42);
+    expect(Array.from(frame.subarray(0, 7))).toEqual([
+      0xff, 0xf8, // sync code, fixed block size
+      0x79, // 16-bit block size at end of header, 44.1 kHz
+      0x08, // mono, 16 bits
+      0x00, // frame 0
+      0x00, 0x03, // block size - 1
+    ]);
+    expect(frame[7]).toBe(crc8(frame, 0, 7));
+    expect(Array.from(frame.subarray(8, 11))).toEqual([0x00, 0x00, 0x00]); // constant subframe of 0
+    expect((frame[11] << 8) | frame[12]).toBe(crc16(frame, 0, 11));
+    expect(frame).toHaveLength(13);
+  });
+
+  test('round-trips 16-bit stereo losslessly across a partial last block', async () => {
+    const length = 5000;
+    const left = new Int32Array(length);
+    const right = new Int32Array(length);
+    let seed = 7;
+    for (let i = 0; i < length; i++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      const noise = (seed / 2147483648) * 2000 - 1000;
+      left[i] = Math.round(20000 * Math.sin(i / 20) + noise);
+      right[i] = Math.round(0.8 * left[i] - noise / 2);
+    }
+    right[length - 1] = -32768;
+    left[length - 1] = 32767;
+
+    const decoded = decodeFlac(await encodeFlac([left, right], 48000, 16));
+    expect(decoded.sampleRate).toBe(48000);
+    expect(decoded.bitsPerSample).toBe(16);
+    expect(decoded.channels).toEqual([left, right]);
+  });
+
+  test('round-trips 24-bit mono losslessly', async () => {
+    const samples = Int32Array.from({ length: 4096 + 17 }, (_, i) => Math.round(8000000 * Math.sin(i / 7) * Math.cos(i / 300)));
+    samples[100] = 8388607;
+    samples[101] = -8388608;
+
+    const decoded = decodeFlac(await encodeFlac([samples], 96000, 24));
+    expect(decoded.bitsPerSample).toBe(24);
+    expect(decoded.channels).toEqual([samples]);
+  });
+
+  test('rejects unsupported bit depths', async () => {
+    await expect(encodeFlac([new Int32Array(4)], 44100, 8)).rejects.toThrow('16 or 24 bits');
+  });
+});
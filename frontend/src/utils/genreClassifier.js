@@ -0,0 +1,224 @@
+/**
+ * Genre Classifier using TensorFlow.js
+ * Softmax regression over the audio feature vector that outputs a probability
+ * distribution over GENRES. Starts from bundled weights (no network needed) and
+ * is trained per user from manual genre corrections made in the Mixer; the
+ * user's weights are kept in IndexedDB like the preference model.
+ * The bundled weights are a hand-tuned prior, not a model trained on labelled
+ * audio: they score the distance to a hand-set prototype per genre (see the
+ * description in genreModelWeights.json), so expect rough guesses until the
+ * user has corrected a few songs. Weights fitted to a labelled dataset can
+ * replace them as long as they keep the same layout (featureVersion, inputSize,
+ * genres and the dense kernel/bias shapes).
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { FEATURE_VECTOR_VERSION, GENRES, audioFeatureSize, genreOneHot } from './audioFeatures';
+import bundledWeights from './genreModelWeights.json';
+
+export class GenreClassifier {
+  /**
+   * `numMfcc` must match the coefficient count used for feature extraction;
+   * the bundled weights only fit the default count
+   */
+  constructor(userId, { numMfcc } = {}) {
+    this.userId = userId;
+    this.model = null;
+    this.inputSize = audioFeatureSize(numMfcc);
+    this.outputSize = GENRES.length;
+    this.featureVersion = FEATURE_VECTOR_VERSION;
+    this.isInitialized = false;
+    this.initialization = null; // pending initialize(), shared by concurrent callers
+  }
+
+  get storageUrl() {
+    return `indexeddb://genreModel_${this.userId}`;
+  }
+
+  get legacyStorageKey() {
+    return `genreModel_${this.userId}`;
+  }
+
+  /**
+   * Initialize the model from the user's fine-tuned weights (IndexedDB, or the
+   * old localStorage copy which is moved over) or the bundled weights
+   */
+  initialize() {
+    if (!this.initialization) {
+      this.initialization = this.loadModel();
+    }
+    return this.initialization;
+  }
+
+  /**
+   * Create the model and load its weights (run once, see initialize)
+   */
+  async loadModel() {
+    this.createModel();
+
+    const stored = await this.loadStoredModel();
+    if (stored) {
+      // Loaded models are not compiled; copy their weights into our compiled model
+      this.model.setWeights(stored.getWeights());
+      stored.dispose();
+    } else {
+      const legacy = this.migrateLegacyWeights();
+      const weights = legacy || this.loadBundledWeights();
+      if (weights) {
+        this.model.setWeights(weights);
+        weights.forEach(weight => weight.dispose());
+      } else {
+        console.warn('Bundled genre weights do not match the current feature layout, using untrained classifier');
+      }
+      if (legacy) {
+        await this.saveModel();
+        console.log(`Migrated localStorage genre classifier to IndexedDB for user: ${this.userId}`);
+      }
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create the classifier (single softmax layer)
+   */
+  createModel() {
+    this.model = tf.sequential({
+      layers: [
+        tf.layers.dense({
+          inputShape: [this.inputSize],
+          units: this.outputSize,
+          activation: 'softmax',
+          kernelInitializer: 'zeros',
+        }),
+      ],
+    });
+
+    this.model.compile({
+      optimizer: tf.train.adam(0.02), // one correction should noticeably move the prediction
+      loss: 'categoricalCrossentropy',
+    });
+  }
+
+  /**
+   * Predict genre probabilities for an audio feature vector (featuresToAudioVector)
+   * Returns an array aligned with GENRES that sums to 1
+   */
+  async predict(audioVector) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    if (audioVector.length !== this.inputSize) {
+      throw new Error(`Expected ${this.inputSize} audio features, got ${audioVector.length}`);
+    }
+
+    const inputTensor = tf.tensor2d([audioVector]);
+    const prediction = this.model.predict(inputTensor);
+    const values = await prediction.data();
+
+    inputTensor.dispose();
+    prediction.dispose();
+
+    return Array.from(values);
+  }
+
+  /**
+   * Fine-tune with a user-corrected example (genre name from GENRES)
+   */
+  async train(audioVector, genre) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    if (!GENRES.includes(genre) || !audioVector || audioVector.length !== this.inputSize) {
+      console.warn(`Skipping genre training example (${genre})`);
+      return;
+    }
+
+    const inputTensor = tf.tensor2d([audioVector]);
+    const outputTensor = tf.tensor2d([genreOneHot(genre)]);
+
+    await this.model.fit(inputTensor, outputTensor, {
+      epochs: 10,
+      batchSize: 1,
+      verbose: 0,
+    });
+
+    inputTensor.dispose();
+    outputTensor.dispose();
+
+    await this.saveModel();
+
+    console.log(`Genre classifier learned "${genre}" correction for user: ${this.userId}`);
+  }
+
+  /**
+   * Save the fine-tuned weights to IndexedDB, tagged with the feature layout
+   */
+  async saveModel() {
+    if (!this.model) return;
+
+    try {
+      this.model.setUserDefinedMetadata({ featureVersion: this.featureVersion, inputSize: this.inputSize });
+      await this.model.save(this.storageUrl);
+    } catch (error) {
+      console.error('Error saving genre classifier weights:', error);
+    }
+  }
+
+  /**
+   * Load the user's fine-tuned model from IndexedDB (null if missing or saved
+   * for an older feature layout, which is removed)
+   */
+  async loadStoredModel() {
+    try {
+      const models = await tf.io.listModels();
+      if (!models[this.storageUrl]) return null;
+
+      const model = await tf.loadLayersModel(this.storageUrl);
+      const metadata = model.getUserDefinedMetadata() || {};
+      if (metadata.featureVersion === this.featureVersion && metadata.inputSize === this.inputSize) {
+        return model;
+      }
+      model.dispose();
+      await tf.io.removeModel(this.storageUrl);
+      return null;
+    } catch (error) {
+      console.error('Error loading genre classifier weights:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Take the weights saved by older versions in localStorage (JSON number arrays)
+   * and remove that copy. Returns the weight tensors, or null if there are none
+   * or they were saved for an older feature layout.
+   */
+  migrateLegacyWeights() {
+    const key = this.legacyStorageKey;
+    const saved = localStorage.getItem(key);
+    if (!saved) return null;
+
+    // The legacy entry is removed either way; IndexedDB is the only store from now on
+    localStorage.removeItem(key);
+
+    try {
+      const parsed = JSON.parse(saved);
+      if (parsed.featureVersion !== this.featureVersion) return null;
+      return parsed.weights.map(w => tf.tensor(w.data, w.shape));
+    } catch (error) {
+      console.warn(`Could not migrate legacy genre classifier for user ${this.userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Hand-tuned prior weights shipped with the app (genreModelWeights.json)
+   */
+  loadBundledWeights() {
+    if (bundledWeights.featureVersion !== this.featureVersion || bundledWeights.inputSize !== this.inputSize) {
+      return null;
+    }
+    return bundledWeights.weights.map(w => tf.tensor(w.data, w.shape));
+  }
+}
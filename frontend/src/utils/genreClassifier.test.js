@@ -0,0 +1,145 @@
+import * as tf from '@tensorflow/tfjs';
+import { GenreClassifier } from './genreClassifier';
+import { AUDIO_FEATURE_SIZE, GENRES, audioFeatureSize, featuresToAudioVector } from './audioFeatures';
+import { DEFAULT_MFCC_COEFFICIENTS } from './mfcc';
+import bundledWeights from './genreModelWeights.json';
+
+// Normalized features of a song that sits on the prior's prototype for `genre`
+function prototypeVector(genre, overrides = {}) {
+  const { tempo, centroid, rolloff, bandwidth, flux, side } = { ...bundledWeights.prior.prototypes[genre], ...overrides };
+  return featuresToAudioVector({
+    duration: 0.7,
+    sampleRate: 44100 / 48000,
+    rms: 0.5,
+    zeroCrossingRate: 0.5,
+    spectralCentroid: centroid,
+    spectralRolloff: rolloff,
+    spectralFlux: flux,
+    spectralBandwidth: bandwidth,
+    tempo,
+    sideRatio: side,
+    channelCorrelation: 0.8,
+    channelBalance: 0,
+    mfccMean: new Array(DEFAULT_MFCC_COEFFICIENTS).fill(0),
+    mfccVariance: new Array(DEFAULT_MFCC_COEFFICIENTS).fill(0.5),
+  });
+}
+
+const topGenre = (probabilities) => GENRES[probabilities.indexOf(Math.max(...probabilities))];
+
+beforeAll(async () => {
+  await tf.setBackend('cpu');
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('bundled genre weights', () => {
+  test('match the current feature layout', () => {
+    expect(bundledWeights.inputSize).toBe(AUDIO_FEATURE_SIZE);
+    expect(bundledWeights.genres).toEqual(GENRES);
+    const [kernel, bias] = bundledWeights.weights;
+    expect(kernel.shape).toEqual([AUDIO_FEATURE_SIZE, GENRES.length]);
+    expect(kernel.data).toHaveLength(AUDIO_FEATURE_SIZE * GENRES.length);
+    expect(bias.shape).toEqual([GENRES.length]);
+    expect(bias.data).toHaveLength(GENRES.length);
+  });
+
+  test('are loaded by the classifier', async () => {
+    const classifier = new GenreClassifier('tester');
+    await classifier.initialize();
+    const [kernel, bias] = classifier.model.getWeights();
+    expect(kernel.shape).toEqual([AUDIO_FEATURE_SIZE, GENRES.length]);
+    expect(Array.from(bias.dataSync())).toEqual(bundledWeights.weights[1].data.map((value) => Math.fround(value)));
+  });
+
+  test('are skipped for another MFCC count, whose vectors the classifier sizes itself', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const classifier = new GenreClassifier('tester', { numMfcc: 8 });
+    await classifier.initialize();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+
+    expect(classifier.model.getWeights()[0].shape).toEqual([audioFeatureSize(8), GENRES.length]);
+    expect(await classifier.predict(new Array(audioFeatureSize(8)).fill(0.5))).toHaveLength(GENRES.length);
+    await expect(classifier.predict(prototypeVector('pop'))).rejects.toThrow(/audio features/);
+  });
+
+  test('keep every logit contribution moderate', () => {
+    const kernel = bundledWeights.weights[0].data;
+    // Features are normalized to 0-1, so no single weight should decide the genre on its own
+    expect(Math.max(...kernel.map(Math.abs))).toBeLessThan(60);
+    const tempoRow = kernel.slice(8 * GENRES.length, 9 * GENRES.length);
+    expect(Math.max(...tempoRow) - Math.min(...tempoRow)).toBeLessThan(5);
+  });
+});
+
+describe('GenreClassifier.predict', () => {
+  let classifier;
+
+  beforeAll(async () => {
+    classifier = new GenreClassifier('tester');
+    await classifier.initialize();
+  });
+
+  test('returns a probability per genre', async () => {
+    const probabilities = await classifier.predict(prototypeVector('pop'));
+    expect(probabilities).toHaveLength(GENRES.length);
+    expect(probabilities.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 5);
+  });
+
+  test.each(['metal', 'classical', 'hiphop', 'electronic'])('recognizes a %s-like song', async (genre) => {
+    expect(topGenre(await classifier.predict(prototypeVector(genre)))).toBe(genre);
+  });
+
+  test('is not decided by tempo alone', async () => {
+    // A quiet, wide, dark recording stays classical even at a metal tempo
+    const probabilities = await classifier.predict(prototypeVector('classical', { tempo: bundledWeights.prior.prototypes.metal.tempo }));
+    expect(topGenre(probabilities)).toBe('classical');
+  });
+
+  test('moves towards a corrected genre and saves to IndexedDB', async () => {
+    const save = jest.spyOn(classifier, 'saveModel').mockResolvedValue();
+    const vector = prototypeVector('country');
+    const before = (await classifier.predict(vector))[GENRES.indexOf('blues')];
+    await classifier.train(vector, 'blues');
+    const after = (await classifier.predict(vector))[GENRES.indexOf('blues')];
+    expect(after).toBeGreaterThan(before);
+    expect(save).toHaveBeenCalled();
+    expect(localStorage.getItem(classifier.legacyStorageKey)).toBeNull();
+    save.mockRestore();
+  });
+});
+
+describe('GenreClassifier.migrateLegacyWeights', () => {
+  const savedWeights = (featureVersion) => ({
+    featureVersion,
+    weights: bundledWeights.weights.map(({ shape, data }) => ({ shape, data: data.map(() => 0.5) })),
+  });
+
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new GenreClassifier('tester');
+  });
+
+  test('takes weights saved in localStorage on the current layout and removes them', () => {
+    localStorage.setItem(classifier.legacyStorageKey, JSON.stringify(savedWeights(classifier.featureVersion)));
+    const weights = classifier.migrateLegacyWeights();
+    expect(weights.map((weight) => weight.shape)).toEqual([[AUDIO_FEATURE_SIZE, GENRES.length], [GENRES.length]]);
+    expect(weights[1].dataSync()[0]).toBe(0.5);
+    expect(localStorage.getItem(classifier.legacyStorageKey)).toBeNull();
+    weights.forEach((weight) => weight.dispose());
+  });
+
+  test('discards weights saved on an older layout', () => {
+    localStorage.setItem(classifier.legacyStorageKey, JSON.stringify(savedWeights(classifier.featureVersion - 1)));
+    expect(classifier.migrateLegacyWeights()).toBeNull();
+    expect(localStorage.getItem(classifier.legacyStorageKey)).toBeNull();
+  });
+
+  test('does nothing without saved weights', () => {
+    expect(classifier.migrateLegacyWeights()).toBeNull();
+  });
+});
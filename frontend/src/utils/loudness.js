@@ -0,0 +1,123 @@
+/**
+ * Loudness measurement (ITU-R BS.1770 / EBU R128)
+ * K-weighted, gated integrated loudness in LUFS plus sample peak, used to
+ * normalize exported mixes.
+ */
+
+const BLOCK_SECONDS = 0.4; // gating block length
+const BLOCK_OVERLAP = 0.75;
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the absolute-gated loudness
+
+/**
+ * Biquad coefficients of the two K-weighting stages for any sample rate
+ * (high shelf "head" filter followed by the RLB high-pass)
+ */
+function kWeightingFilters(sampleRate) {
+  // Stage 1: high shelf, +4 dB above ~1.7 kHz
+  const shelfGain = 3.999843853973347;
+  const shelfFreq = 1681.974450955533;
+  const shelfQ = 0.7071752369554196;
+  let K = Math.tan((Math.PI * shelfFreq) / sampleRate);
+  const Vh = Math.pow(10, shelfGain / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / shelfQ + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / shelfQ + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / shelfQ + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / shelfQ + K * K) / a0],
+  };
+
+  // Stage 2: high-pass at ~38 Hz
+  const highpassFreq = 38.13547087602444;
+  const highpassQ = 0.5003270373238773;
+  K = Math.tan((Math.PI * highpassFreq) / sampleRate);
+  a0 = 1 + K / highpassQ + K * K;
+  const highpass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / highpassQ + K * K) / a0],
+  };
+
+  return [shelf, highpass];
+}
+
+function applyBiquad(input, { b, a }) {
+  const output = new Float32Array(input.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+  return output;
+}
+
+const blockLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Integrated loudness in LUFS of `channels` (Float32Array per channel).
+ * Returns -Infinity for silence or input shorter than one gating block.
+ * Channels are weighted equally (mono/stereo; no surround weighting).
+ */
+export function measureLoudness(channels, sampleRate) {
+  const blockSize = Math.round(BLOCK_SECONDS * sampleRate);
+  const hopSize = Math.round(blockSize * (1 - BLOCK_OVERLAP));
+  const length = channels[0] ? channels[0].length : 0;
+  if (length < blockSize) return -Infinity;
+
+  const filters = kWeightingFilters(sampleRate);
+  const numBlocks = Math.floor((length - blockSize) / hopSize) + 1;
+  const blockPower = new Float64Array(numBlocks);
+
+  for (const data of channels) {
+    const weighted = filters.reduce((signal, filter) => applyBiquad(signal, filter), data);
+
+    // Prefix sums of squares make each overlapping block O(1)
+    const prefix = new Float64Array(length + 1);
+    for (let i = 0; i < length; i++) {
+      prefix[i + 1] = prefix[i] + weighted[i] * weighted[i];
+    }
+    for (let j = 0; j < numBlocks; j++) {
+      const start = j * hopSize;
+      blockPower[j] += (prefix[start + blockSize] - prefix[start]) / blockSize;
+    }
+  }
+
+  const gatedMean = (threshold) => {
+    let sum = 0;
+    let count = 0;
+    for (let j = 0; j < numBlocks; j++) {
+      if (blockPower[j] > 0 && blockLoudness(blockPower[j]) > threshold) {
+        sum += blockPower[j];
+        count++;
+      }
+    }
+    return count > 0 ? sum / count : 0;
+  };
+
+  const absoluteGated = gatedMean(ABSOLUTE_GATE);
+  if (absoluteGated === 0) return -Infinity;
+
+  const relativeGated = gatedMean(blockLoudness(absoluteGated) + RELATIVE_GATE);
+  return relativeGated > 0 ? blockLoudness(relativeGated) : -Infinity;
+}
+
+/**
+ * Highest absolute sample value across channels (linear, 1.0 = 0 dBFS)
+ */
+export function measurePeak(channels) {
+  let peak = 0;
+  for (const data of channels) {
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      if (value > peak) peak = value;
+    }
+  }
+  return peak;
+}
@@ -0,0 +1,41 @@
+import { measureLoudness, measurePeak } from './loudness';
+
+const SAMPLE_RATE = 48000;
+
+const sine = (seconds, frequency, amplitude) =>
+  Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) =>
+    amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE)
+  );
+
+const dbfs = (db) => Math.pow(10, db / 20);
+
+describe('measureLoudness', () => {
+  // EBU Tech 3341, test 1: a stereo 1 kHz sine at -23 dBFS reads -23 LUFS
+  test('reads a stereo 1 kHz sine at -23 dBFS as -23 LUFS', () => {
+    const tone = sine(20, 1000, dbfs(-23));
+    expect(measureLoudness([tone, tone], SAMPLE_RATE)).toBeCloseTo(-23, 1);
+  });
+
+  test('reads a full-scale mono 1 kHz sine as -3 LUFS', () => {
+    expect(measureLoudness([sine(5, 1000, 1)], SAMPLE_RATE)).toBeCloseTo(-3.01, 1);
+  });
+
+  test('gates out silence', () => {
+    const tone = sine(5, 1000, dbfs(-20));
+    const withSilence = new Float32Array(tone.length * 2);
+    withSilence.set(tone);
+    // Ungated, the silent half would pull the reading down by 3 LU; only the blocks that straddle the end of the tone count
+    expect(Math.abs(measureLoudness([withSilence], SAMPLE_RATE) - measureLoudness([tone], SAMPLE_RATE))).toBeLessThan(0.5);
+  });
+
+  test('returns -Infinity for silence and for input shorter than one block', () => {
+    expect(measureLoudness([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE)).toBe(-Infinity);
+    expect(measureLoudness([sine(0.3, 1000, 1)], SAMPLE_RATE)).toBe(-Infinity);
+  });
+});
+
+describe('measurePeak', () => {
+  test('returns the largest absolute sample across channels', () => {
+    expect(measurePeak([Float32Array.from([0.1, -0.5]), Float32Array.from([0.25])])).toBe(0.5);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Level metering and spectrum taps for the live mix
+ * A tap splits a stereo node into one AnalyserNode per channel for peak/RMS
+ * levels, plus an optional (downmixed) AnalyserNode for the spectrum view.
+ * Taps only listen; they are not connected to the destination.
+ */
+
+export const METER_FLOOR_DB = -60; // bottom of the meter scale (dBFS)
+export const CLIP_LEVEL = 1; // sample magnitude at which the output clips (0 dBFS)
+
+const LEVEL_FFT_SIZE = 2048; // samples per level reading (~46 ms at 44.1 kHz)
+const SPECTRUM_FFT_SIZE = 4096;
+const SPECTRUM_SMOOTHING = 0.8;
+
+/**
+ * Attach a metering tap to `node` (stereo). Returns an object for readLevels/readSpectrum.
+ */
+export function createMeterTap(context, node, { spectrum = false } = {}) {
+  const splitter = context.createChannelSplitter(2);
+  node.connect(splitter);
+  const channels = [0, 1].map((channel) => {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = LEVEL_FFT_SIZE;
+    splitter.connect(analyser, channel);
+    return analyser;
+  });
+
+  let spectrumAnalyser = null;
+  if (spectrum) {
+    spectrumAnalyser = context.createAnalyser();
+    spectrumAnalyser.fftSize = SPECTRUM_FFT_SIZE;
+    spectrumAnalyser.smoothingTimeConstant = SPECTRUM_SMOOTHING;
+    node.connect(spectrumAnalyser);
+  }
+
+  return {
+    channels,
+    spectrum: spectrumAnalyser,
+    samples: new Float32Array(LEVEL_FFT_SIZE),
+    bins: spectrumAnalyser ? new Float32Array(spectrumAnalyser.frequencyBinCount) : null,
+  };
+}
+
+/**
+ * Current peak and RMS (linear) per channel: { peak: [left, right], rms: [left, right] }
+ */
+export function readLevels(tap) {
+  const peak = [];
+  const rms = [];
+  for (const analyser of tap.channels) {
+    analyser.getFloatTimeDomainData(tap.samples);
+    let max = 0;
+    let sum = 0;
+    for (let i = 0; i < tap.samples.length; i++) {
+      const value = Math.abs(tap.samples[i]);
+      if (value > max) max = value;
+      sum += value * value;
+    }
+    peak.push(max);
+    rms.push(Math.sqrt(sum / tap.samples.length));
+  }
+  return { peak, rms };
+}
+
+/**
+ * Current spectrum in dB per FFT bin (bin i is at i * sampleRate / fftSize Hz)
+ */
+export function readSpectrum(tap) {
+  tap.spectrum.getFloatFrequencyData(tap.bins);
+  return tap.bins;
+}
+
+export function levelToDb(level) {
+  return level > 0 ? 20 * Math.log10(level) : -Infinity;
+}
+
+/**
+ * Position of a level on the meter scale (0-1, METER_FLOOR_DB to 0 dBFS)
+ */
+export function meterPosition(level) {
+  const db = levelToDb(level);
+  if (db <= METER_FLOOR_DB) return 0;
+  return Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB);
+}
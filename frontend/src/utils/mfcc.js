@@ -0,0 +1,88 @@
+/**
+ * Mel-frequency cepstral coefficient helpers
+ * Mel filterbank + log energies + DCT-II, applied per FFT frame by audioAnalysis.js
+ */
+
+export const DEFAULT_MEL_FILTERS = 26;
+export const DEFAULT_MFCC_COEFFICIENTS = 13;
+
+const LOG_FLOOR = 1e-10; // avoids log(0) on silent bands
+
+export function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+export function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+/**
+ * Build triangular mel filters over the bins of an `fftSize`-point spectrum.
+ * Returns an array of { start, weights } where `weights[i]` applies to bin `start + i`.
+ */
+export function createMelFilterbank(numFilters, fftSize, sampleRate, minHz = 0, maxHz = sampleRate / 2) {
+  const numBins = fftSize / 2 + 1;
+  const minMel = hzToMel(minHz);
+  const maxMel = hzToMel(maxHz);
+
+  // numFilters + 2 equally spaced mel points give the edges of each triangle
+  const binPoints = [];
+  for (let i = 0; i < numFilters + 2; i++) {
+    const hz = melToHz(minMel + ((maxMel - minMel) * i) / (numFilters + 1));
+    binPoints.push((hz * fftSize) / sampleRate);
+  }
+
+  const filters = [];
+  for (let m = 0; m < numFilters; m++) {
+    const left = binPoints[m];
+    const center = binPoints[m + 1];
+    const right = binPoints[m + 2];
+    const start = Math.max(0, Math.ceil(left));
+    const end = Math.min(numBins - 1, Math.floor(right));
+
+    const weights = [];
+    for (let k = start; k <= end; k++) {
+      if (k <= center) {
+        weights.push(center > left ? (k - left) / (center - left) : 1);
+      } else {
+        weights.push(right > center ? (right - k) / (right - center) : 1);
+      }
+    }
+    filters.push({ start, weights: Float32Array.from(weights) });
+  }
+
+  return filters;
+}
+
+/**
+ * Orthonormal DCT-II of `input`, keeping the first `numCoefficients` terms
+ */
+export function dct(input, numCoefficients) {
+  const n = input.length;
+  const output = new Float32Array(numCoefficients);
+  for (let k = 0; k < numCoefficients; k++) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      sum += input[i] * Math.cos((Math.PI * k * (2 * i + 1)) / (2 * n));
+    }
+    output[k] = sum * Math.sqrt((k === 0 ? 1 : 2) / n);
+  }
+  return output;
+}
+
+/**
+ * Compute MFCCs for one magnitude spectrum using a filterbank from createMelFilterbank
+ */
+export function mfccFromSpectrum(magnitudes, filterbank, numCoefficients = DEFAULT_MFCC_COEFFICIENTS) {
+  const logEnergies = new Float32Array(filterbank.length);
+  for (let m = 0; m < filterbank.length; m++) {
+    const { start, weights } = filterbank[m];
+    let energy = 0;
+    for (let i = 0; i < weights.length; i++) {
+      const magnitude = magnitudes[start + i];
+      energy += weights[i] * magnitude * magnitude;
+    }
+    logEnergies[m] = Math.log(Math.max(energy, LOG_FLOOR));
+  }
+  return dct(logEnergies, numCoefficients);
+}
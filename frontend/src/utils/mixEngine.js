@@ -0,0 +1,692 @@
+/**
+ * Client-side stem mixing engine using Web Audio API
+ * Downloads the separated stems once and mixes them live in an AudioContext
+ * (one AudioBufferSourceNode + GainNode + automation GainNode + effects chain
+ * + StereoPannerNode per stem), so changes apply immediately and all stems
+ * share a single playback clock. The same graph is rebuilt in an
+ * OfflineAudioContext to render the mix for export. An optional A/B loop
+ * region repeats seamlessly using the sources' native looping. Practice mode
+ * changes the playback rate of the sources and corrects the pitch of the mix
+ * with a worklet (see pitchShift.js). A master trim turns the live mix down
+ * while comparing level-matched mix versions (see mixVersions.js).
+ */
+
+import { automationCurve, automationValueAt, hasPoints } from './automation';
+import { applyEffects, createEffectsChain, createReverbBus, defaultEffects } from './effectsChain';
+import { createMeterTap, readLevels, readSpectrum } from './meters';
+import {
+  createPitchShifter,
+  isPracticeActive,
+  pitchCorrection,
+  DEFAULT_PRACTICE,
+  PITCH_SHIFT_LATENCY,
+} from './pitchShift';
+
+// Time constant (seconds) used to smooth gain/pan changes and avoid zipper noise
+const GAIN_SMOOTHING = 0.01;
+
+export const MIN_LOOP_SECONDS = 0.1;
+const LOOP_LOOKAHEAD = 2; // seconds of loop passes with automation scheduled ahead
+const LOOP_TIMER_INTERVAL = 250; // ms
+const CURVE_GAP = 1e-4; // seconds between back-to-back automation curves (they must not overlap)
+const POWER_STRIDE = 16; // every n-th sample is enough to estimate a stem's mean power
+
+/**
+ * Convert a dB value to a linear gain factor
+ */
+export function dbToGain(db) {
+  if (db === -Infinity) return 0;
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Schedule a stem's automation lane on `param` for the track section from
+ * `offset` (seconds) lasting `duration`, starting at context time `when` and
+ * played at `rate` (track seconds per context second).
+ * Stems without points stay at unity.
+ */
+function scheduleAutomation(param, points, when, offset, duration, rate = 1) {
+  param.cancelScheduledValues(0);
+  if (!hasPoints(points) || duration <= 0) {
+    param.setValueAtTime(hasPoints(points) ? dbToGain(automationValueAt(points, offset)) : 1, when);
+    return;
+  }
+  param.setValueCurveAtTime(automationCurve(points, offset, duration), when, duration / rate);
+}
+
+export class MixEngine {
+  constructor(stemKeys) {
+    this.stemKeys = stemKeys;
+    this.context = null;
+    this.masterGain = null;
+    this.buffers = {};
+    this.gainNodes = {};
+    this.panNodes = {};
+    this.automationNodes = {};
+    this.effectChains = {};
+    this.meterTaps = {}; // level/spectrum taps per stem and 'master' (live context only)
+    this.sources = {};
+    this.gains = Object.fromEntries(stemKeys.map((key) => [key, 0]));
+    this.pans = Object.fromEntries(stemKeys.map((key) => [key, 0])); // -1 (left) to 1 (right)
+    this.effects = defaultEffects(stemKeys); // see effectsChain.js
+    this.automation = {}; // gain breakpoints per stem, see automation.js
+    this.isPlaying = false;
+    this.startedAt = 0; // context time at which playback (re)started
+    this.startOffset = 0; // position in the track at which playback (re)started
+    this.playbackId = 0; // guards onended callbacks of stopped sources
+    this.loop = null; // { start, end } in seconds while an A/B loop is active
+    this.loopOrigin = 0; // context time at which the first loop pass starts
+    this.loopPasses = 0; // loop passes with automation scheduled
+    this.loopTimer = null;
+    this.practice = { ...DEFAULT_PRACTICE }; // { tempo, semitones }, see pitchShift.js
+    this.pitchShifter = null; // promise of the live pitch-shifter node, created on first use
+    this.pitchShiftRouted = false; // whether the master currently runs through the pitch shifter
+    this.masterTrim = 0; // dB, live playback only (not rendered)
+    this.powers = null; // cached mean power per stem, see stemPowers()
+    this.onEnded = null;
+  }
+
+  /**
+   * Lazily create the AudioContext and the per-stem gain graph
+   */
+  ensureContext() {
+    if (this.context) return this.context;
+
+    this.context = new (window.AudioContext || window.webkitAudioContext)();
+    const { master, inputs, automators, panners, chains } = this.buildGraph(this.context);
+    this.masterGain = master;
+    master.gain.value = dbToGain(this.masterTrim);
+    this.gainNodes = inputs;
+    this.automationNodes = automators;
+    this.panNodes = panners;
+    this.effectChains = chains;
+
+    // Meter each stem after its panner (what it contributes to the mix) and the master bus
+    this.meterTaps = Object.fromEntries(
+      this.stemKeys.map((key) => [key, createMeterTap(this.context, panners[key], { spectrum: true })])
+    );
+    this.meterTaps.master = createMeterTap(this.context, master);
+
+    return this.context;
+  }
+
+  /**
+   * Build the per-stem processing graph on `context` with the current settings.
+   * Shared by live playback and offline rendering so exports match what is heard.
+   * Returns the master node and the input (fader) node, automation gain node,
+   * effects chain and panner of each stem.
+   */
+  buildGraph(context) {
+    const master = context.createGain();
+    master.connect(context.destination);
+
+    const reverb = createReverbBus(context);
+    reverb.output.connect(master);
+
+    const inputs = {};
+    const automators = {};
+    const panners = {};
+    const chains = {};
+    for (const key of this.stemKeys) {
+      const gainNode = context.createGain();
+      gainNode.gain.value = this.faderGain(key);
+      const automationNode = context.createGain();
+      const chain = createEffectsChain(context, reverb.input);
+      applyEffects(chain, this.effects[key]);
+      const panNode = context.createStereoPanner();
+      panNode.pan.value = this.pans[key];
+      gainNode.connect(automationNode);
+      automationNode.connect(chain.input);
+      chain.output.connect(panNode);
+      panNode.connect(master);
+      inputs[key] = gainNode;
+      automators[key] = automationNode;
+      panners[key] = panNode;
+      chains[key] = chain;
+    }
+
+    return { master, inputs, automators, panners, chains };
+  }
+
+  /**
+   * Download and decode all stems. `fetchStem(key)` resolves with a stem's encoded bytes (ArrayBuffer).
+   */
+  async loadStems(fetchStem) {
+    const context = this.ensureContext();
+    this.stop();
+
+    const decoded = await Promise.all(
+      this.stemKeys.map(async (key) => {
+        const arrayBuffer = await fetchStem(key);
+        return [key, await context.decodeAudioData(arrayBuffer)];
+      })
+    );
+
+    this.buffers = Object.fromEntries(decoded);
+    this.powers = null;
+    this.startOffset = 0;
+  }
+
+  /**
+   * Share the stems already decoded by another engine (e.g. to render offline
+   * with different settings without touching a playing engine)
+   */
+  shareBuffers(engine) {
+    this.buffers = { ...engine.buffers };
+    this.powers = null;
+    this.startOffset = 0;
+  }
+
+  get isLoaded() {
+    return this.stemKeys.every((key) => this.buffers[key]);
+  }
+
+  /**
+   * Length of the mix in seconds (shortest stem, matching the old server mix)
+   */
+  get duration() {
+    if (!this.isLoaded) return 0;
+    return Math.min(...this.stemKeys.map((key) => this.buffers[key].duration));
+  }
+
+  /**
+   * Current playback position in seconds
+   */
+  getCurrentTime() {
+    if (!this.isPlaying) return this.startOffset;
+    const position = this.startOffset + (this.context.currentTime - this.startedAt) * this.practice.tempo;
+    if (this.loop && position >= this.loop.end) {
+      const { start, end } = this.loop;
+      return start + ((position - end) % (end - start));
+    }
+    return Math.min(position, this.duration);
+  }
+
+  /**
+   * Current peak/RMS levels of a stem or of 'master' (see meters.js), null before playback
+   */
+  getLevels(key) {
+    const tap = this.meterTaps[key];
+    return tap ? readLevels(tap) : null;
+  }
+
+  /**
+   * Current spectrum of a stem in dB per bin, null before playback
+   */
+  getSpectrum(key) {
+    const tap = this.meterTaps[key];
+    return tap && tap.spectrum ? readSpectrum(tap) : null;
+  }
+
+  /**
+   * Set the practice tempo (playback rate) and transposition in semitones.
+   * Tempo changes apply to the running sources without restarting them.
+   */
+  async setPractice(practice) {
+    const tempoChanged = practice.tempo !== this.practice.tempo;
+    // Read the playhead at the old tempo: getCurrentTime() scales the elapsed time by this.practice.tempo
+    const position = this.getCurrentTime();
+    this.practice = { ...practice };
+    if (!this.context) return;
+
+    // Retime before awaiting the pitch shifter, whose first creation loads a worklet
+    // module while the sources keep playing
+    if (this.isPlaying && tempoChanged) {
+      this.retime(position);
+    }
+    await this.routePitchShift();
+  }
+
+  /**
+   * Run the master through the pitch shifter while practice mode is active and
+   * bypass it otherwise (it adds PITCH_SHIFT_LATENCY and some smearing)
+   */
+  async routePitchShift() {
+    const context = this.context;
+    if (isPracticeActive(this.practice) && !this.pitchShifter) {
+      this.pitchShifter = createPitchShifter(context).then((node) => {
+        node.connect(context.destination);
+        return node;
+      });
+      this.pitchShifter.catch(() => {
+        this.pitchShifter = null;
+      });
+    }
+    if (!this.pitchShifter) return;
+
+    const shifter = await this.pitchShifter;
+    if (context !== this.context) return; // disposed meanwhile
+    shifter.parameters.get('pitchRatio').value = pitchCorrection(this.practice);
+
+    const active = isPracticeActive(this.practice);
+    if (active === this.pitchShiftRouted) return;
+    this.masterGain.disconnect(active ? context.destination : shifter);
+    this.masterGain.connect(active ? shifter : context.destination);
+    this.pitchShiftRouted = active;
+  }
+
+  /**
+   * Apply a new tempo to the running sources: restart the clock at `position`
+   * (read before the tempo changed) and reschedule automation (and loop passes)
+   * at the new rate
+   */
+  retime(position) {
+    const now = this.context.currentTime;
+    const { tempo } = this.practice;
+    this.startOffset = position;
+    this.startedAt = now;
+    for (const source of Object.values(this.sources)) {
+      source.playbackRate.setValueAtTime(tempo, now);
+    }
+    if (this.loop) {
+      this.loopOrigin = now + (this.loop.end - position) / tempo;
+      this.loopPasses = 0;
+    }
+    for (const key of this.stemKeys) {
+      this.scheduleStemAutomation(key, now, position);
+    }
+    this.extendLoopAutomation();
+  }
+
+  /**
+   * Move the playhead to `time` seconds (playback continues from there if playing)
+   */
+  async seek(time) {
+    const position = Math.max(0, Math.min(time, this.duration));
+    if (this.isPlaying) {
+      await this.play(position);
+    } else {
+      this.startOffset = position;
+    }
+  }
+
+  /**
+   * Set the A/B loop region ({ start, end } in seconds) or null to play through.
+   * Playback restarts at the current position so the sources pick up the region.
+   */
+  async setLoop(loop) {
+    const valid = loop && loop.end - loop.start >= MIN_LOOP_SECONDS;
+    const next = valid ? { start: Math.max(0, loop.start), end: loop.end } : null;
+    const current = this.loop;
+    if (next === current || (next && current && next.start === current.start && next.end === current.end)) return;
+
+    this.loop = next;
+    if (this.isPlaying) {
+      await this.play(this.getCurrentTime());
+    }
+  }
+
+  /**
+   * Linear fader gain of a stem. An automated stem takes its level from the
+   * automation lane, so its fader only decides between silent and unity.
+   */
+  faderGain(key) {
+    const db = this.gains[key];
+    if (db === -Infinity) return 0;
+    return hasPoints(this.automation[key]) ? 1 : dbToGain(db);
+  }
+
+  /**
+   * Set a single stem gain in dB, approached with time constant `smoothing` (seconds)
+   */
+  setGain(key, db, smoothing = GAIN_SMOOTHING) {
+    this.gains[key] = db;
+    const gainNode = this.gainNodes[key];
+    if (!gainNode) return;
+    gainNode.gain.setTargetAtTime(this.faderGain(key), this.context.currentTime, smoothing);
+  }
+
+  /**
+   * Set all stem gains in dB ({ vocals, drums, bass, other })
+   */
+  setGains(gains, smoothing = GAIN_SMOOTHING) {
+    for (const key of this.stemKeys) {
+      if (typeof gains[key] === 'number') {
+        this.setGain(key, gains[key], smoothing);
+      }
+    }
+  }
+
+  /**
+   * Turn the live mix down by `db` (0 = off), e.g. to level-match A/B versions
+   */
+  setMasterTrim(db, smoothing = GAIN_SMOOTHING) {
+    this.masterTrim = db;
+    if (!this.masterGain) return;
+    this.masterGain.gain.setTargetAtTime(dbToGain(db), this.context.currentTime, smoothing);
+  }
+
+  /**
+   * Mean power of each loaded stem (all channels, sampled), cached until new stems are loaded
+   */
+  stemPowers() {
+    if (!this.isLoaded) return null;
+    if (!this.powers) {
+      this.powers = Object.fromEntries(
+        this.stemKeys.map((key) => {
+          const buffer = this.buffers[key];
+          let sum = 0;
+          let count = 0;
+          for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i += POWER_STRIDE) {
+              sum += data[i] * data[i];
+              count++;
+            }
+          }
+          return [key, count > 0 ? sum / count : 0];
+        })
+      );
+    }
+    return this.powers;
+  }
+
+  /**
+   * Set a single stem pan position (-1 = left, 0 = center, 1 = right)
+   */
+  setPan(key, pan) {
+    this.pans[key] = pan;
+    const panNode = this.panNodes[key];
+    if (!panNode) return;
+    panNode.pan.setTargetAtTime(pan, this.context.currentTime, GAIN_SMOOTHING);
+  }
+
+  /**
+   * Set all stem pans ({ vocals, drums, bass, other })
+   */
+  setPans(pans) {
+    for (const key of this.stemKeys) {
+      if (typeof pans[key] === 'number') {
+        this.setPan(key, pans[key]);
+      }
+    }
+  }
+
+  /**
+   * Set the effects parameters of one stem (see effectsChain.js)
+   */
+  setEffect(key, effects) {
+    this.effects[key] = effects;
+    const chain = this.effectChains[key];
+    if (!chain) return;
+    applyEffects(chain, effects, { smooth: true });
+  }
+
+  /**
+   * Set the effects of all stems ({ vocals: {...}, drums: {...}, ... })
+   */
+  setEffects(effects) {
+    for (const key of this.stemKeys) {
+      if (effects[key]) {
+        this.setEffect(key, effects[key]);
+      }
+    }
+  }
+
+  /**
+   * Set the gain automation lanes ({ vocals: [{ time, gain }], ... }, see automation.js).
+   * Changed lanes are rescheduled from the current position while playing.
+   */
+  setAutomation(automation) {
+    const previous = this.automation;
+    this.automation = { ...automation };
+    if (!this.context) return;
+
+    for (const key of this.stemKeys) {
+      if (automation[key] === previous[key]) continue;
+      this.setGain(key, this.gains[key]);
+      if (this.isPlaying) {
+        this.scheduleStemAutomation(key, this.context.currentTime, this.getCurrentTime());
+      } else {
+        const param = this.automationNodes[key].gain;
+        param.cancelScheduledValues(0);
+        param.value = dbToGain(automationValueAt(automation[key], this.startOffset));
+      }
+    }
+  }
+
+  /**
+   * Schedule a stem's automation for playback from track position `offset`
+   * starting at context time `when`. While looping, the loop passes already
+   * scheduled for the other stems are repeated for this one too.
+   */
+  scheduleStemAutomation(key, when, offset) {
+    const param = this.automationNodes[key].gain;
+    const points = this.automation[key];
+    const { tempo } = this.practice;
+    if (!this.loop) {
+      scheduleAutomation(param, points, when, offset, this.duration - offset, tempo);
+      return;
+    }
+
+    // The rest of the current pass is scheduled from `offset`, later passes from the loop start
+    const passLength = (this.loop.end - this.loop.start) / tempo; // context seconds
+    const nextPass = Math.max(0, Math.floor((when - this.loopOrigin) / passLength) + 1);
+    const remaining = this.loopOrigin + nextPass * passLength - when - CURVE_GAP;
+    scheduleAutomation(param, points, when, offset, remaining * tempo, tempo);
+    if (!hasPoints(points)) return;
+    const curve = automationCurve(points, this.loop.start, this.loop.end - this.loop.start);
+    for (let pass = nextPass; pass < this.loopPasses; pass++) {
+      this.scheduleLoopPass(param, curve, pass);
+    }
+  }
+
+  scheduleLoopPass(param, curve, pass) {
+    const passLength = (this.loop.end - this.loop.start) / this.practice.tempo;
+    const start = this.loopOrigin + pass * passLength;
+    // A pass that already started (timer throttled in a background tab) is skipped
+    if (start < this.context.currentTime) return;
+    param.setValueCurveAtTime(curve, start, passLength - CURVE_GAP);
+  }
+
+  /**
+   * Keep automation scheduled LOOP_LOOKAHEAD seconds ahead while looping
+   * (loop passes repeat forever, so they cannot all be scheduled up front)
+   */
+  extendLoopAutomation() {
+    if (!this.isPlaying || !this.loop) return;
+    const { start, end } = this.loop;
+    const length = end - start;
+    const passLength = length / this.practice.tempo;
+    const automated = this.stemKeys.filter((key) => hasPoints(this.automation[key]));
+    const curves = Object.fromEntries(automated.map((key) => [key, automationCurve(this.automation[key], start, length)]));
+
+    while (this.loopOrigin + this.loopPasses * passLength < this.context.currentTime + LOOP_LOOKAHEAD) {
+      for (const key of automated) {
+        this.scheduleLoopPass(this.automationNodes[key].gain, curves[key], this.loopPasses);
+      }
+      this.loopPasses++;
+    }
+  }
+
+  /**
+   * Start all stems together at `offset` seconds
+   */
+  async play(offset = 0) {
+    if (!this.isLoaded) {
+      throw new Error('Stems are not loaded');
+    }
+
+    const context = this.ensureContext();
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+    await this.routePitchShift();
+
+    this.stopSources();
+
+    const playbackId = ++this.playbackId;
+    const { loop } = this;
+    let startOffset = Math.max(0, Math.min(offset, this.duration));
+    if (loop && startOffset >= loop.end) {
+      startOffset = loop.start;
+    }
+    const duration = this.duration - startOffset;
+    const { tempo } = this.practice;
+
+    for (const key of this.stemKeys) {
+      const source = context.createBufferSource();
+      source.buffer = this.buffers[key];
+      source.playbackRate.value = tempo;
+      if (loop) {
+        source.loop = true;
+        source.loopStart = loop.start;
+        source.loopEnd = loop.end;
+      }
+      source.connect(this.gainNodes[key]);
+      this.sources[key] = source;
+    }
+
+    // Only one source reports the end of the mix
+    this.sources[this.stemKeys[0]].onended = () => {
+      if (playbackId !== this.playbackId) return;
+      this.isPlaying = false;
+      this.startOffset = 0;
+      if (typeof this.onEnded === 'function') {
+        this.onEnded();
+      }
+    };
+
+    // Schedule every stem on the same context time so they stay sample-aligned
+    const when = context.currentTime + 0.02;
+    this.loopOrigin = loop ? when + (loop.end - startOffset) / tempo : 0;
+    this.loopPasses = 0;
+    for (const key of this.stemKeys) {
+      if (loop) {
+        this.sources[key].start(when, startOffset); // loops until stopped
+      } else {
+        this.sources[key].start(when, startOffset, duration);
+      }
+      this.scheduleStemAutomation(key, when, startOffset);
+    }
+
+    this.startedAt = when;
+    this.startOffset = startOffset;
+    this.isPlaying = true;
+
+    if (loop) {
+      this.extendLoopAutomation();
+      this.loopTimer = setInterval(() => this.extendLoopAutomation(), LOOP_TIMER_INTERVAL);
+    }
+  }
+
+  /**
+   * Render the whole mix with the current settings into a stereo AudioBuffer.
+   * `stems` limits the render to some stems (e.g. one stem with its settings baked in).
+   * `practice` ({ tempo, semitones }) renders at a changed tempo/pitch.
+   * Reports render progress (0-1) through `onProgress`.
+   */
+  async renderOffline({ onProgress, stems = this.stemKeys, practice = null } = {}) {
+    if (!this.isLoaded) {
+      throw new Error('Stems are not loaded');
+    }
+
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const sampleRate = this.buffers[this.stemKeys[0]].sampleRate;
+    const duration = this.duration;
+    const stretched = isPracticeActive(practice);
+    const tempo = stretched ? practice.tempo : 1;
+    const renderDuration = duration / tempo;
+    const length = Math.max(1, Math.round(renderDuration * sampleRate));
+    const latency = stretched ? PITCH_SHIFT_LATENCY : 0; // rendered extra and trimmed off the start
+    const context = new OfflineContext(2, length + latency, sampleRate);
+    const { master, inputs, automators } = this.buildGraph(context);
+
+    if (stretched) {
+      const shifter = await createPitchShifter(context);
+      shifter.parameters.get('pitchRatio').value = pitchCorrection(practice);
+      master.disconnect(context.destination);
+      master.connect(shifter);
+      shifter.connect(context.destination);
+    }
+
+    for (const key of stems) {
+      const source = context.createBufferSource();
+      source.buffer = this.buffers[key];
+      source.playbackRate.value = tempo;
+      source.connect(inputs[key]);
+      source.start(0, 0, duration);
+      scheduleAutomation(automators[key].gain, this.automation[key], 0, 0, duration, tempo);
+    }
+
+    // Suspend the render at regular points to report progress
+    if (typeof onProgress === 'function' && typeof context.suspend === 'function') {
+      const step = Math.max(1, renderDuration / 50);
+      for (let time = step; time < renderDuration; time += step) {
+        context.suspend(time).then(() => {
+          onProgress(time / renderDuration);
+          context.resume();
+        });
+      }
+    }
+
+    const rendered = await context.startRendering();
+    if (typeof onProgress === 'function') onProgress(1);
+    if (latency === 0) return rendered;
+
+    const trimmed = context.createBuffer(rendered.numberOfChannels, length, sampleRate);
+    for (let c = 0; c < rendered.numberOfChannels; c++) {
+      trimmed.copyToChannel(rendered.getChannelData(c).subarray(latency, latency + length), c);
+    }
+    return trimmed;
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.startOffset = this.getCurrentTime();
+    this.stopSources();
+    this.isPlaying = false;
+  }
+
+  async resume() {
+    if (this.isPlaying) return;
+    await this.play(this.startOffset);
+  }
+
+  stop() {
+    this.stopSources();
+    this.isPlaying = false;
+    this.startOffset = 0;
+  }
+
+  /**
+   * Stop and disconnect the current source nodes (they are single-use)
+   */
+  stopSources() {
+    this.playbackId++;
+    if (this.loopTimer) {
+      clearInterval(this.loopTimer);
+      this.loopTimer = null;
+    }
+    for (const key of Object.keys(this.sources)) {
+      const source = this.sources[key];
+      source.onended = null;
+      try {
+        source.stop();
+      } catch (e) {
+        // Source was never started
+      }
+      source.disconnect();
+    }
+    this.sources = {};
+  }
+
+  /**
+   * Release the AudioContext
+   */
+  dispose() {
+    this.stop();
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+    }
+    this.gainNodes = {};
+    this.automationNodes = {};
+    this.panNodes = {};
+    this.effectChains = {};
+    this.meterTaps = {};
+    this.pitchShifter = null;
+    this.pitchShiftRouted = false;
+    this.buffers = {};
+  }
+}
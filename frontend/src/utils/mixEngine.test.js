@@ -0,0 +1,55 @@
+import { MixEngine } from './mixEngine';
+
+jest.mock('./pitchShift', () => ({
+  ...jest.requireActual('./pitchShift'),
+  createPitchShifter: () =>
+    Promise.resolve({ connect() {}, parameters: new Map([['pitchRatio', { value: 1 }]]) }),
+}));
+
+const STEM_KEYS = ['vocals', 'drums'];
+
+function fakeParam() {
+  return { value: 1, cancelScheduledValues: jest.fn(), setValueAtTime: jest.fn(), setValueCurveAtTime: jest.fn() };
+}
+
+// Engine in the middle of playback on a fake context, without building the audio graph
+function playingEngine({ startedAt, startOffset }) {
+  const engine = new MixEngine(STEM_KEYS);
+  engine.context = { currentTime: startedAt, destination: {} };
+  engine.masterGain = { connect() {}, disconnect() {} };
+  for (const key of STEM_KEYS) {
+    engine.buffers[key] = { duration: 120 };
+    engine.sources[key] = { playbackRate: fakeParam() };
+    engine.automationNodes[key] = { gain: fakeParam() };
+  }
+  engine.startedAt = startedAt;
+  engine.startOffset = startOffset;
+  engine.isPlaying = true;
+  return engine;
+}
+
+test('changing the tempo mid-playback keeps the playhead position', async () => {
+  const engine = playingEngine({ startedAt: 5, startOffset: 10 });
+  engine.context.currentTime = 9; // 4 seconds played at tempo 1
+
+  await engine.setPractice({ tempo: 0.5, semitones: 0 });
+  expect(engine.getCurrentTime()).toBeCloseTo(14);
+  for (const key of STEM_KEYS) {
+    expect(engine.sources[key].playbackRate.setValueAtTime).toHaveBeenCalledWith(0.5, 9);
+  }
+
+  engine.context.currentTime = 13; // 4 more seconds at half speed
+  expect(engine.getCurrentTime()).toBeCloseTo(16);
+});
+
+test('tempo changes inside a loop keep the position within the loop', async () => {
+  const engine = playingEngine({ startedAt: 0, startOffset: 20 });
+  engine.loop = { start: 20, end: 30 };
+  engine.context.currentTime = 12; // wrapped once: 32 -> 22
+
+  await engine.setPractice({ tempo: 2, semitones: 0 });
+  expect(engine.getCurrentTime()).toBeCloseTo(22);
+
+  engine.context.currentTime = 14; // 4 loop seconds at double speed
+  expect(engine.getCurrentTime()).toBeCloseTo(26);
+});
@@ -0,0 +1,204 @@
+/**
+ * Client-side mix export
+ * Renders the mix offline from the stems (MixEngine.renderOffline), optionally
+ * normalizes it, then encodes to WAV, MP3 (lamejs) or FLAC (flacEncoder.js).
+ */
+
+import { Mp3Encoder } from '@breezystack/lamejs';
+import { encodeFlac } from './flacEncoder';
+import { measureLoudness, measurePeak } from './loudness';
+import { dbToGain } from './mixEngine';
+
+export const EXPORT_FORMATS = [
+  { id: 'wav16', label: 'WAV 16-bit', extension: 'wav', mimeType: 'audio/wav', container: 'wav', bitsPerSample: 16 },
+  { id: 'wav24', label: 'WAV 24-bit', extension: 'wav', mimeType: 'audio/wav', container: 'wav', bitsPerSample: 24 },
+  { id: 'flac16', label: 'FLAC 16-bit', extension: 'flac', mimeType: 'audio/flac', container: 'flac', bitsPerSample: 16 },
+  { id: 'flac24', label: 'FLAC 24-bit', extension: 'flac', mimeType: 'audio/flac', container: 'flac', bitsPerSample: 24 },
+  { id: 'mp3-320', label: 'MP3 320 kbps', extension: 'mp3', mimeType: 'audio/mpeg', container: 'mp3', bitsPerSample: 16, kbps: 320 },
+  { id: 'mp3-192', label: 'MP3 192 kbps', extension: 'mp3', mimeType: 'audio/mpeg', container: 'mp3', bitsPerSample: 16, kbps: 192 },
+];
+
+export const NORMALIZATION_OPTIONS = [
+  { id: 'none', label: 'No normalization' },
+  { id: 'peak', label: 'Peak to -1 dBFS', peak: -1 },
+  { id: 'lufs-14', label: '-14 LUFS (streaming)', lufs: -14 },
+  { id: 'lufs-23', label: '-23 LUFS (EBU R128)', lufs: -23 },
+];
+
+const PEAK_CEILING_DB = -1; // loudness normalization never pushes peaks above this
+const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+const MP3_CHUNK = 1152 * 16; // samples per encodeBuffer call (multiple of one MP3 frame)
+
+// Share of the progress bar given to each stage
+const RENDER_SHARE = 0.6;
+const NORMALIZE_SHARE = 0.1;
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Linear gain to apply for a normalization option, given the measured loudness/peak
+ */
+function normalizationGain(option, loudness, peak) {
+  if (!option || peak === 0) return 1;
+
+  if (option.peak !== undefined) {
+    return dbToGain(option.peak) / peak;
+  }
+
+  if (option.lufs !== undefined && loudness !== -Infinity) {
+    const gain = dbToGain(option.lufs - loudness);
+    return Math.min(gain, dbToGain(PEAK_CEILING_DB) / peak);
+  }
+
+  return 1;
+}
+
+/**
+ * Scale and round float samples to signed integers of `bitsPerSample` bits (clipping at full scale)
+ */
+export function quantize(data, gain, bitsPerSample) {
+  const max = Math.pow(2, bitsPerSample - 1) - 1;
+  const min = -max - 1;
+  const output = new Int32Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    const value = Math.round(data[i] * gain * max);
+    output[i] = value > max ? max : value < min ? min : value;
+  }
+  return output;
+}
+
+/**
+ * Interleaved little-endian PCM WAV file from integer channels
+ */
+export function encodeWav(channels, sampleRate, bitsPerSample) {
+  const bytesPerSample = bitsPerSample / 8;
+  const numChannels = channels.length;
+  const numFrames = channels[0].length;
+  const dataSize = numFrames * numChannels * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * bytesPerSample, true); // byte rate
+  view.setUint16(32, numChannels * bytesPerSample, true); // block align
+  view.setUint16(34, bitsPerSample, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const value = channels[c][i];
+      if (bytesPerSample === 2) {
+        view.setInt16(offset, value, true);
+      } else {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Uint8Array(buffer);
+}
+
+/**
+ * MP3 encode 16-bit integer channels (mono or stereo) with lamejs
+ */
+export async function encodeMp3(channels, sampleRate, kbps, { onProgress } = {}) {
+  if (!MP3_SAMPLE_RATES.includes(sampleRate)) {
+    throw new Error(`MP3 export does not support a ${sampleRate} Hz sample rate`);
+  }
+
+  const numChannels = Math.min(2, channels.length);
+  const encoder = new Mp3Encoder(numChannels, sampleRate, kbps);
+  const left = Int16Array.from(channels[0]);
+  const right = numChannels === 2 ? Int16Array.from(channels[1]) : null;
+  const chunks = [];
+
+  for (let start = 0; start < left.length; start += MP3_CHUNK) {
+    const end = Math.min(start + MP3_CHUNK, left.length);
+    const encoded = right
+      ? encoder.encodeBuffer(left.subarray(start, end), right.subarray(start, end))
+      : encoder.encodeBuffer(left.subarray(start, end));
+    if (encoded.length > 0) chunks.push(new Uint8Array(encoded));
+
+    if (typeof onProgress === 'function') onProgress(end / left.length);
+    await nextTick();
+  }
+
+  const tail = encoder.flush();
+  if (tail.length > 0) chunks.push(new Uint8Array(tail));
+  return chunks;
+}
+
+/**
+ * Render, normalize and encode the engine's current mix.
+ * `format` and `normalization` are ids from EXPORT_FORMATS / NORMALIZATION_OPTIONS.
+ * `practice` ({ tempo, semitones }, see pitchShift.js) renders at a changed tempo/pitch.
+ * `onProgress(fraction, stage)` reports overall progress (0-1) and the current stage.
+ * Returns { blob, extension, loudness, peak } with loudness/peak measured after normalization.
+ */
+export async function exportMix(engine, { format = 'wav16', normalization = 'none', practice = null, onProgress } = {}) {
+  const formatInfo = EXPORT_FORMATS.find((f) => f.id === format);
+  if (!formatInfo) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const option = NORMALIZATION_OPTIONS.find((o) => o.id === normalization);
+  const report = (fraction, stage) => {
+    if (typeof onProgress === 'function') onProgress(Math.min(1, fraction), stage);
+  };
+
+  // 1. Render the mix offline
+  report(0, 'Rendering');
+  const rendered = await engine.renderOffline({
+    practice,
+    onProgress: (fraction) => report(fraction * RENDER_SHARE, 'Rendering'),
+  });
+  const floatChannels = Array.from({ length: rendered.numberOfChannels }, (_, c) => rendered.getChannelData(c));
+  const { sampleRate } = rendered;
+
+  // 2. Measure and normalize
+  report(RENDER_SHARE, 'Normalizing');
+  await nextTick();
+  const peak = measurePeak(floatChannels);
+  const loudness = option && option.lufs !== undefined ? measureLoudness(floatChannels, sampleRate) : null;
+  const gain = normalizationGain(option, loudness, peak);
+  const intChannels = floatChannels.map((data) => quantize(data, gain, formatInfo.bitsPerSample));
+
+  // 3. Encode
+  const encodeStart = RENDER_SHARE + NORMALIZE_SHARE;
+  const encodeProgress = (fraction) => report(encodeStart + fraction * (1 - encodeStart), 'Encoding');
+  report(encodeStart, 'Encoding');
+  await nextTick();
+
+  let parts;
+  if (formatInfo.container === 'mp3') {
+    parts = await encodeMp3(intChannels, sampleRate, formatInfo.kbps, { onProgress: encodeProgress });
+  } else if (formatInfo.container === 'flac') {
+    parts = [await encodeFlac(intChannels, sampleRate, formatInfo.bitsPerSample, { onProgress: encodeProgress })];
+  } else {
+    parts = [encodeWav(intChannels, sampleRate, formatInfo.bitsPerSample)];
+  }
+
+  report(1, 'Done');
+
+  return {
+    blob: new Blob(parts, { type: formatInfo.mimeType }),
+    extension: formatInfo.extension,
+    loudness: loudness !== null && loudness !== -Infinity ? loudness + 20 * Math.log10(gain) : null,
+    peak: Math.min(1, peak * gain),
+  };
+}
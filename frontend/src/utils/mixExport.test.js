@@ -0,0 +1,55 @@
+import { encodeWav, quantize } from './mixExport';
+
+describe('quantize', () => {
+  test('scales full scale to the largest 16-bit value and clips beyond it', () => {
+    expect(Array.from(quantize([0, 1, -1, 1.5, -1.5], 1, 16))).toEqual([0, 32767, -32767, 32767, -32768]);
+  });
+
+  test('clips 24-bit samples to the signed 24-bit range', () => {
+    expect(Array.from(quantize([1, -1, 2, -2], 1, 24))).toEqual([8388607, -8388607, 8388607, -8388608]);
+  });
+
+  test('rounds to the nearest step', () => {
+    const step = 1 / 32767;
+    expect(Array.from(quantize([0.4 * step, 0.6 * step, -0.6 * step, 2.5 * step], 1, 16))).toEqual([0, 1, -1, 3]);
+    expect(Array.from(quantize([1 / 8388607 / 2 + 1e-12], 1, 24))).toEqual([1]);
+  });
+
+  test('applies the gain before clipping', () => {
+    expect(Array.from(quantize([0.25, 0.75], 2, 16))).toEqual([Math.round(0.5 * 32767), 32767]);
+  });
+});
+
+describe('encodeWav', () => {
+  const text = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+  test('writes a canonical 16-bit stereo header and interleaved samples', () => {
+    const bytes = encodeWav([Int32Array.from([1, -1]), Int32Array.from([32767, -32768])], 44100, 16);
+    const view = new DataView(bytes.buffer);
+
+    expect(bytes).toHaveLength(44 + 8);
+    expect(text(bytes, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(36 + 8);
+    expect(text(bytes, 8, 8)).toBe('WAVEfmt ');
+    expect(view.getUint16(20, true)).toBe(1); // PCM
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(44100);
+    expect(view.getUint32(28, true)).toBe(44100 * 4);
+    expect(view.getUint16(32, true)).toBe(4);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(text(bytes, 36, 4)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(8);
+    expect([0, 1, 2, 3].map((i) => view.getInt16(44 + 2 * i, true))).toEqual([1, 32767, -1, -32768]);
+  });
+
+  test('writes 24-bit samples as little-endian two\'s complement', () => {
+    const bytes = encodeWav([Int32Array.from([8388607, -8388608, -1, 0x123456])], 48000, 24);
+    expect(new DataView(bytes.buffer).getUint16(34, true)).toBe(24);
+    expect(Array.from(bytes.subarray(44))).toEqual([
+      0xff, 0xff, 0x7f,
+      0x00, 0x00, 0x80,
+      0xff, 0xff, 0xff,
+      0x56, 0x34, 0x12,
+    ]);
+  });
+});
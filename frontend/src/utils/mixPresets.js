@@ -0,0 +1,110 @@
+/**
+ * Mix presets: stem gains that can be applied to any song
+ * Built-in presets cover common practice mixes; user presets are saved per
+ * profile in localStorage and can be exported to / imported from JSON files.
+ * Presets only set the faders (in dB, null = -∞ as in saved songs); pans,
+ * effects and automation stay as they are.
+ */
+
+import { loadGains, storeGains, MAX_GAIN_DB, MIN_GAIN_DB } from './channelStrip';
+import { createSongId } from './songRecords';
+
+const STORAGE_KEY = 'museMixPresets'; // { username: [presets] }
+const EXPORT_FORMAT = 'muse-mix-presets';
+const EXPORT_VERSION = 1;
+
+const builtIn = (id, name, description, gains) => ({ id: `builtin:${id}`, name, description, gains, builtIn: true });
+
+export const BUILT_IN_PRESETS = [
+  builtIn('karaoke', 'Karaoke', 'Everything but the vocals', { vocals: null, drums: 0, bass: 0, other: 0 }),
+  builtIn('acappella', 'A cappella', 'Vocals only', { vocals: 0, drums: null, bass: null, other: null }),
+  builtIn('drumless', 'Drumless', 'Play the drums along', { vocals: 0, drums: null, bass: 0, other: 0 }),
+  builtIn('bassless', 'Bassless', 'Play the bass along', { vocals: 0, drums: 0, bass: null, other: 0 }),
+];
+
+/**
+ * Strips with the preset's gains on the faders; presets clear mute and solo so the result is heard as saved
+ */
+export function applyPreset(strips, preset) {
+  const gains = loadGains(preset.gains);
+  return Object.fromEntries(
+    Object.entries(strips).map(([key, strip]) => [
+      key,
+      key in gains ? { ...strip, gain: gains[key], mute: false, solo: false } : strip,
+    ])
+  );
+}
+
+/**
+ * A user preset of the current fader gains ({ key: dB })
+ */
+export function createPreset(name, gains) {
+  return { id: createSongId(), name: name.trim() || 'Untitled', gains: storeGains(gains) };
+}
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function loadUserPresets(user) {
+  const presets = readStore()[user];
+  return Array.isArray(presets) ? presets : [];
+}
+
+export function saveUserPresets(user, presets) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readStore(), [user]: presets }));
+}
+
+/**
+ * JSON file contents for `presets`
+ */
+export function exportPresets(presets) {
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: EXPORT_VERSION, presets: presets.map(({ name, gains }) => ({ name, gains })) },
+    null,
+    2
+  );
+}
+
+/**
+ * Presets from an exported JSON file, with new ids, gains limited to the
+ * fader range and names made unique against `existing`. Throws an Error
+ * describing what is wrong with the file.
+ */
+export function importPresets(text, stemKeys, existing = []) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.presets)) {
+    throw new Error('The file does not contain mix presets');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The presets were exported by a newer version of the app');
+  }
+
+  const names = new Set([...BUILT_IN_PRESETS, ...existing].map((preset) => preset.name));
+  return data.presets.map((preset, i) => {
+    const gains = preset && preset.gains;
+    const valid =
+      gains &&
+      typeof preset.name === 'string' &&
+      stemKeys.every((key) => gains[key] === null || (typeof gains[key] === 'number' && Number.isFinite(gains[key])));
+    if (!valid) {
+      throw new Error(`Preset ${i + 1} needs a name and a gain (dB or null) for each of ${stemKeys.join(', ')}`);
+    }
+
+    const base = preset.name.trim() || 'Untitled';
+    let name = base;
+    for (let n = 2; names.has(name); n++) name = `${base} (${n})`;
+    names.add(name);
+    const clamp = (db) => (db === null ? null : Math.min(MAX_GAIN_DB, Math.max(MIN_GAIN_DB, db)));
+    return { id: createSongId(), name, gains: Object.fromEntries(stemKeys.map((key) => [key, clamp(gains[key])])) };
+  });
+}
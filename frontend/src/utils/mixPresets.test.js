@@ -0,0 +1,89 @@
+import { applyPreset, BUILT_IN_PRESETS, createPreset, exportPresets, importPresets, loadUserPresets, saveUserPresets } from './mixPresets';
+import { MAX_GAIN_DB, MIN_GAIN_DB } from './channelStrip';
+
+const STEM_KEYS = ['vocals', 'drums', 'bass', 'other'];
+
+const presetFile = (presets, fields = {}) => JSON.stringify({ format: 'muse-mix-presets', version: 1, presets, ...fields });
+
+describe('importPresets', () => {
+  test('reads exported presets back with new ids', () => {
+    const preset = createPreset('Drums up', { vocals: 0, drums: 4, bass: -Infinity, other: -2 });
+    const [imported] = importPresets(exportPresets([preset]), STEM_KEYS);
+    expect(imported).toEqual({ id: expect.any(String), name: 'Drums up', gains: { vocals: 0, drums: 4, bass: null, other: -2 } });
+    expect(imported.id).not.toBe(preset.id);
+  });
+
+  test('limits gains to the fader range and keeps only the known stems', () => {
+    const [imported] = importPresets(
+      presetFile([{ name: 'Loud', gains: { vocals: 100, drums: -100, bass: null, other: 1.5, cowbell: 6 } }]),
+      STEM_KEYS
+    );
+    expect(imported.gains).toEqual({ vocals: MAX_GAIN_DB, drums: MIN_GAIN_DB, bass: null, other: 1.5 });
+  });
+
+  test('makes names unique against built-in, existing and other imported presets', () => {
+    const gains = { vocals: 0, drums: 0, bass: 0, other: 0 };
+    const existing = [{ id: 'mine', name: 'Mine', gains }];
+    const imported = importPresets(
+      presetFile([
+        { name: 'Karaoke', gains },
+        { name: 'Mine', gains },
+        { name: 'Mine', gains },
+        { name: '  ', gains },
+      ]),
+      STEM_KEYS,
+      existing
+    );
+    expect(imported.map((preset) => preset.name)).toEqual(['Karaoke (2)', 'Mine (2)', 'Mine (3)', 'Untitled']);
+  });
+
+  test.each([
+    ['not JSON', '{', 'not valid JSON'],
+    ['another format', JSON.stringify({ format: 'something-else', presets: [] }), 'does not contain mix presets'],
+    ['no preset list', JSON.stringify({ format: 'muse-mix-presets', version: 1 }), 'does not contain mix presets'],
+    ['a newer version', presetFile([], { version: 2 }), 'newer version'],
+    ['a preset without a name', presetFile([{ gains: { vocals: 0, drums: 0, bass: 0, other: 0 } }]), 'Preset 1 needs a name'],
+    ['a missing stem', presetFile([{ name: 'A', gains: { vocals: 0, drums: 0, bass: 0 } }]), 'Preset 1 needs'],
+    ['a non-numeric gain', presetFile([{ name: 'A', gains: { vocals: '0', drums: 0, bass: 0, other: 0 } }]), 'Preset 1 needs'],
+    ['a null preset', presetFile([null]), 'Preset 1 needs'],
+  ])('rejects %s', (description, text, message) => {
+    expect(() => importPresets(text, STEM_KEYS)).toThrow(message);
+  });
+});
+
+describe('applyPreset', () => {
+  test('sets the faders and clears mute and solo, leaving pans alone', () => {
+    const strips = {
+      vocals: { gain: -3, pan: 0.5, mute: true, solo: false },
+      drums: { gain: 0, pan: 0, mute: false, solo: true },
+      bass: { gain: 0, pan: 0, mute: false, solo: false },
+      other: { gain: 0, pan: 0, mute: false, solo: false },
+    };
+    const karaoke = BUILT_IN_PRESETS.find((preset) => preset.name === 'Karaoke');
+    expect(applyPreset(strips, karaoke)).toEqual({
+      vocals: { gain: -Infinity, pan: 0.5, mute: false, solo: false },
+      drums: { gain: 0, pan: 0, mute: false, solo: false },
+      bass: { gain: 0, pan: 0, mute: false, solo: false },
+      other: { gain: 0, pan: 0, mute: false, solo: false },
+    });
+  });
+});
+
+describe('user presets', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('are stored per profile', () => {
+    const preset = createPreset(' Quiet ', { vocals: -6, drums: -6, bass: -6, other: -6 });
+    expect(preset.name).toBe('Quiet');
+    saveUserPresets('alex', [preset]);
+    saveUserPresets('sam', []);
+    expect(loadUserPresets('alex')).toEqual([preset]);
+    expect(loadUserPresets('sam')).toEqual([]);
+    expect(loadUserPresets('nobody')).toEqual([]);
+  });
+
+  test('survive a corrupt store', () => {
+    localStorage.setItem('museMixPresets', '{');
+    expect(loadUserPresets('alex')).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Mix versions: named channel-strip presets saved with a song
+ * ("Karaoke", "Drums up", ...), and A/B comparison between two of them.
+ * During a comparison the louder version is turned down to the estimated
+ * level of the quieter one, so the choice is not decided by loudness alone.
+ * The level estimate sums the power of each stem at its heard gain (stems
+ * are treated as uncorrelated; pan and effects are ignored).
+ */
+
+import { effectiveGains, loadStrips, storeStrips } from './channelStrip';
+import { createSongId } from './songRecords';
+
+/**
+ * A new version of the current strips ({ key: { gain, pan, mute, solo } })
+ */
+export function createVersion(name, strips) {
+  return { id: createSongId(), name: name.trim() || 'Untitled', strips };
+}
+
+export function storeVersions(versions) {
+  return versions.map((version) => ({ ...version, strips: storeStrips(version.strips) }));
+}
+
+/**
+ * Versions of a saved song (songs saved before versions existed have none)
+ */
+export function loadVersions(versions, stemKeys) {
+  return (versions || []).map((version) => ({ ...version, strips: loadStrips({ strips: version.strips }, stemKeys) }));
+}
+
+/**
+ * Name for a new version that is not in use yet: "Version 1", "Version 2", ...
+ */
+export function nextVersionName(versions) {
+  const names = new Set(versions.map((version) => version.name));
+  let n = versions.length + 1;
+  while (names.has(`Version ${n}`)) n++;
+  return `Version ${n}`;
+}
+
+/**
+ * Estimated level (dB, relative) of a mix of stems with mean power `stemPowers` at `strips`
+ */
+export function estimatedMixLevel(strips, stemPowers) {
+  const gains = effectiveGains(strips);
+  const power = Object.keys(stemPowers).reduce((sum, key) => {
+    const db = gains[key];
+    return db === undefined || db === -Infinity ? sum : sum + stemPowers[key] * Math.pow(10, db / 10);
+  }, 0);
+  return power > 0 ? 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * Master trims (dB, never above 0) that bring two versions to the same estimated level
+ */
+export function levelMatchTrims(stripsA, stripsB, stemPowers) {
+  const levelA = estimatedMixLevel(stripsA, stemPowers);
+  const levelB = estimatedMixLevel(stripsB, stemPowers);
+  if (!Number.isFinite(levelA) || !Number.isFinite(levelB)) return { a: 0, b: 0 };
+  return { a: Math.min(0, levelB - levelA), b: Math.min(0, levelA - levelB) };
+}
+
+/**
+ * A/B comparison of versions `a` and `b` (ids). In blind mode the two are
+ * shown as "1" and "2" in random order until one is picked.
+ */
+export function startComparison(a, b, blind = false) {
+  return { a, b, active: 1, blind, swapped: blind && Math.random() < 0.5, picked: null };
+}
+
+/**
+ * Id of the version behind button `slot` (1 or 2) of a comparison
+ */
+export function comparisonVersionId(comparison, slot) {
+  const first = comparison.swapped ? comparison.b : comparison.a;
+  const second = comparison.swapped ? comparison.a : comparison.b;
+  return slot === 1 ? first : second;
+}
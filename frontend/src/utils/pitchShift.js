@@ -0,0 +1,86 @@
+/**
+ * Practice mode: tempo and pitch
+ * The mix engine changes tempo by playing the stems faster or slower
+ * (AudioBufferSourceNode.playbackRate, which moves the pitch as well) and
+ * sends the mix through the phase-vocoder worklet in
+ * public/pitch-shifter-worklet.js, which corrects the pitch to the requested
+ * transposition. Settings are plain JSON and saved with each song.
+ */
+
+export const MIN_TEMPO = 0.5;
+export const MAX_TEMPO = 1.5;
+export const MIN_SEMITONES = -12;
+export const MAX_SEMITONES = 12;
+
+export const DEFAULT_PRACTICE = { tempo: 1, semitones: 0 };
+
+// Delay added by the worklet (frame size minus hop, see pitch-shifter-worklet.js)
+export const PITCH_SHIFT_LATENCY = 2048 - 512; // frames
+
+const WORKLET_URL = `${process.env.PUBLIC_URL}/pitch-shifter-worklet.js`;
+const workletModules = new WeakMap(); // context -> addModule promise
+
+export function isPracticeActive(practice) {
+  return !!practice && (practice.tempo !== 1 || practice.semitones !== 0);
+}
+
+/**
+ * Pitch ratio the worklet applies: the transposition, minus the pitch change
+ * that the playback rate causes
+ */
+export function pitchCorrection({ tempo, semitones }) {
+  return Math.pow(2, semitones / 12) / tempo;
+}
+
+/**
+ * Practice settings of a saved song (defaults for songs saved without them)
+ */
+export function loadPractice(saved) {
+  const clamp = (value, min, max, fallback) => (typeof value === 'number' ? Math.max(min, Math.min(max, value)) : fallback);
+  return {
+    tempo: clamp(saved && saved.tempo, MIN_TEMPO, MAX_TEMPO, DEFAULT_PRACTICE.tempo),
+    semitones: clamp(saved && saved.semitones, MIN_SEMITONES, MAX_SEMITONES, DEFAULT_PRACTICE.semitones),
+  };
+}
+
+/**
+ * Short description of active practice settings, e.g. "0.80×, -2 st"
+ */
+export function describePractice(practice) {
+  if (!isPracticeActive(practice)) return '';
+  return [practice.tempo !== 1 && formatTempo(practice.tempo), practice.semitones !== 0 && formatSemitones(practice.semitones)]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Create a pitch-shifter node on `context` (live or offline), loading the worklet module once per context
+ */
+export async function createPitchShifter(context) {
+  if (!context.audioWorklet) {
+    throw new Error('This browser cannot change tempo or pitch (AudioWorklet is not supported)');
+  }
+  if (!workletModules.has(context)) {
+    workletModules.set(context, context.audioWorklet.addModule(WORKLET_URL));
+  }
+  try {
+    await workletModules.get(context);
+  } catch (error) {
+    workletModules.delete(context);
+    throw error;
+  }
+  return new window.AudioWorkletNode(context, 'pitch-shifter', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+  });
+}
+
+export function formatTempo(tempo) {
+  return `${tempo.toFixed(2)}×`;
+}
+
+export function formatSemitones(semitones) {
+  if (semitones === 0) return '0 st';
+  return `${semitones > 0 ? '+' : ''}${semitones} st`;
+}
@@ -0,0 +1,46 @@
+/**
+ * Separation jobs on the backend
+ * Every uploaded file becomes a job keyed by its session id. The backend runs
+ * one job at a time and keeps the stems of each session in its own folder, so
+ * finished jobs can be opened in the Mixer in any order. Job changes are pushed
+ * over Server-Sent Events (see hooks/useSeparationJobs.js); the calls that
+ * start and remove jobs are in api.js.
+ */
+
+const ACTIVE_STATUSES = ['queued', 'loading', 'separating', 'writing'];
+
+/**
+ * Job as sent by the backend:
+ * { session_id, filename, input, status, progress (0-1), error, created_at }
+ * with status 'queued' → 'loading' → 'separating' → 'writing' → 'done', or 'failed' (with `error`)
+ */
+export function isJobActive(job) {
+  return ACTIVE_STATUSES.includes(job.status);
+}
+
+export function jobStatusLabel(job) {
+  switch (job.status) {
+    case 'queued':
+      return 'Queued';
+    case 'loading':
+      return 'Loading audio';
+    case 'separating':
+      return `Separating ${Math.round(job.progress * 100)}%`;
+    case 'writing':
+      return 'Writing stems';
+    case 'done':
+      return 'Ready';
+    case 'failed':
+      return `Failed${job.error ? `: ${job.error}` : ''}`;
+    default:
+      return job.status;
+  }
+}
+
+/**
+ * Job list with `job` added or replaced (kept in upload order)
+ */
+export function upsertJob(jobs, job) {
+  const others = jobs.filter((j) => j.session_id !== job.session_id);
+  return [...others, job].sort((a, b) => a.created_at - b.created_at);
+}
@@ -0,0 +1,86 @@
+/**
+ * Browsing saved songs (My Songs): search, sort and filters
+ * Stem emphasis describes how a mix treats each stem compared to the
+ * original balance, from the saved levels as heard ("vocals muted",
+ * "bass boosted"), so e.g. all karaoke mixes can be listed at once.
+ */
+
+import { loadGains } from './channelStrip';
+
+export const SONG_SORTS = [
+  { id: 'updated', label: 'Recently updated' },
+  { id: 'created', label: 'Recently created' },
+  { id: 'played', label: 'Recently played' },
+  { id: 'title', label: 'Title (A-Z)' },
+];
+
+const BOOSTED_DB = 3; // at or above: "boosted"
+const REDUCED_DB = -6; // at or below (but audible): "reduced"
+
+/**
+ * Emphasis labels of a song's stems, e.g. ['vocals muted', 'drums boosted']
+ */
+export function stemEmphasis(song) {
+  if (!song.gains) return [];
+  const gains = loadGains(song.gains);
+  return Object.keys(gains).flatMap((key) => {
+    const db = gains[key];
+    if (db === -Infinity) return [`${key} muted`];
+    if (db <= REDUCED_DB) return [`${key} reduced`];
+    if (db >= BOOSTED_DB) return [`${key} boosted`];
+    return [];
+  });
+}
+
+/**
+ * Whether every word of `query` appears in the song's title, artist or notes (case-insensitive)
+ */
+export function songMatchesQuery(song, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = [song.title, song.artist, song.notes].filter(Boolean).join('\n').toLowerCase();
+  return terms.every((term) => text.includes(term));
+}
+
+const sortedUnique = (values) => {
+  const byKey = new Map();
+  values.forEach((value) => {
+    const key = value.toLowerCase();
+    if (!byKey.has(key)) byKey.set(key, value);
+  });
+  return Array.from(byKey.values()).sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Filter options present in the library: { tags, genres, emphasis }
+ */
+export function songFacets(songs) {
+  return {
+    tags: sortedUnique(songs.flatMap((song) => song.tags || [])),
+    genres: sortedUnique(songs.map((song) => song.genre).filter(Boolean)),
+    emphasis: sortedUnique(songs.flatMap(stemEmphasis)),
+  };
+}
+
+const newestFirst = (field) => (a, b) => (b[field] || 0) - (a[field] || 0);
+
+const SORT_COMPARATORS = {
+  updated: newestFirst('updatedAt'),
+  created: newestFirst('createdAt'),
+  // Songs never played go last, most recently updated first
+  played: (a, b) => newestFirst('lastPlayedAt')(a, b) || newestFirst('updatedAt')(a, b),
+  title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+};
+
+/**
+ * The songs matching `query` and the filters (null = any), sorted by `sort` (see SONG_SORTS)
+ */
+export function browseSongs(songs, { query = '', sort = 'updated', tag = null, genre = null, emphasis = null } = {}) {
+  const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+  return songs
+    .filter((song) => songMatchesQuery(song, query))
+    .filter((song) => !tag || (song.tags || []).some((t) => sameText(t, tag)))
+    .filter((song) => !genre || (song.genre && sameText(song.genre, genre)))
+    .filter((song) => !emphasis || stemEmphasis(song).includes(emphasis))
+    .sort(SORT_COMPARATORS[sort] || SORT_COMPARATORS.updated);
+}
@@ -0,0 +1,90 @@
+import { browseSongs, songFacets, songMatchesQuery, stemEmphasis } from './songLibrary';
+
+const song = (title, fields = {}) => ({
+  id: title,
+  title,
+  artist: '',
+  notes: '',
+  tags: [],
+  gains: { vocals: 0, drums: 0, bass: 0, other: 0 },
+  createdAt: 0,
+  updatedAt: 0,
+  ...fields,
+});
+
+const songs = [
+  song('Yesterday', { artist: 'The Beatles', tags: ['Practice'], genre: 'pop', createdAt: 1, updatedAt: 5, gains: { vocals: null, drums: 0, bass: 0, other: 0 } }),
+  song('Song 10', { notes: 'Capo on 2nd fret', tags: ['live'], genre: 'rock', createdAt: 3, updatedAt: 3, lastPlayedAt: 10 }),
+  song('song 2', { tags: ['practice', 'slow'], genre: 'Rock', createdAt: 2, updatedAt: 4, gains: { vocals: -8, drums: 0, bass: 4, other: 0 } }),
+  song('Autumn Leaves', { artist: 'Chet Baker', genre: 'jazz', createdAt: 4, updatedAt: 1, lastPlayedAt: 20, gains: { vocals: null, drums: null, bass: 0, other: 0 } }),
+];
+
+const titles = (list) => list.map((s) => s.title);
+
+describe('stemEmphasis', () => {
+  test('labels muted, reduced and boosted stems from the saved gains', () => {
+    expect(stemEmphasis(songs[2])).toEqual(['vocals reduced', 'bass boosted']);
+    expect(stemEmphasis(songs[3])).toEqual(['vocals muted', 'drums muted']);
+    expect(stemEmphasis(songs[1])).toEqual([]);
+    expect(stemEmphasis({ title: 'No gains' })).toEqual([]);
+  });
+});
+
+describe('songMatchesQuery', () => {
+  test('needs every word in the title, artist or notes, ignoring case', () => {
+    expect(songMatchesQuery(songs[0], 'beatles yester')).toBe(true);
+    expect(songMatchesQuery(songs[1], 'CAPO fret')).toBe(true);
+    expect(songMatchesQuery(songs[1], 'capo beatles')).toBe(false);
+    expect(songMatchesQuery(songs[1], '   ')).toBe(true);
+  });
+});
+
+describe('songFacets', () => {
+  test('lists each tag, genre and emphasis once, sorted', () => {
+    expect(songFacets(songs)).toEqual({
+      tags: ['live', 'Practice', 'slow'],
+      genres: ['jazz', 'pop', 'rock'],
+      emphasis: ['bass boosted', 'drums muted', 'vocals muted', 'vocals reduced'],
+    });
+  });
+});
+
+describe('browseSongs', () => {
+  test('sorts by last update by default', () => {
+    expect(titles(browseSongs(songs))).toEqual(['Yesterday', 'song 2', 'Song 10', 'Autumn Leaves']);
+  });
+
+  test('sorts by creation, last play and title', () => {
+    expect(titles(browseSongs(songs, { sort: 'created' }))).toEqual(['Autumn Leaves', 'Song 10', 'song 2', 'Yesterday']);
+    // Never played songs last, most recently updated first
+    expect(titles(browseSongs(songs, { sort: 'played' }))).toEqual(['Autumn Leaves', 'Song 10', 'Yesterday', 'song 2']);
+    // Case-insensitive with numbers in natural order
+    expect(titles(browseSongs(songs, { sort: 'title' }))).toEqual(['Autumn Leaves', 'song 2', 'Song 10', 'Yesterday']);
+  });
+
+  test('falls back to last update for unknown sorts', () => {
+    expect(titles(browseSongs(songs, { sort: 'bogus' }))).toEqual(titles(browseSongs(songs)));
+  });
+
+  test('filters by query', () => {
+    expect(titles(browseSongs(songs, { query: 'song' }))).toEqual(['song 2', 'Song 10']);
+    expect(titles(browseSongs(songs, { query: 'baker' }))).toEqual(['Autumn Leaves']);
+  });
+
+  test('filters by tag and genre, ignoring case', () => {
+    expect(titles(browseSongs(songs, { tag: 'PRACTICE' }))).toEqual(['Yesterday', 'song 2']);
+    expect(titles(browseSongs(songs, { genre: 'rock' }))).toEqual(['song 2', 'Song 10']);
+  });
+
+  test('filters by stem emphasis', () => {
+    expect(titles(browseSongs(songs, { emphasis: 'vocals muted' }))).toEqual(['Yesterday', 'Autumn Leaves']);
+    expect(titles(browseSongs(songs, { emphasis: 'bass boosted' }))).toEqual(['song 2']);
+  });
+
+  test('combines filters and leaves the input untouched', () => {
+    const before = titles(songs);
+    expect(titles(browseSongs(songs, { query: 'song', tag: 'practice', genre: 'rock', sort: 'title' }))).toEqual(['song 2']);
+    expect(titles(browseSongs(songs, { tag: 'live', emphasis: 'vocals muted' }))).toEqual([]);
+    expect(titles(songs)).toEqual(before);
+  });
+});
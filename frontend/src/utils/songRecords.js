@@ -0,0 +1,129 @@
+/**
+ * Saved song records (My Songs)
+ * Every saved mix has a stable id, so songs can be renamed, updated and
+ * versioned without colliding with other mixes of the same file. Songs saved
+ * before ids existed are given one (and timestamps) when they are loaded.
+ *
+ * Record: { id, title, artist, notes, tags, createdAt, updatedAt, lastPlayedAt, sourceHash, ...mix settings }
+ */
+
+// Metadata edited in My Songs; everything else comes from the Mixer
+export const SONG_METADATA_FIELDS = ['title', 'artist', 'notes', 'tags'];
+
+export function createSongId() {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  // RFC 4122 version 4 from random bytes (randomUUID needs a secure context)
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Tags from user input (comma separated string or array): trimmed, without empties or duplicates
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+  return list
+    .map((tag) => String(tag).trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * A new song record for a mix saved from the Mixer
+ */
+export function createSongRecord(mix, now = Date.now()) {
+  return {
+    ...mix,
+    id: createSongId(),
+    title: mix.title || 'Untitled',
+    artist: mix.artist || '',
+    notes: mix.notes || '',
+    tags: parseTags(mix.tags),
+    sourceHash: mix.sourceHash || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Fill in the record fields of a stored song (no-op for current records)
+ */
+export function migrateSong(song, now = Date.now()) {
+  if (song.id && song.createdAt) return song;
+  return {
+    ...song,
+    id: song.id || createSongId(),
+    artist: song.artist || '',
+    notes: song.notes || '',
+    tags: parseTags(song.tags),
+    sourceHash: song.sourceHash || null,
+    createdAt: song.createdAt || now,
+    updatedAt: song.updatedAt || song.createdAt || now,
+  };
+}
+
+/**
+ * Migrate every user's songs ({ username: [songs] })
+ */
+export function migrateSongsByUser(songsByUser, now = Date.now()) {
+  return Object.fromEntries(
+    Object.entries(songsByUser || {}).map(([user, songs]) => [user, (songs || []).map((song) => migrateSong(song, now))])
+  );
+}
+
+/**
+ * Edit the metadata of a song (title, artist, notes, tags)
+ */
+export function editSongMetadata(song, changes, now = Date.now()) {
+  const edited = { ...song, updatedAt: now };
+  for (const field of SONG_METADATA_FIELDS) {
+    if (changes[field] === undefined) continue;
+    edited[field] = field === 'tags' ? parseTags(changes.tags) : String(changes[field]).trim();
+  }
+  if (!edited.title) edited.title = song.title;
+  return edited;
+}
+
+/**
+ * Replace the mix settings of a song with a new save from the Mixer, keeping its identity and metadata
+ */
+export function updateSongMix(song, mix, now = Date.now()) {
+  const keep = Object.fromEntries(SONG_METADATA_FIELDS.map((field) => [field, song[field]]));
+  return {
+    ...song,
+    ...mix,
+    ...keep,
+    features: mix.features || song.features, // Keep the training features when the file was not analyzed again
+    featureVersion: mix.features ? mix.featureVersion : song.featureVersion,
+    sourceHash: mix.sourceHash || song.sourceHash,
+    id: song.id,
+    createdAt: song.createdAt,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Title for a new version of `title`: "Song" -> "Song (v2)" -> "Song (v3)", skipping titles in use
+ */
+export function nextVersionTitle(songs, title) {
+  const base = title.replace(/\s*\(v\d+\)$/, '');
+  const taken = new Set(songs.map((song) => song.title));
+  let version = 2;
+  while (taken.has(`${base} (v${version})`)) version++;
+  return `${base} (v${version})`;
+}
+
+/**
+ * Copy of a song as a new version (new id and timestamps, versioned title)
+ */
+export function duplicateSong(songs, song, now = Date.now()) {
+  return { ...song, id: createSongId(), title: nextVersionTitle(songs, song.title), createdAt: now, updatedAt: now, lastPlayedAt: null };
+}
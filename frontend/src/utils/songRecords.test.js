@@ -0,0 +1,114 @@
+import { createSongId, createSongRecord, duplicateSong, editSongMetadata, migrateSong, nextVersionTitle, parseTags, updateSongMix } from './songRecords';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('createSongId', () => {
+  test('returns distinct version 4 UUIDs', () => {
+    const a = createSongId();
+    expect(a).toMatch(UUID);
+    expect(createSongId()).not.toBe(a);
+  });
+
+  test('builds the UUID from random bytes where randomUUID is unavailable', () => {
+    crypto.randomUUID = undefined; // Shadows the prototype method
+    try {
+      expect(createSongId()).toMatch(UUID);
+    } finally {
+      delete crypto.randomUUID;
+    }
+    expect(typeof crypto.randomUUID).toBe('function');
+  });
+});
+
+describe('parseTags', () => {
+  test('trims, drops empties and removes case-insensitive duplicates', () => {
+    expect(parseTags(' live, Practice ,, live ,LIVE')).toEqual(['live', 'Practice']);
+    expect(parseTags(['a', ' b ', 'A'])).toEqual(['a', 'b']);
+    expect(parseTags(undefined)).toEqual([]);
+  });
+});
+
+describe('migrateSong', () => {
+  test('gives songs saved before ids an id, metadata and timestamps', () => {
+    const migrated = migrateSong({ title: 'Old', gains: { vocals: 0 }, tags: 'a, b' }, 1000);
+    expect(migrated.id).toMatch(UUID);
+    expect(migrated).toMatchObject({
+      title: 'Old',
+      gains: { vocals: 0 },
+      artist: '',
+      notes: '',
+      tags: ['a', 'b'],
+      sourceHash: null,
+      createdAt: 1000,
+      updatedAt: 1000,
+    });
+  });
+
+  test('keeps existing fields of partially migrated songs', () => {
+    const migrated = migrateSong({ id: 'x', title: 'T', artist: 'A', updatedAt: 500 }, 1000);
+    expect(migrated).toMatchObject({ id: 'x', artist: 'A', createdAt: 1000, updatedAt: 500 });
+  });
+
+  test('returns current records unchanged', () => {
+    const song = { id: 'x', title: 'T', createdAt: 1, updatedAt: 2 };
+    expect(migrateSong(song, 1000)).toBe(song);
+  });
+});
+
+describe('editSongMetadata', () => {
+  test('updates only the given metadata and keeps the title when cleared', () => {
+    const song = createSongRecord({ title: 'Song', artist: 'Band', gains: { vocals: 0 } }, 1);
+    const edited = editSongMetadata(song, { title: '  ', notes: ' capo 2 ', tags: 'x,x' }, 5);
+    expect(edited).toMatchObject({ id: song.id, title: 'Song', artist: 'Band', notes: 'capo 2', tags: ['x'], updatedAt: 5, createdAt: 1 });
+  });
+});
+
+describe('updateSongMix', () => {
+  const song = {
+    ...createSongRecord({ title: 'Song', artist: 'Band', notes: 'n', tags: ['t'], gains: { vocals: 0 }, features: { rms: 1 }, featureVersion: 3, sourceHash: 'h1' }, 1),
+    lastPlayedAt: 3,
+  };
+
+  test('replaces the mix but keeps id, metadata and creation time', () => {
+    const mix = { title: 'Other title', artist: '', tags: [], gains: { vocals: -6 }, features: { rms: 2 }, featureVersion: 3, sourceHash: 'h2' };
+    const updated = updateSongMix(song, mix, 10);
+    expect(updated).toMatchObject({
+      id: song.id,
+      title: 'Song',
+      artist: 'Band',
+      notes: 'n',
+      tags: ['t'],
+      gains: { vocals: -6 },
+      features: { rms: 2 },
+      sourceHash: 'h2',
+      createdAt: 1,
+      updatedAt: 10,
+      lastPlayedAt: 3,
+    });
+  });
+
+  test('keeps the training features and source when the file was not analyzed again', () => {
+    const updated = updateSongMix(song, { gains: { vocals: 3 }, features: null, featureVersion: undefined, sourceHash: null }, 10);
+    expect(updated).toMatchObject({ features: { rms: 1 }, featureVersion: 3, sourceHash: 'h1', gains: { vocals: 3 } });
+  });
+});
+
+describe('nextVersionTitle', () => {
+  test('numbers versions from 2 and skips titles in use', () => {
+    expect(nextVersionTitle([], 'Song')).toBe('Song (v2)');
+    expect(nextVersionTitle([{ title: 'Song (v2)' }, { title: 'Song (v3)' }], 'Song')).toBe('Song (v4)');
+  });
+
+  test('versions the base title of a version', () => {
+    expect(nextVersionTitle([{ title: 'Song (v2)' }], 'Song (v2)')).toBe('Song (v3)');
+  });
+});
+
+describe('duplicateSong', () => {
+  test('copies the mix with a new id, versioned title and fresh timestamps', () => {
+    const song = { ...createSongRecord({ title: 'Song', gains: { vocals: 0 } }, 1), lastPlayedAt: 2 };
+    const copy = duplicateSong([song], song, 7);
+    expect(copy.id).not.toBe(song.id);
+    expect(copy).toMatchObject({ title: 'Song (v2)', gains: { vocals: 0 }, createdAt: 7, updatedAt: 7, lastPlayedAt: null });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Browser stem cache (IndexedDB)
+ * Stems are stored under the SHA-256 of the uploaded file, so a saved song
+ * finds its own audio again without the backend: replaying works offline and
+ * never picks up whatever another separation left on the server. Least
+ * recently used entries are evicted when the browser runs out of quota.
+ */
+
+import { fetchStem } from '../api';
+
+const DB_NAME = 'muse-stems';
+const DB_VERSION = 1;
+const ENTRIES = 'entries'; // { hash, title, sessionId, stemKeys, size, createdAt, lastUsedAt }
+const STEMS = 'stems'; // `${hash}/${stemKey}` -> ArrayBuffer (WAV bytes)
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser cannot store stems (IndexedDB is not available)'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(ENTRIES, { keyPath: 'hash' });
+        req.result.createObjectStore(STEMS);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run `fn(stores)` in one transaction; resolves with what `fn` returns once the transaction completes.
+ * Values of IDBRequests returned by `fn` (directly or in an array) are unwrapped.
+ */
+async function transaction(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([ENTRIES, STEMS], mode);
+    const result = fn({ entries: tx.objectStore(ENTRIES), stems: tx.objectStore(STEMS) });
+    tx.oncomplete = () => {
+      const unwrap = (value) => (value instanceof IDBRequest ? value.result : value);
+      resolve(Array.isArray(result) ? result.map(unwrap) : unwrap(result));
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Stem cache transaction aborted'));
+  });
+}
+
+const stemId = (hash, key) => `${hash}/${key}`;
+
+/**
+ * SHA-256 of a file's content (hex)
+ */
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function getCachedEntry(hash) {
+  return transaction('readonly', ({ entries }) => entries.get(hash));
+}
+
+/**
+ * Whether the stems of the file with content hash `hash` are cached (false if the cache cannot be read)
+ */
+export async function hasCachedStems(hash) {
+  try {
+    return !!(await getCachedEntry(hash));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * All cached songs' stems, most recently used first
+ */
+export async function listCachedStems() {
+  const entries = await transaction('readonly', ({ entries: store }) => store.getAll());
+  return entries.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * The cached stems of `hash` ({ key: ArrayBuffer }), or null unless all `stemKeys` are cached
+ */
+export async function readCachedStems(hash, stemKeys) {
+  const [entry, ...buffers] = await transaction('readonly', ({ entries, stems }) => [
+    entries.get(hash),
+    ...stemKeys.map((key) => stems.get(stemId(hash, key))),
+  ]);
+  if (!entry || buffers.some((buffer) => !buffer)) return null;
+
+  await transaction('readwrite', ({ entries }) => entries.put({ ...entry, lastUsedAt: Date.now() }));
+  return Object.fromEntries(stemKeys.map((key, i) => [key, buffers[i]]));
+}
+
+export async function deleteCachedStems(hash) {
+  const entry = await getCachedEntry(hash);
+  const stemKeys = entry ? entry.stemKeys : [];
+  await transaction('readwrite', ({ entries, stems }) => {
+    entries.delete(hash);
+    stemKeys.forEach((key) => stems.delete(stemId(hash, key)));
+  });
+}
+
+export async function clearStemCache() {
+  await transaction('readwrite', ({ entries, stems }) => {
+    entries.clear();
+    stems.clear();
+  });
+}
+
+/**
+ * Delete least recently used entries (other than `keep`) until `bytes` are freed. Returns the bytes freed.
+ */
+export async function evictLeastRecentlyUsed(bytes, keep = null) {
+  const entries = (await listCachedStems()).reverse();
+  let freed = 0;
+  for (const entry of entries) {
+    if (freed >= bytes) break;
+    if (entry.hash === keep) continue;
+    await deleteCachedStems(entry.hash);
+    freed += entry.size;
+  }
+  return freed;
+}
+
+const isQuotaError = (err) => err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+
+/**
+ * Store the stems ({ key: ArrayBuffer }) of the file with content hash `hash`.
+ * Makes room by evicting least recently used songs when the quota is reached.
+ */
+export async function storeStems(hash, { title, sessionId = null, stems }) {
+  const stemKeys = Object.keys(stems);
+  const size = stemKeys.reduce((sum, key) => sum + stems[key].byteLength, 0);
+  const now = Date.now();
+  const write = () =>
+    transaction('readwrite', ({ entries, stems: store }) => {
+      stemKeys.forEach((key) => store.put(stems[key], stemId(hash, key)));
+      entries.put({ hash, title, sessionId, stemKeys, size, createdAt: now, lastUsedAt: now });
+    });
+
+  try {
+    await write();
+  } catch (err) {
+    if (!isQuotaError(err) || (await evictLeastRecentlyUsed(size, hash)) < size) throw err;
+    await write();
+  }
+}
+
+/**
+ * Storage used and available to this site in bytes ({ usage, quota }), null if the browser cannot tell
+ */
+export async function storageEstimate() {
+  if (!navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+/**
+ * Ask the browser not to clear the cache under storage pressure (may be declined silently)
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage || typeof navigator.storage.persist !== 'function') return false;
+  return navigator.storage.persist();
+}
+
+export async function isStoragePersisted() {
+  if (!navigator.storage || typeof navigator.storage.persisted !== 'function') return false;
+  return navigator.storage.persisted();
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Stem loader for a song, as used by MixEngine.loadStems and exportStems:
+ * `(key) => Promise<ArrayBuffer>`. Reads the stems from the cache when they are
+ * there, otherwise downloads all of them from the separation session once and
+ * caches them under `sourceHash`. Each call returns its own copy (decoding
+ * detaches the buffer it is given).
+ */
+export function songStemLoader({ sourceHash = null, sessionId = null, stemKeys, title, signal }) {
+  let stemsPromise = null;
+
+  const loadAll = async () => {
+    if (sourceHash) {
+      try {
+        const cached = await readCachedStems(sourceHash, stemKeys);
+        if (cached) return cached;
+      } catch (err) {
+        console.warn('Stem cache unavailable:', err);
+      }
+    }
+    if (!sessionId) {
+      throw new Error('The stems of this song are not stored in this browser. Separate the file again in the Mixer.');
+    }
+
+    const downloaded = await Promise.all(stemKeys.map((key) => fetchStem(sessionId, key, { signal })));
+    const stems = Object.fromEntries(stemKeys.map((key, i) => [key, downloaded[i]]));
+    if (sourceHash) {
+      try {
+        await storeStems(sourceHash, { title, sessionId, stems });
+      } catch (err) {
+        console.warn('Could not cache stems:', err);
+      }
+    }
+    return stems;
+  };
+
+  return async (key) => {
+    if (!stemsPromise) {
+      stemsPromise = loadAll();
+      stemsPromise.catch(() => {
+        stemsPromise = null;
+      });
+    }
+    const stems = await stemsPromise;
+    if (signal && signal.aborted) {
+      throw new DOMException('Stem loading cancelled', 'AbortError');
+    }
+    return stems[key].slice(0);
+  };
+}
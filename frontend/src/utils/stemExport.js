@@ -0,0 +1,93 @@
+/**
+ * Stem pack export
+ * Packages the separated stems of a song into a single ZIP, either as the
+ * original files (from the browser stem cache or the backend) or re-rendered with the mix gains
+ * baked in (through the same graph as playback, see MixEngine.renderOffline).
+ */
+
+import { MixEngine } from './mixEngine';
+import { encodeWav, quantize } from './mixExport';
+import { createZip } from './zip';
+
+export const STEM_KEYS = ['vocals', 'drums', 'bass', 'other'];
+
+const BAKED_BITS_PER_SAMPLE = 24;
+const DOWNLOAD_SHARE = 0.9; // share of the progress bar before zipping
+
+/**
+ * Song title made safe for file names (no path separators or reserved characters)
+ */
+export function safeFileTitle(title) {
+  const cleaned = (title || '').replace(/[\\/:*?"<>|]/g, ' ').replace(/\s+/g, ' ').trim();
+  return cleaned || 'Untitled';
+}
+
+export function stemFileName(title, key, extension = 'wav') {
+  return `${safeFileTitle(title)} - ${key}.${extension}`;
+}
+
+export function stemPackFileName(title, bakeGains = false) {
+  return `${safeFileTitle(title)} - stems${bakeGains ? ' (mixed)' : ''}.zip`;
+}
+
+/**
+ * Build a ZIP with one WAV per stem.
+ * - `loadStem(key)` resolves with a stem's WAV bytes (see songStemLoader in stemCache.js), for the original files or to load a temporary engine
+ * - `engine` is an optional MixEngine that already holds the stems; its decoded stems are reused and its settings left untouched
+ * - `bakeGains` renders each stem with `gains` (dB per stem), `pans`, `effects` and gain `automation` applied
+ * `onProgress(fraction)` reports progress (0-1). Returns a Blob.
+ */
+export async function exportStems({ title, stemKeys, loadStem, engine = null, bakeGains = false, gains = null, pans = null, effects = null, automation = null, onProgress } = {}) {
+  const report = (fraction) => {
+    if (typeof onProgress === 'function') onProgress(Math.min(1, fraction));
+  };
+  const files = [];
+
+  if (!bakeGains) {
+    for (let i = 0; i < stemKeys.length; i++) {
+      const key = stemKeys[i];
+      files.push({ name: stemFileName(title, key), data: new Uint8Array(await loadStem(key)) });
+      report(((i + 1) / stemKeys.length) * DOWNLOAD_SHARE);
+    }
+  } else {
+    // Render on a separate engine so the live mix (solos included) keeps its settings
+    const renderEngine = new MixEngine(stemKeys);
+    try {
+      if (engine && engine.isLoaded) {
+        renderEngine.shareBuffers(engine);
+      } else {
+        await renderEngine.loadStems(loadStem);
+      }
+      if (gains) {
+        renderEngine.setGains(gains);
+      }
+      if (pans) {
+        renderEngine.setPans(pans);
+      }
+      if (effects) {
+        renderEngine.setEffects(effects);
+      }
+      if (automation) {
+        renderEngine.setAutomation(automation);
+      }
+
+      for (let i = 0; i < stemKeys.length; i++) {
+        const key = stemKeys[i];
+        const rendered = await renderEngine.renderOffline({
+          stems: [key],
+          onProgress: (fraction) => report(((i + fraction) / stemKeys.length) * DOWNLOAD_SHARE),
+        });
+        const channels = Array.from({ length: rendered.numberOfChannels }, (_, c) =>
+          quantize(rendered.getChannelData(c), 1, BAKED_BITS_PER_SAMPLE)
+        );
+        files.push({ name: stemFileName(title, key), data: encodeWav(channels, rendered.sampleRate, BAKED_BITS_PER_SAMPLE) });
+      }
+    } finally {
+      renderEngine.dispose();
+    }
+  }
+
+  const zip = createZip(files);
+  report(1);
+  return zip;
+}
@@ -0,0 +1,172 @@
+import { unzipSync } from 'fflate';
+import { stemExportGains } from './channelStrip';
+import { exportStems, stemFileName } from './stemExport';
+
+// Stand-in for MixEngine (no Web Audio in jsdom): records the settings a render engine receives
+const mockEngines = [];
+jest.mock('./mixEngine', () => ({
+  MixEngine: class {
+    constructor(stemKeys) {
+      this.stemKeys = stemKeys;
+      this.buffers = {};
+      this.rendered = [];
+      mockEngines.push(this);
+    }
+
+    get isLoaded() {
+      return this.stemKeys.every((key) => this.buffers[key]);
+    }
+
+    async loadStems(fetchStem) {
+      for (const key of this.stemKeys) {
+        this.buffers[key] = { bytes: await fetchStem(key) };
+      }
+    }
+
+    shareBuffers(engine) {
+      this.buffers = { ...engine.buffers };
+    }
+
+    setGains(gains) {
+      this.gains = gains;
+    }
+
+    setPans(pans) {
+      this.pans = pans;
+    }
+
+    setEffects(effects) {
+      this.effects = effects;
+    }
+
+    setAutomation(automation) {
+      this.automation = automation;
+    }
+
+    async renderOffline({ stems, onProgress }) {
+      this.rendered.push(...stems);
+      if (onProgress) onProgress(1);
+      const level = this.gains[stems[0]] === -Infinity ? 0 : 0.5;
+      return { numberOfChannels: 2, sampleRate: 8000, getChannelData: () => new Float32Array(8).fill(level) };
+    }
+
+    dispose() {
+      this.disposed = true;
+    }
+  },
+}));
+
+const STEM_KEYS = ['vocals', 'drums', 'bass', 'other'];
+
+const strips = {
+  vocals: { gain: -3, pan: -0.5, mute: false, solo: true },
+  drums: { gain: 2, pan: 0, mute: false, solo: false },
+  bass: { gain: 0, pan: 0.25, mute: true, solo: false },
+  other: { gain: 0, pan: 0, mute: false, solo: false },
+};
+const pans = { vocals: -0.5, drums: 0, bass: 0.25, other: 0 };
+
+// jsdom's Blob has no arrayBuffer()
+const readBlob = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+const stemBytes = (key) => new TextEncoder().encode(`${key} wav`);
+
+function liveEngine() {
+  return {
+    isLoaded: true,
+    buffers: Object.fromEntries(STEM_KEYS.map((key) => [key, { decoded: key }])),
+    setGains: jest.fn(),
+    setPans: jest.fn(),
+    setEffects: jest.fn(),
+    setAutomation: jest.fn(),
+    renderOffline: jest.fn(),
+    dispose: jest.fn(),
+  };
+}
+
+beforeEach(() => {
+  mockEngines.length = 0;
+});
+
+test('packs the original stem files without rendering', async () => {
+  const loadStem = jest.fn(async (key) => stemBytes(key).buffer);
+  const zip = await exportStems({ title: 'Song', stemKeys: STEM_KEYS, loadStem });
+
+  const files = unzipSync(await readBlob(zip));
+  for (const key of STEM_KEYS) {
+    expect(new TextDecoder().decode(files[stemFileName('Song', key)])).toBe(`${key} wav`);
+  }
+  expect(mockEngines).toHaveLength(0);
+});
+
+test('baked export renders on a separate engine and leaves the live engine untouched', async () => {
+  const live = liveEngine();
+  const loadStem = jest.fn();
+  const effects = { vocals: { reverb: 0.2 } };
+  const automation = { drums: [{ time: 0, value: 1 }] };
+  const progress = [];
+
+  const zip = await exportStems({
+    title: 'Song',
+    stemKeys: STEM_KEYS,
+    loadStem,
+    engine: live,
+    bakeGains: true,
+    gains: stemExportGains(strips),
+    pans,
+    effects,
+    automation,
+    onProgress: (fraction) => progress.push(fraction),
+  });
+
+  for (const setter of ['setGains', 'setPans', 'setEffects', 'setAutomation', 'renderOffline', 'dispose']) {
+    expect(live[setter]).not.toHaveBeenCalled();
+  }
+  expect(loadStem).not.toHaveBeenCalled();
+
+  expect(mockEngines).toHaveLength(1);
+  const [renderer] = mockEngines;
+  expect(renderer.buffers).toEqual(live.buffers);
+  expect(renderer.gains).toEqual({ vocals: -3, drums: 2, bass: -Infinity, other: 0 });
+  expect(renderer.pans).toEqual(pans);
+  expect(renderer.effects).toBe(effects);
+  expect(renderer.automation).toBe(automation);
+  expect(renderer.rendered).toEqual(STEM_KEYS);
+  expect(renderer.disposed).toBe(true);
+
+  const files = unzipSync(await readBlob(zip));
+  expect(Object.keys(files).sort()).toEqual(STEM_KEYS.map((key) => stemFileName('Song', key)).sort());
+  expect(progress[progress.length - 1]).toBe(1);
+});
+
+test('baked export ignores solos so every stem stays audible unless muted', async () => {
+  const zip = await exportStems({
+    title: 'Song',
+    stemKeys: STEM_KEYS,
+    engine: liveEngine(),
+    bakeGains: true,
+    gains: stemExportGains(strips),
+  });
+
+  const files = unzipSync(await readBlob(zip));
+  const silent = (key) => files[stemFileName('Song', key)].slice(-48).every((byte) => byte === 0);
+  expect(silent('vocals')).toBe(false);
+  expect(silent('drums')).toBe(false);
+  expect(silent('other')).toBe(false);
+  expect(silent('bass')).toBe(true);
+});
+
+test('baked export loads the stems into a temporary engine when none is loaded', async () => {
+  const loadStem = jest.fn(async (key) => stemBytes(key).buffer);
+  await exportStems({ title: 'Song', stemKeys: STEM_KEYS, loadStem, engine: { isLoaded: false }, bakeGains: true, gains: {} });
+
+  expect(loadStem).toHaveBeenCalledTimes(STEM_KEYS.length);
+  expect(mockEngines).toHaveLength(1);
+  expect(mockEngines[0].disposed).toBe(true);
+});
@@ -4,37 +4,144 @@
  */
 
 import * as tf from '@tensorflow/tfjs';
+import { FEATURE_VECTOR_VERSION, GENRES, featureVectorSize } from './audioFeatures';
+
+// Bump when the persisted metadata format itself changes
+const STORAGE_SCHEMA_VERSION = 1;
+
+const STEMS = ['vocals', 'drums', 'bass', 'other'];
+
+// Confidence estimation
+const DROPOUT_RATE = 0.2;
+const MC_DROPOUT_SAMPLES = 20; // stochastic forward passes per prediction
+const SAMPLES_FOR_CONFIDENCE = 3; // training examples at which sample confidence reaches ~63%
+const MAX_UNCERTAINTY_DB = 6; // mean spread at which spread confidence reaches 0
+export const CONFIDENCE_THRESHOLD = 0.5; // below this, suggestions are not auto-applied
+
+// Starting points per genre (dB) used while the model is not confident yet
+const GENRE_DEFAULT_GAINS = {
+  pop: { vocals: 2, drums: 0, bass: 0, other: 0 },
+  rock: { vocals: 0, drums: 2, bass: 1, other: 1 },
+  electronic: { vocals: 0, drums: 2, bass: 2, other: 0 },
+  hiphop: { vocals: 2, drums: 2, bass: 3, other: -2 },
+  jazz: { vocals: 0, drums: -2, bass: 1, other: 2 },
+  classical: { vocals: 0, drums: 0, bass: 0, other: 0 },
+  country: { vocals: 2, drums: 0, bass: 0, other: 1 },
+  metal: { vocals: 0, drums: 2, bass: 1, other: 2 },
+  reggae: { vocals: 1, drums: 1, bass: 3, other: 0 },
+  blues: { vocals: 1, drums: -1, bass: 1, other: 2 },
+};
+
+/**
+ * Convert network outputs (-1 to 1) to gains in the -24 to 12 dB slider range
+ */
+function outputToGains(values) {
+  return Object.fromEntries(STEMS.map((stem, i) => [
+    stem,
+    Math.max(-24, Math.min(12, Math.round(values[i] * 18 - 6))), // centered at -6
+  ]));
+}
+
+/**
+ * Convert gains in dB to network targets (-1 to 1). Silent stems (-∞ dB,
+ * stored as null) train towards the bottom of the slider range.
+ */
+function gainsToOutput(gains) {
+  return STEMS.map((stem) => {
+    const db = typeof gains[stem] === 'number' ? Math.max(-24, Math.min(12, gains[stem])) : -24;
+    return (db + 6) / 18;
+  });
+}
+
+/**
+ * Genre-default gains weighted by a genre vector (neutral 0 dB if it is empty)
+ */
+export function genreDefaultGains(genreVector) {
+  const total = genreVector.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(STEMS.map((stem) => {
+    if (total <= 0) return [stem, 0];
+    const weighted = GENRES.reduce(
+      (sum, genre, i) => sum + genreVector[i] * GENRE_DEFAULT_GAINS[genre][stem],
+      0
+    );
+    return [stem, Math.round(weighted / total)];
+  }));
+}
+
+/**
+ * FNV-1a hash of a string, as 8 hex characters
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
 
 export class UserPreferenceModel {
-  constructor(userId) {
+  /**
+   * `numMfcc` must match the coefficient count used for feature extraction
+   */
+  constructor(userId, { numMfcc } = {}) {
     this.userId = userId;
     this.model = null;
-    this.inputSize = 23; // 13 audio features + 10 genre features
+    this.inputSize = featureVectorSize(numMfcc); // audio features + MFCC statistics + 10 genre features
+    this.featureVersion = FEATURE_VECTOR_VERSION; // layout of the input vector
     this.outputSize = 4; // vocals, drums, bass, other gains
+    this.trainingSamples = 0; // examples the current weights have been trained on
+    this.updatedAt = null; // ISO timestamp of the last save
+    this.loadStatus = null; // 'loaded' | 'migrated' | 'reset' | 'new'
     this.isInitialized = false;
   }
 
+  get storageUrl() {
+    return `indexeddb://userModel_${this.userId}`;
+  }
+
+  get legacyStorageKey() {
+    return `userModel_${this.userId}`;
+  }
+
   /**
    * Initialize or load the model
+   * Loads the IndexedDB copy if its metadata matches the current feature layout
+   * and architecture, migrates weights from the old localStorage format when
+   * they were trained on the current layout, and otherwise resets to a fresh
+   * model (callers can retrain via batchTrain).
    */
   async initialize() {
     if (this.isInitialized) return;
 
-    // Try to load existing model weights
-    const savedWeights = this.loadWeights();
-    
-    if (savedWeights) {
-      // Recreate model architecture
-      this.createModel();
-      // Load saved weights
-      this.model.setWeights(savedWeights);
-      console.log(`Loaded model for user: ${this.userId}`);
+    this.createModel();
+    const expected = this.getMetadata();
+
+    const stored = await this.loadStoredModel();
+    if (stored && this.isCompatible(stored.metadata, expected)) {
+      // Loaded models are not compiled; copy their weights into our compiled model
+      this.model.setWeights(stored.model.getWeights());
+      this.trainingSamples = stored.metadata.trainingSamples || 0;
+      this.updatedAt = stored.metadata.updatedAt || null;
+      this.loadStatus = 'loaded';
+      console.log(`Loaded model for user: ${this.userId} (${this.trainingSamples} examples)`);
+    } else if (stored) {
+      console.warn(`Stored model for user ${this.userId} does not match the current schema, resetting`, stored.metadata);
+      await this.removeStoredModel();
+      this.loadStatus = 'reset';
+    } else if (this.migrateLegacyWeights()) {
+      await this.saveModel();
+      this.loadStatus = 'migrated';
+      console.log(`Migrated localStorage model to IndexedDB for user: ${this.userId}`);
     } else {
-      // Create new model
-      this.createModel();
+      this.loadStatus = 'new';
       console.log(`Created new model for user: ${this.userId}`);
     }
-    
+
+    if (stored && stored.model) {
+      stored.model.dispose();
+    }
+
     this.isInitialized = true;
   }
 
@@ -51,12 +158,14 @@ export class UserPreferenceModel {
           activation: 'relu',
           kernelInitializer: 'glorotUniform',
         }),
+        tf.layers.dropout({ rate: DROPOUT_RATE }),
         // Hidden layer 1
         tf.layers.dense({
           units: 32,
           activation: 'relu',
           kernelInitializer: 'glorotUniform',
         }),
+        tf.layers.dropout({ rate: DROPOUT_RATE }),
         // Hidden layer 2
         tf.layers.dense({
           units: 16,
@@ -87,6 +196,7 @@ export class UserPreferenceModel {
     if (!this.isInitialized) {
       await this.initialize();
     }
+    this.checkInputSize(features);
 
     // Convert features to tensor
     const inputTensor = tf.tensor2d([features]);
@@ -99,21 +209,61 @@ export class UserPreferenceModel {
     inputTensor.dispose();
     prediction.dispose();
     
-    // Convert from -1 to 1 range to -24 to 12 dB range
-    const gains = {
-      vocals: Math.round(values[0] * 18 - 6), // -24 to 12, centered at -6
-      drums: Math.round(values[1] * 18 - 6),
-      bass: Math.round(values[2] * 18 - 6),
-      other: Math.round(values[3] * 18 - 6),
+    return outputToGains(values);
+  }
+
+  /**
+   * Predict gains with an uncertainty estimate (Monte Carlo dropout).
+   * Runs the network MC_DROPOUT_SAMPLES times with dropout active and reports
+   * the mean gains, the per-stem spread in dB, and a 0-1 confidence that also
+   * accounts for how many examples the model has been trained on.
+   * Below CONFIDENCE_THRESHOLD the returned gains fall back to genre defaults
+   * and `isFallback` is true.
+   */
+  async predictWithConfidence(features) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+    this.checkInputSize(features);
+
+    const samples = tf.tidy(() => {
+      const inputTensor = tf.tile(tf.tensor2d([features]), [MC_DROPOUT_SAMPLES, 1]);
+      return this.model.apply(inputTensor, { training: true });
+    });
+    const values = await samples.array();
+    samples.dispose();
+
+    const mean = new Array(this.outputSize).fill(0);
+    for (const row of values) {
+      row.forEach((v, i) => { mean[i] += v / values.length; });
+    }
+    const std = mean.map((m, i) => Math.sqrt(
+      values.reduce((sum, row) => sum + (row[i] - m) * (row[i] - m), 0) / values.length
+    ));
+
+    // Spread in dB (outputs are scaled by 18 dB)
+    const uncertainty = Object.fromEntries(STEMS.map((stem, i) => [stem, std[i] * 18]));
+    const meanUncertainty = std.reduce((a, b) => a + b, 0) / std.length * 18;
+
+    const sampleFactor = 1 - Math.exp(-this.trainingSamples / SAMPLES_FOR_CONFIDENCE);
+    const spreadFactor = 1 - Math.min(meanUncertainty / MAX_UNCERTAINTY_DB, 1);
+    const confidence = sampleFactor * spreadFactor;
+    const isFallback = confidence < CONFIDENCE_THRESHOLD;
+
+    return {
+      gains: isFallback ? genreDefaultGains(features.slice(-GENRES.length)) : outputToGains(mean),
+      modelGains: outputToGains(mean),
+      confidence,
+      uncertainty,
+      trainingSamples: this.trainingSamples,
+      isFallback,
     };
-    
-    // Clamp to valid range
-    gains.vocals = Math.max(-24, Math.min(12, gains.vocals));
-    gains.drums = Math.max(-24, Math.min(12, gains.drums));
-    gains.bass = Math.max(-24, Math.min(12, gains.bass));
-    gains.other = Math.max(-24, Math.min(12, gains.other));
-    
-    return gains;
+  }
+
+  checkInputSize(features) {
+    if (features.length !== this.inputSize) {
+      throw new Error(`Expected ${this.inputSize} features, got ${features.length}`);
+    }
   }
 
   /**
@@ -124,13 +274,13 @@ export class UserPreferenceModel {
       await this.initialize();
     }
 
+    if (!features || features.length !== this.inputSize) {
+      console.warn(`Skipping training example with ${features ? features.length : 0} features (expected ${this.inputSize})`);
+      return;
+    }
+
     // Convert gains from dB range (-24 to 12) to -1 to 1 range
-    const normalizedGains = [
-      (actualGains.vocals + 6) / 18, // Normalize to -1 to 1
-      (actualGains.drums + 6) / 18,
-      (actualGains.bass + 6) / 18,
-      (actualGains.other + 6) / 18,
-    ];
+    const normalizedGains = gainsToOutput(actualGains);
 
     // Prepare training data
     const inputTensor = tf.tensor2d([features]);
@@ -147,28 +297,44 @@ export class UserPreferenceModel {
     inputTensor.dispose();
     outputTensor.dispose();
 
-    // Save updated weights
-    this.saveWeights();
+    // Save updated model
+    this.trainingSamples += 1;
+    await this.saveModel();
 
     console.log(`Model trained with new example for user: ${this.userId}`);
   }
 
   /**
-   * Batch train the model with all songs (retrain from scratch)
+   * Batch train the model with all songs, retraining from scratch (fresh
+   * weights, so removed or edited songs no longer count). Songs analyzed with
+   * an older feature layout cannot be used and are reported as skipped.
+   * Returns { trained, skipped } song counts.
    */
   async batchTrain(songs) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    // Filter songs that have features and gains
-    const validSongs = songs.filter(song => song.features && song.gains);
+    // Filter songs that have features in the current layout and gains
+    const usable = songs.filter(song => song.features && song.gains);
+    const validSongs = usable.filter(song =>
+      song.featureVersion === this.featureVersion &&
+      song.features.length === this.inputSize
+    );
+    const skipped = usable.length - validSongs.length;
+    if (skipped > 0) {
+      console.warn(`Skipping ${skipped} song(s) analyzed with an older feature layout for user ${this.userId}; re-analyze them in the Mixer to include them`);
+    }
     
     if (validSongs.length === 0) {
       console.log(`No valid training data for user: ${this.userId}`);
-      return;
+      return { trained: 0, skipped };
     }
 
+    // Start from fresh weights
+    this.model.dispose();
+    this.createModel();
+
     // Prepare all training data
     const featuresList = [];
     const gainsList = [];
@@ -177,12 +343,7 @@ export class UserPreferenceModel {
       featuresList.push(song.features);
       
       // Convert gains from dB range (-24 to 12) to -1 to 1 range
-      gainsList.push([
-        (song.gains.vocals + 6) / 18,
-        (song.gains.drums + 6) / 18,
-        (song.gains.bass + 6) / 18,
-        (song.gains.other + 6) / 18,
-      ]);
+      gainsList.push(gainsToOutput(song.gains));
     }
 
     // Create tensors
@@ -200,49 +361,122 @@ export class UserPreferenceModel {
     inputTensor.dispose();
     outputTensor.dispose();
 
-    // Save updated weights
-    this.saveWeights();
+    // Save updated model
+    this.trainingSamples = validSongs.length;
+    await this.saveModel();
 
     console.log(`Model batch trained with ${validSongs.length} examples for user: ${this.userId}`);
+    return { trained: validSongs.length, skipped };
+  }
+
+  /**
+   * Stable hash of the layer layout built by createModel
+   */
+  getArchitectureHash() {
+    const layout = this.model.layers.map(layer => ({
+      type: layer.getClassName(),
+      units: layer.units,
+      activation: layer.activation ? layer.activation.getClassName() : null,
+    }));
+    return hashString(JSON.stringify({ inputSize: this.inputSize, layout }));
+  }
+
+  /**
+   * Metadata persisted alongside the weights
+   */
+  getMetadata() {
+    return {
+      schemaVersion: STORAGE_SCHEMA_VERSION,
+      featureVersion: this.featureVersion,
+      architectureHash: this.getArchitectureHash(),
+      trainingSamples: this.trainingSamples,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  isCompatible(metadata, expected) {
+    return Boolean(metadata) &&
+      metadata.schemaVersion === expected.schemaVersion &&
+      metadata.featureVersion === expected.featureVersion &&
+      metadata.architectureHash === expected.architectureHash;
   }
 
   /**
-   * Save model weights to localStorage
+   * Save the model and its metadata to IndexedDB
    */
-  saveWeights() {
+  async saveModel() {
     if (!this.model) return;
 
     try {
-      const weights = this.model.getWeights();
-      const weightData = weights.map(weight => {
-        return {
-          shape: weight.shape,
-          data: Array.from(weight.dataSync()),
-        };
-      });
-
-      const key = `userModel_${this.userId}`;
-      localStorage.setItem(key, JSON.stringify(weightData));
+      this.updatedAt = new Date().toISOString();
+      this.model.setUserDefinedMetadata(this.getMetadata());
+      await this.model.save(this.storageUrl);
     } catch (error) {
-      console.error('Error saving model weights:', error);
+      console.error('Error saving model:', error);
     }
   }
 
   /**
-   * Load model weights from localStorage
+   * Load the IndexedDB copy and its metadata (null if there is none)
    */
-  loadWeights() {
+  async loadStoredModel() {
     try {
-      const key = `userModel_${this.userId}`;
-      const saved = localStorage.getItem(key);
-      
-      if (!saved) return null;
+      const models = await tf.io.listModels();
+      if (!models[this.storageUrl]) return null;
+
+      const model = await tf.loadLayersModel(this.storageUrl);
+      return { model, metadata: model.getUserDefinedMetadata() || null };
+    } catch (error) {
+      // A model that no longer loads (e.g. changed layer layout) is treated as incompatible
+      console.error('Error loading model:', error);
+      return { model: null, metadata: null };
+    }
+  }
 
-      const weightData = JSON.parse(saved);
-      return weightData.map(w => tf.tensor(w.data, w.shape));
+  async removeStoredModel() {
+    try {
+      await tf.io.removeModel(this.storageUrl);
     } catch (error) {
-      console.error('Error loading model weights:', error);
-      return null;
+      console.error('Error removing stored model:', error);
+    }
+  }
+
+  /**
+   * Import weights saved by older versions in localStorage (JSON number arrays).
+   * Only weights trained on the current feature layout can be reused: models
+   * saved on older layouts (bare v1 arrays, v2) do not fit the input vector and
+   * are discarded, so those users start from a fresh model.
+   * Returns true if the weights matched the current layout and were applied.
+   */
+  migrateLegacyWeights() {
+    const key = this.legacyStorageKey;
+    const saved = localStorage.getItem(key);
+    if (!saved) return false;
+
+    // The legacy entry is removed either way; IndexedDB is the only store from now on
+    localStorage.removeItem(key);
+
+    try {
+      const parsed = JSON.parse(saved);
+
+      // Bare weight arrays were trained on the 23-dimensional (v1) layout
+      const featureVersion = Array.isArray(parsed) ? 1 : parsed.featureVersion;
+      if (featureVersion !== this.featureVersion) {
+        console.warn(`Discarding legacy model for user ${this.userId}: trained on feature layout v${featureVersion}, current is v${this.featureVersion}`);
+        return false;
+      }
+
+      const weights = parsed.weights.map(w => tf.tensor(w.data, w.shape));
+      try {
+        this.model.setWeights(weights);
+      } finally {
+        weights.forEach(weight => weight.dispose());
+      }
+      return true;
+    } catch (error) {
+      console.warn(`Could not migrate legacy model for user ${this.userId}:`, error);
+      this.createModel();
+      return false;
     }
   }
 
@@ -250,12 +484,13 @@ export class UserPreferenceModel {
    * Get model statistics
    */
   getStats() {
-    const key = `userModel_${this.userId}`;
-    const saved = localStorage.getItem(key);
     return {
-      exists: saved !== null,
       userId: this.userId,
       isInitialized: this.isInitialized,
+      loadStatus: this.loadStatus,
+      trainingSamples: this.trainingSamples,
+      updatedAt: this.updatedAt,
+      featureVersion: this.featureVersion,
     };
   }
 }
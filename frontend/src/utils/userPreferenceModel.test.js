@@ -0,0 +1,84 @@
+import * as tf from '@tensorflow/tfjs';
+import { UserPreferenceModel } from './userPreferenceModel';
+
+const legacyKey = 'userModel_tester';
+
+const savedWeights = (model) =>
+  model.getWeights().map((weight) => ({ shape: weight.shape, data: Array.from(weight.dataSync(), () => 0.01) }));
+
+let model;
+
+beforeAll(async () => {
+  await tf.setBackend('cpu');
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  model = new UserPreferenceModel('tester');
+  model.createModel();
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('migrateLegacyWeights', () => {
+  test('imports weights saved on the current feature layout', () => {
+    localStorage.setItem(legacyKey, JSON.stringify({ featureVersion: model.featureVersion, weights: savedWeights(model.model) }));
+    expect(model.migrateLegacyWeights()).toBe(true);
+    expect(model.model.getWeights()[0].dataSync()[0]).toBeCloseTo(0.01, 6);
+    expect(localStorage.getItem(legacyKey)).toBeNull();
+  });
+
+  test.each([
+    ['v1 (bare weight arrays)', () => [[0.5, 0.5]]],
+    ['v2', () => ({ featureVersion: 2, weights: savedWeights(model.model) })],
+  ])('discards models saved on the %s layout', (layout, saved) => {
+    localStorage.setItem(legacyKey, JSON.stringify(saved()));
+    expect(model.migrateLegacyWeights()).toBe(false);
+    expect(localStorage.getItem(legacyKey)).toBeNull();
+  });
+
+  test('does nothing without a legacy model', () => {
+    expect(model.migrateLegacyWeights()).toBe(false);
+  });
+});
+
+describe('batchTrain', () => {
+  const song = (featureVersion, size) => ({
+    features: new Array(size).fill(0.5),
+    featureVersion,
+    gains: { vocals: 2, drums: 0, bass: -3, other: -Infinity },
+  });
+
+  beforeEach(() => {
+    model.isInitialized = true;
+    jest.spyOn(model, 'saveModel').mockResolvedValue();
+  });
+
+  test('retrains from fresh weights and counts only the given songs', async () => {
+    model.trainingSamples = 7;
+    const previous = model.model;
+    const songs = [song(model.featureVersion, model.inputSize), song(model.featureVersion, model.inputSize)];
+
+    expect(await model.batchTrain(songs)).toEqual({ trained: 2, skipped: 0 });
+    expect(model.model).not.toBe(previous);
+    expect(model.trainingSamples).toBe(2);
+    expect(model.saveModel).toHaveBeenCalled();
+  });
+
+  test('reports songs analyzed with an older feature layout as skipped', async () => {
+    const songs = [song(model.featureVersion, model.inputSize), song(2, 23), { title: 'No features' }];
+
+    expect(await model.batchTrain(songs)).toEqual({ trained: 1, skipped: 1 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Skipping 1 song/));
+  });
+
+  test('keeps the current weights when no song can be used', async () => {
+    const previous = model.model;
+    expect(await model.batchTrain([song(1, 23)])).toEqual({ trained: 0, skipped: 1 });
+    expect(model.model).toBe(previous);
+    expect(model.saveModel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Waveform overview data for the timeline
+ * Stems are downsampled once after loading to a fixed number of peak values
+ * (max absolute sample over all channels per bucket), which the timeline
+ * scales to its width when drawing.
+ */
+
+export const WAVEFORM_BUCKETS = 2000;
+
+/**
+ * Peak amplitude (0-1) per bucket over the first `duration` seconds of `buffer`
+ */
+export function computePeaks(buffer, duration = buffer.duration, buckets = WAVEFORM_BUCKETS) {
+  const length = Math.min(buffer.length, Math.round(duration * buffer.sampleRate));
+  const peaks = new Float32Array(buckets);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    const start = Math.floor((bucket * length) / buckets);
+    const end = Math.max(start + 1, Math.floor(((bucket + 1) * length) / buckets));
+    let peak = 0;
+    for (const data of channels) {
+      for (let i = start; i < end && i < length; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+      }
+    }
+    peaks[bucket] = Math.min(1, peak);
+  }
+  return peaks;
+}
+
+/**
+ * Peaks of every stem in a loaded MixEngine ({ vocals: Float32Array, ... })
+ */
+export function stemPeaks(engine) {
+  return Object.fromEntries(engine.stemKeys.map((key) => [key, computePeaks(engine.buffers[key], engine.duration)]));
+}
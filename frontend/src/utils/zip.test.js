@@ -0,0 +1,53 @@
+import { unzipSync } from 'fflate';
+import { crc32, createZip } from './zip';
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+// jsdom's Blob has no arrayBuffer()
+const readBlob = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+describe('crc32', () => {
+  test('matches the reference check value', () => {
+    expect(crc32(bytesOf('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('is zero for no data', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  test('builds an archive that a reference reader extracts', async () => {
+    const audio = Uint8Array.from({ length: 70000 }, (_, i) => (i * 31) & 0xff);
+    const files = [
+      { name: 'Song - vocals.wav', data: audio },
+      { name: 'Song - drüms.wav', data: bytesOf('not really audio') },
+      { name: 'empty.txt', data: new Uint8Array(0) },
+    ];
+
+    const blob = createZip(files, new Date(2024, 4, 17, 13, 45, 30));
+    expect(blob.type).toBe('application/zip');
+
+    const entries = unzipSync(await readBlob(blob));
+    expect(Object.keys(entries)).toEqual(files.map((file) => file.name));
+    files.forEach((file) => expect(Array.from(entries[file.name])).toEqual(Array.from(file.data)));
+  });
+
+  test('stores the CRC and modification time of each entry', async () => {
+    const data = bytesOf('123456789');
+    const bytes = await readBlob(createZip([{ name: 'a.txt', data }], new Date(2024, 4, 17, 13, 45, 30)));
+    const view = new DataView(bytes.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(8, true)).toBe(0); // stored
+    expect(view.getUint16(10, true)).toBe((13 << 11) | (45 << 5) | 15);
+    expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (5 << 5) | 17);
+    expect(view.getUint32(14, true)).toBe(0xcbf43926);
+  });
+});